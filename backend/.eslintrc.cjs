@@ -0,0 +1,22 @@
+module.exports = {
+  root: true,
+  extends: 'eslint:recommended',
+  env: {
+    node: true,
+    es2022: true
+  },
+  rules: {
+    // Express error handlers take next, and rest destructuring drops the fields it names
+    'no-unused-vars': ['error', { args: 'none', ignoreRestSiblings: true }]
+  },
+  parserOptions: {
+    ecmaVersion: 2022,
+    sourceType: 'module'
+  },
+  overrides: [
+    {
+      files: ['**/__tests__/**/*.js'],
+      env: { jest: true }
+    }
+  ]
+};
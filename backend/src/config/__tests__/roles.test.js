@@ -0,0 +1,76 @@
+import { canExecuteStatement, isWriteStatement, ROLE_PERMISSIONS, ROLES } from '../roles.js';
+import { classifyStatements } from '../../utils/sqlStatements.js';
+
+const allowed = (role, sql, permissions = ROLE_PERMISSIONS[role]) => canExecuteStatement(role, sql, permissions).allowed;
+
+describe('canExecuteStatement', () => {
+  test('lets a viewer read, use temp tables and run procedural statements', () => {
+    expect(allowed(ROLES.VIEWER, 'SELECT * FROM dbo.Customers')).toBe(true);
+    expect(allowed(ROLES.VIEWER, 'CREATE TABLE #t (a int) INSERT INTO #t SELECT 1 UPDATE #t SET a = 2')).toBe(true);
+    expect(allowed(ROLES.VIEWER, 'SELECT a INTO #t FROM dbo.Customers DROP TABLE #t')).toBe(true);
+    expect(allowed(ROLES.VIEWER, "DECLARE @x int = 1 IF @x = 1 PRINT 'one' WAITFOR DELAY '00:00:01'")).toBe(true);
+  });
+
+  test('lets a viewer set session options, but not the ones that write or skip running the script', () => {
+    expect(allowed(ROLES.VIEWER, 'SET NOCOUNT ON; SELECT 1')).toBe(true);
+    expect(allowed(ROLES.VIEWER, 'SET TRANSACTION ISOLATION LEVEL READ UNCOMMITTED SELECT 1')).toBe(true);
+    expect(allowed(ROLES.VIEWER, 'SET IDENTITY_INSERT dbo.t ON')).toBe(false);
+    expect(allowed(ROLES.VIEWER, 'SET CONTEXT_INFO 0x01')).toBe(false);
+    expect(allowed(ROLES.VIEWER, 'SET SHOWPLAN_XML ON')).toBe(false);
+  });
+
+  test('refuses a viewer statements hidden after a statement it may run', () => {
+    const refused = [
+      'CREATE TABLE #t (a int) ALTER TABLE dbo.x DROP COLUMN y',
+      'DROP TABLE #a, dbo.Customers',
+      'INSERT INTO #t OUTPUT inserted.a INTO dbo.Customers VALUES (1)',
+      'SELECT 1 DISABLE TRIGGER trg ON dbo.Orders',
+      'ENABLE TRIGGER ALL ON DATABASE',
+      'SELECT 1 WRITETEXT dbo.t.c @p 0x00',
+      "SELECT 1 UPDATETEXT dbo.t.c @p 0 NULL 'x'",
+      'SELECT 1 REVERT',
+      "SELECT 1 SETUSER 'dbo'",
+      "SELECT 1 SEND ON CONVERSATION @h (N'x')",
+      'SELECT 1 MOVE CONVERSATION @h TO @g',
+      'WAITFOR (RECEIVE TOP (1) * FROM dbo.q)',
+      'OPEN SYMMETRIC KEY k DECRYPTION BY CERTIFICATE c',
+      'SELECT 1 FOO BAR baz'
+    ];
+
+    for (const sql of refused) {
+      expect([sql, allowed(ROLES.VIEWER, sql)]).toEqual([sql, false]);
+    }
+  });
+
+  test('refuses statements it cannot recognize to every role but one that may run anything', () => {
+    const sql = 'SELECT 1 FOO BAR baz';
+    const permissions = { ...ROLE_PERMISSIONS[ROLES.DEVELOPER], allowedStatements: ['SELECT', 'UNKNOWN'] };
+
+    expect(allowed('CUSTOM', sql, permissions)).toBe(false);
+    expect(canExecuteStatement('CUSTOM', sql, permissions).reason).toMatch(/cannot recognize/);
+    expect(allowed(ROLES.ADMIN, sql)).toBe(true);
+  });
+
+  test('checks the statement after a GRANT on its own', () => {
+    const permissions = { ...ROLE_PERMISSIONS[ROLES.VIEWER], allowedStatements: ['SELECT', 'GRANT'] };
+
+    expect(allowed('CUSTOM', 'GRANT SELECT ON dbo.t TO u SELECT 1', permissions)).toBe(true);
+    expect(allowed('CUSTOM', 'GRANT SELECT ON dbo.t TO u DELETE FROM dbo.Customers', permissions)).toBe(false);
+  });
+
+  test('lets procedures listed for the role run without EXEC', () => {
+    const permissions = { ...ROLE_PERMISSIONS[ROLES.VIEWER], allowedProcedures: ['dbo.usp_report'] };
+
+    expect(allowed(ROLES.VIEWER, 'EXEC usp_report 1', permissions)).toBe(true);
+    expect(allowed(ROLES.VIEWER, 'EXEC dbo.usp_other 1', permissions)).toBe(false);
+  });
+});
+
+describe('isWriteStatement', () => {
+  test('tells statements that change data or schema', () => {
+    const writes = (sql) => classifyStatements(sql).map(isWriteStatement);
+
+    expect(writes("SELECT 1 SET NOCOUNT ON PRINT 'x'")).toEqual([false, false, false]);
+    expect(writes('UPDATE t SET a = 1 CREATE TABLE #t (a int)')).toEqual([true, false]);
+  });
+});
@@ -28,29 +28,53 @@ export function getTursoClient() {
 // SQL Server connection pool management
 const sqlPools = new Map();
 
-export function getSqlPool(connectionConfig) {
-  const poolKey = `${connectionConfig.server}_${connectionConfig.database}`;
-
-  if (sqlPools.has(poolKey)) {
-    return sqlPools.get(poolKey);
-  }
+/**
+ * Build mssql pool options from a decrypted connection config
+ */
+export function buildSqlPoolConfig(config, pool) {
+  return {
+    server: config.server,
+    port: config.port,
+    database: config.database,
+    user: config.user,
+    password: config.password,
+    options: {
+      encrypt: config.encrypt,
+      trustServerCertificate: config.trustServerCertificate,
+      enableArithAbort: true
+    },
+    connectionTimeout: config.connectionTimeout,
+    requestTimeout: config.requestTimeout,
+    pool
+  };
+}
 
+/**
+ * Shared pool of a connection, by connection id
+ */
+export function getSqlPool(connectionId) {
   // Connection pools are created on-demand by the SQL service
-  return null;
+  return sqlPools.get(connectionId) || null;
 }
 
-export function setSqlPool(connectionConfig, pool) {
-  const poolKey = `${connectionConfig.server}_${connectionConfig.database}`;
-  sqlPools.set(poolKey, pool);
+/**
+ * Keep the shared pool of a connection; a pool it replaces is closed
+ */
+export function setSqlPool(connectionId, pool) {
+  const previous = sqlPools.get(connectionId);
+  sqlPools.set(connectionId, pool);
+
+  if (previous && previous !== pool) {
+    previous.close().catch(() => {});
+  }
 }
 
-export function closeSqlPool(connectionConfig) {
-  const poolKey = `${connectionConfig.server}_${connectionConfig.database}`;
-  const pool = sqlPools.get(poolKey);
+export function closeSqlPool(connectionId) {
+  const pool = sqlPools.get(connectionId);
 
   if (pool) {
-    pool.close();
-    sqlPools.delete(poolKey);
+    pool.close().catch(() => {});
+    sqlPools.delete(connectionId);
   }
 }
 
@@ -1,4 +1,7 @@
-// Role-based permission configuration
+import { classifyStatements } from '../utils/sqlStatements.js';
+import { findObjectReferences } from '../utils/sqlObjects.js';
+
+// Built-in roles; they are seeded into the roles table, where admins can edit them and add their own
 export const ROLES = {
   VIEWER: 'VIEWER',
   ANALYST: 'ANALYST',
@@ -6,86 +9,201 @@ export const ROLES = {
   ADMIN: 'ADMIN'
 };
 
+// Custom role names: upper case letters, digits and underscores
+export const ROLE_NAME_PATTERN = /^[A-Z][A-Z0-9_]{1,31}$/;
+
+// Quotas count a user's executions, rows returned and execution time per UTC day and month
+export const QUOTA_PERIODS = ['daily', 'monthly'];
+export const QUOTA_METRICS = ['executions', 'rows', 'executionTimeMs'];
+
+// A metric left out of a period, or null, is unlimited
+const UNLIMITED_QUOTAS = { daily: {}, monthly: {} };
+
 export const ROLE_PERMISSIONS = {
   [ROLES.VIEWER]: {
     allowedStatements: ['SELECT'],
-    maxRows: 1000,
+    allowedProcedures: [], // Procedures the role may EXEC without the EXEC statement permission
+    maxRows: 1000, // Rows returned per page
+    maxCachedRows: 10000, // Rows kept server-side for paging
+    resultCacheTtlMs: 10 * 60 * 1000,
     queryTimeoutMs: 30000,
+    maxConcurrentQueries: 2, // Queries one user may run at once; more wait in the queue
+    maxConcurrentRoleQueries: null, // Queries all users of the role may run at once; null is unlimited
+    maxEstimatedCost: 50, // Optimizer cost units; null disables the check
+    maxEstimatedRows: 1000000, // Checked against the estimated plan before running
+    canConfirmExpensiveQueries: false, // Over-limit queries may still run after the user confirms
     canCancelQueries: true,
     canViewHistory: true,
+    canApproveQueries: false, // Review other users' approval requests (admins always can)
     canManageUsers: false,
-    canManageConnections: false
+    canManageConnections: false,
+    quotas: UNLIMITED_QUOTAS // e.g. { daily: { executions: 500, rows: 1000000, executionTimeMs: 3600000 }, monthly: { ... } }
   },
   [ROLES.ANALYST]: {
     allowedStatements: ['SELECT', 'INSERT', 'UPDATE'],
+    allowedProcedures: [],
     maxRows: 5000,
+    maxCachedRows: 50000,
+    resultCacheTtlMs: 15 * 60 * 1000,
     queryTimeoutMs: 60000,
+    maxConcurrentQueries: 3,
+    maxConcurrentRoleQueries: null,
+    maxEstimatedCost: 200,
+    maxEstimatedRows: 5000000,
+    canConfirmExpensiveQueries: true,
     canCancelQueries: true,
     canViewHistory: true,
+    canApproveQueries: false,
     canManageUsers: false,
-    canManageConnections: false
+    canManageConnections: false,
+    quotas: UNLIMITED_QUOTAS
   },
   [ROLES.DEVELOPER]: {
     allowedStatements: ['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'MERGE'],
+    allowedProcedures: [],
     maxRows: 10000,
+    maxCachedRows: 100000,
+    resultCacheTtlMs: 15 * 60 * 1000,
     queryTimeoutMs: 120000,
+    maxConcurrentQueries: 4,
+    maxConcurrentRoleQueries: null,
+    maxEstimatedCost: 1000,
+    maxEstimatedRows: 10000000,
+    canConfirmExpensiveQueries: true,
     canCancelQueries: true,
     canViewHistory: true,
+    canApproveQueries: false,
     canManageUsers: false,
-    canManageConnections: false
+    canManageConnections: false,
+    quotas: UNLIMITED_QUOTAS
   },
   [ROLES.ADMIN]: {
     allowedStatements: ['*'], // All statements including DDL
+    allowedProcedures: [],
     maxRows: 50000,
+    maxCachedRows: 250000,
+    resultCacheTtlMs: 30 * 60 * 1000,
     queryTimeoutMs: 300000,
+    maxConcurrentQueries: 8,
+    maxConcurrentRoleQueries: null,
+    maxEstimatedCost: null,
+    maxEstimatedRows: null,
+    canConfirmExpensiveQueries: true,
     canCancelQueries: true,
     canViewHistory: true,
+    canApproveQueries: true,
     canManageUsers: true,
-    canManageConnections: true
+    canManageConnections: true,
+    quotas: UNLIMITED_QUOTAS
   }
 };
 
-export function getRolePermissions(role) {
-  return ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS[ROLES.VIEWER];
+// Statements any role may use in a script: variables, flow control, messages and cursors
+const PROCEDURAL_STATEMENTS = new Set([
+  'DECLARE', 'SET', 'PRINT', 'RAISERROR', 'THROW', 'WAITFOR', 'LABEL',
+  'IF', 'ELSE', 'WHILE', 'BEGIN', 'END', 'RETURN', 'BREAK', 'CONTINUE', 'GOTO',
+  'OPEN', 'FETCH', 'CLOSE', 'DEALLOCATE'
+]);
+
+// Session options beyond how a session reads: IDENTITY_INSERT lets INSERT set key values, CONTEXT_INFO
+// feeds row-level security and auditing, and SHOWPLAN_* skips running the script the cost check weighed
+const RESTRICTED_SET_OPTIONS = new Set(['IDENTITY_INSERT', 'CONTEXT_INFO', 'SHOWPLAN_ALL', 'SHOWPLAN_TEXT', 'SHOWPLAN_XML']);
+
+// Statements that neither change data nor schema, so never need approval
+const READ_ONLY_STATEMENTS = new Set(['SELECT', 'SET OPTION', 'BEGIN TRANSACTION', 'COMMIT', 'ROLLBACK', 'SAVE']);
+
+/**
+ * Fill in settings a stored role predates: a built-in role's own defaults,
+ * otherwise the most restrictive built-in values
+ */
+export function withDefaultPermissions(permissions, name = null) {
+  return { ...ROLE_PERMISSIONS[ROLES.VIEWER], ...ROLE_PERMISSIONS[name], ...permissions };
 }
 
-export function canExecuteStatement(role, sql) {
-  const permissions = getRolePermissions(role);
+/**
+ * Check every statement of a batch against the role's permissions
+ * @returns {object} - { allowed, statements, statement, reason }; statement is the first one refused
+ */
+export function canExecuteStatement(role, sql, permissions) {
+  const statements = classifyStatements(sql);
 
   if (permissions.allowedStatements.includes('*')) {
-    return { allowed: true };
+    return { allowed: true, statements };
   }
 
-  // Simple SQL statement detection (can be enhanced with proper SQL parser)
-  const normalizedSql = sql.trim().toUpperCase();
+  for (const statement of statements) {
+    const required = requiredPermission(statement);
 
-  for (const statement of permissions.allowedStatements) {
-    if (normalizedSql.startsWith(statement)) {
-      return { allowed: true, statement };
-    }
-  }
-
-  // Check for dangerous DDL operations
-  const ddlKeywords = [
-    'CREATE', 'ALTER', 'DROP', 'TRUNCATE',
-    'GRANT', 'REVOKE', 'EXECUTE', 'EXEC'
-  ];
+    // Statements the classifier could not recognize are left to roles that may run anything
+    const refused = required === 'UNKNOWN' || !permissions.allowedStatements.includes(required);
 
-  for (const keyword of ddlKeywords) {
-    if (normalizedSql.startsWith(keyword)) {
+    if (required && refused && !callsAllowedProcedures(statement, permissions)) {
+      const kind = statement.dynamicSql ? 'dynamic SQL'
+        : required === 'UNKNOWN' ? 'statements it cannot recognize' : `${statement.type} statements`;
       return {
         allowed: false,
-        reason: `Role ${role} is not permitted to execute ${keyword} statements`
+        statements,
+        statement,
+        reason: `Role ${role} is not permitted to run ${kind} (statement ${statement.index + 1}: ${excerpt(statement.text)})`
       };
     }
   }
 
-  return {
-    allowed: false,
-    reason: `Role ${role} is not permitted to execute this type of query`
-  };
+  return { allowed: true, statements };
+}
+
+/**
+ * Whether a statement changes data or schema; on connections that require
+ * approval such statements only run once a request for them is approved
+ */
+export function isWriteStatement(statement) {
+  const required = requiredPermission(statement);
+  return required !== null && !READ_ONLY_STATEMENTS.has(required);
+}
+
+/**
+ * The allowedStatements entry a statement needs, or null if every role may run it
+ */
+function requiredPermission(statement) {
+  if (statement.dynamicSql) {
+    return 'EXEC';
+  }
+  // Temp tables belong to the connection, so creating, dropping or writing to one needs no more than SELECT
+  if (statement.temporary) {
+    return 'SELECT';
+  }
+  if (statement.type === 'SET OPTION' && !statement.options.some(option => RESTRICTED_SET_OPTIONS.has(option))) {
+    return null;
+  }
+  if (PROCEDURAL_STATEMENTS.has(statement.type)) {
+    return null;
+  }
+  return statement.type;
+}
+
+/**
+ * Whether an EXEC only calls procedures listed in the role's allowedProcedures
+ */
+function callsAllowedProcedures(statement, permissions) {
+  if (statement.type !== 'EXEC' || statement.dynamicSql || !permissions.allowedProcedures?.length) {
+    return false;
+  }
+
+  const allowed = new Set(permissions.allowedProcedures.map(name => qualify(name)));
+  const { references, hasDynamicSql } = findObjectReferences(statement.text);
+  const procedures = references.filter(reference => reference.kind === 'procedure');
+
+  return !hasDynamicSql && procedures.length > 0 &&
+    procedures.every(procedure => allowed.has(qualify(procedure.name, procedure.schema)));
+}
+
+// Procedure names compare case-insensitively, with dbo as the default schema
+function qualify(name, schema = null) {
+  const full = schema ? `${schema}.${name}` : name.includes('.') ? name : `dbo.${name}`;
+  return full.replace(/[[\]]/g, '').toLowerCase();
 }
 
-export function isValidRole(role) {
-  return Object.values(ROLES).includes(role);
+function excerpt(text) {
+  const line = text.replace(/\s+/g, ' ');
+  return line.length > 80 ? `${line.slice(0, 80)}...` : line;
 }
@@ -1,6 +1,6 @@
 import jwt from 'jsonwebtoken';
 import logger from '../config/logger.js';
-import { getRolePermissions } from '../config/roles.js';
+import { RoleService } from '../services/RoleService.js';
 
 const JWT_SECRET = process.env.JWT_SECRET;
 const JWT_EXPIRY = process.env.JWT_EXPIRY || '8h';
@@ -71,19 +71,15 @@ export function authenticate(req, res, next) {
 
 /**
  * Authorization middleware factory
- * Checks if user has required role/permission
+ * Checks if user has one of the given roles and attaches the role's permissions
  */
 export function authorize(...allowedRoles) {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
     }
 
-    if (allowedRoles.length === 0) {
-      return next();
-    }
-
-    if (!allowedRoles.includes(req.user.role)) {
+    if (allowedRoles.length > 0 && !allowedRoles.includes(req.user.role)) {
       logger.warn(`Authorization failed: User ${req.user.username} (${req.user.role}) attempted to access resource requiring ${allowedRoles.join(', ')}`);
       return res.status(403).json({
         error: 'Insufficient permissions',
@@ -91,27 +87,38 @@ export function authorize(...allowedRoles) {
       });
     }
 
-    next();
+    try {
+      req.permissions = await RoleService.getPermissions(req.user.role);
+      next();
+    } catch (error) {
+      next(error);
+    }
   };
 }
 
 /**
  * Check if user has specific permission
+ * Permissions come from the user's role in the roles table
  */
 export function requirePermission(permissionCheck) {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Not authenticated' });
     }
 
-    const permissions = getRolePermissions(req.user.role);
+    try {
+      const permissions = await RoleService.getPermissions(req.user.role);
 
-    if (!permissionCheck(permissions)) {
-      logger.warn(`Permission denied: User ${req.user.username} lacks required permission`);
-      return res.status(403).json({ error: 'Permission denied' });
-    }
+      if (!permissionCheck(permissions)) {
+        logger.warn(`Permission denied: User ${req.user.username} lacks required permission`);
+        return res.status(403).json({ error: 'Permission denied' });
+      }
 
-    next();
+      req.permissions = permissions;
+      next();
+    } catch (error) {
+      next(error);
+    }
   };
 }
 
@@ -46,6 +46,14 @@ export function errorHandler(err, req, res, next) {
     });
   }
 
+  // Errors raised with a client error status carry a message (and details) meant for the user
+  if (err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({
+      error: err.message,
+      details: err.details
+    });
+  }
+
   // Default error response
   res.status(err.status || 500).json({
     error: 'Internal Server Error',
@@ -27,9 +27,10 @@ export class ConnectionModel {
 
     try {
       await db.execute({
-        sql: `INSERT INTO connections (id, name, encrypted_config, encrypted_password, is_active, created_at, updated_at)
-              VALUES (?, ?, ?, ?, ?, ?, ?)`,
-        args: [id, connectionData.name, encryptedConfig, encryptedPassword, 1, createdAt, createdAt]
+        sql: `INSERT INTO connections (id, name, encrypted_config, encrypted_password, requires_approval, max_concurrent_queries, is_active, created_at, updated_at)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        args: [id, connectionData.name, encryptedConfig, encryptedPassword, connectionData.requiresApproval ? 1 : 0,
+          connectionData.maxConcurrentQueries ?? null, 1, createdAt, createdAt]
       });
 
       logger.info(`Connection created: ${connectionData.name}`);
@@ -37,6 +38,8 @@ export class ConnectionModel {
       return {
         id,
         name: connectionData.name,
+        requiresApproval: Boolean(connectionData.requiresApproval),
+        maxConcurrentQueries: connectionData.maxConcurrentQueries ?? null,
         isActive: true,
         createdAt
       };
@@ -96,14 +99,16 @@ export class ConnectionModel {
 
     try {
       const sql = includeInactive
-        ? 'SELECT id, name, is_active, created_at, updated_at FROM connections ORDER BY name'
-        : 'SELECT id, name, is_active, created_at, updated_at FROM connections WHERE is_active = 1 ORDER BY name';
+        ? 'SELECT id, name, requires_approval, max_concurrent_queries, is_active, created_at, updated_at FROM connections ORDER BY name'
+        : 'SELECT id, name, requires_approval, max_concurrent_queries, is_active, created_at, updated_at FROM connections WHERE is_active = 1 ORDER BY name';
 
       const result = await db.execute(sql);
 
       return result.rows.map(row => ({
         id: row.id,
         name: row.name,
+        requiresApproval: Boolean(row.requires_approval),
+        maxConcurrentQueries: row.max_concurrent_queries ?? null,
         isActive: Boolean(row.is_active),
         createdAt: row.created_at,
         updatedAt: row.updated_at
@@ -158,6 +163,24 @@ export class ConnectionModel {
       });
     }
 
+    if (updates.requiresApproval !== undefined) {
+      await db.execute({
+        sql: `UPDATE connections SET requires_approval = ?, updated_at = ? WHERE id = ?`,
+        args: [updates.requiresApproval ? 1 : 0, updatedAt, id]
+      });
+    }
+
+    // null (or anything but a positive whole number) lifts the limit
+    if (updates.maxConcurrentQueries !== undefined) {
+      const limit = Number.isInteger(updates.maxConcurrentQueries) && updates.maxConcurrentQueries > 0
+        ? updates.maxConcurrentQueries
+        : null;
+      await db.execute({
+        sql: `UPDATE connections SET max_concurrent_queries = ?, updated_at = ? WHERE id = ?`,
+        args: [limit, updatedAt, id]
+      });
+    }
+
     logger.info(`Connection updated: ${id}`);
     return this.findById(id);
   }
@@ -210,6 +233,8 @@ export class ConnectionModel {
       name: row.name,
       encryptedConfig: row.encrypted_config,
       encryptedPassword: row.encrypted_password,
+      requiresApproval: Boolean(row.requires_approval),
+      maxConcurrentQueries: row.max_concurrent_queries ?? null,
       isActive: Boolean(row.is_active),
       createdAt: row.created_at,
       updatedAt: row.updated_at
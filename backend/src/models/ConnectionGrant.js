@@ -0,0 +1,200 @@
+import { getTursoClient } from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../config/logger.js';
+
+/**
+ * Connection grants
+ *
+ * A grant gives a user, or every user of a role, access to one connection,
+ * optionally under a different role there (DEVELOPER on staging, VIEWER on
+ * production). A grant to the user wins over one to their role. Roles that
+ * manage connections need no grant (see RoleService.resolveConnectionRole).
+ */
+export class ConnectionGrantModel {
+  /**
+   * Grant a user or role access to a connection
+   */
+  static async create({ connectionId, granteeType, grantee, roleOverride = null }) {
+    const db = getTursoClient();
+    const id = uuidv4();
+    const createdAt = new Date().toISOString();
+
+    try {
+      await db.execute({
+        sql: `INSERT INTO connection_grants (id, connection_id, grantee_type, grantee, role_override, created_at, updated_at)
+              VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        args: [id, connectionId, granteeType, grantee, roleOverride, createdAt, createdAt]
+      });
+
+      logger.info(`Connection grant created: ${granteeType} ${grantee} on ${connectionId}`);
+
+      return this.findById(id);
+    } catch (error) {
+      logger.error('Error creating connection grant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find connection grant by ID
+   */
+  static async findById(id) {
+    const db = getTursoClient();
+
+    try {
+      const result = await db.execute({
+        sql: `SELECT g.*, u.username FROM connection_grants g
+              LEFT JOIN users u ON g.grantee_type = 'USER' AND u.id = g.grantee
+              WHERE g.id = ?`,
+        args: [id]
+      });
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return this._mapGrant(result.rows[0]);
+    } catch (error) {
+      logger.error('Error finding connection grant by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the grant a user or role already has on a connection
+   */
+  static async findByGrantee(connectionId, granteeType, grantee) {
+    const db = getTursoClient();
+
+    try {
+      const result = await db.execute({
+        sql: 'SELECT id FROM connection_grants WHERE connection_id = ? AND grantee_type = ? AND grantee = ?',
+        args: [connectionId, granteeType, grantee]
+      });
+
+      return result.rows.length > 0 ? this.findById(result.rows[0].id) : null;
+    } catch (error) {
+      logger.error('Error finding connection grant by grantee:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the grants on a connection
+   */
+  static async listForConnection(connectionId) {
+    const db = getTursoClient();
+
+    try {
+      const result = await db.execute({
+        sql: `SELECT g.*, u.username FROM connection_grants g
+              LEFT JOIN users u ON g.grantee_type = 'USER' AND u.id = g.grantee
+              WHERE g.connection_id = ?
+              ORDER BY g.grantee_type, g.grantee`,
+        args: [connectionId]
+      });
+
+      return result.rows.map(row => this._mapGrant(row));
+    } catch (error) {
+      logger.error('Error listing connection grants:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Role a user works under on each connection they may use
+   * @returns {Map} - connection id => role
+   */
+  static async listAccessible({ userId, role }) {
+    const db = getTursoClient();
+
+    try {
+      const result = await db.execute({
+        sql: `SELECT * FROM connection_grants
+              WHERE (grantee_type = 'USER' AND grantee = ?) OR (grantee_type = 'ROLE' AND grantee = ?)`,
+        args: [userId, role]
+      });
+
+      const roles = new Map();
+      // User grants come last so they replace role grants on the same connection
+      const grants = result.rows
+        .map(row => this._mapGrant(row))
+        .sort((a, b) => (a.granteeType === 'USER' ? 1 : 0) - (b.granteeType === 'USER' ? 1 : 0));
+
+      for (const grant of grants) {
+        roles.set(grant.connectionId, grant.roleOverride || role);
+      }
+
+      return roles;
+    } catch (error) {
+      logger.error('Error listing accessible connections:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Role a user works under on a connection
+   * @returns {string|null} - null if the user has no grant on it
+   */
+  static async resolveRole(connectionId, { userId, role }) {
+    const roles = await this.listAccessible({ userId, role });
+    return roles.get(connectionId) || null;
+  }
+
+  /**
+   * Change the role override of a grant
+   */
+  static async update(id, { roleOverride = null }) {
+    const db = getTursoClient();
+
+    try {
+      await db.execute({
+        sql: 'UPDATE connection_grants SET role_override = ?, updated_at = ? WHERE id = ?',
+        args: [roleOverride, new Date().toISOString(), id]
+      });
+
+      logger.info(`Connection grant updated: ${id}`);
+      return this.findById(id);
+    } catch (error) {
+      logger.error('Error updating connection grant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a grant
+   */
+  static async delete(id) {
+    const db = getTursoClient();
+
+    try {
+      await db.execute({
+        sql: 'DELETE FROM connection_grants WHERE id = ?',
+        args: [id]
+      });
+
+      logger.info(`Connection grant deleted: ${id}`);
+      return true;
+    } catch (error) {
+      logger.error('Error deleting connection grant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Map database row to connection grant
+   */
+  static _mapGrant(row) {
+    return {
+      id: row.id,
+      connectionId: row.connection_id,
+      granteeType: row.grantee_type,
+      grantee: row.grantee,
+      // Username for user grants, the role name for role grants
+      granteeName: row.grantee_type === 'USER' ? (row.username ?? null) : row.grantee,
+      roleOverride: row.role_override,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
@@ -0,0 +1,155 @@
+import { getTursoClient } from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../config/logger.js';
+
+export class MaskingRuleModel {
+  /**
+   * Create a masking rule on a connection
+   */
+  static async create({ connectionId, matchType, pattern, strategy, exemptRoles = [] }) {
+    const db = getTursoClient();
+    const id = uuidv4();
+    const createdAt = new Date().toISOString();
+
+    try {
+      await db.execute({
+        sql: `INSERT INTO masking_rules (id, connection_id, match_type, pattern, strategy, exempt_roles, created_at, updated_at)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        args: [id, connectionId, matchType, pattern, strategy, JSON.stringify(exemptRoles), createdAt, createdAt]
+      });
+
+      logger.info(`Masking rule created: ${strategy} ${pattern} on ${connectionId}`);
+
+      return {
+        id,
+        connectionId,
+        matchType,
+        pattern,
+        strategy,
+        exemptRoles,
+        createdAt,
+        updatedAt: createdAt
+      };
+    } catch (error) {
+      logger.error('Error creating masking rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find masking rule by ID
+   */
+  static async findById(id) {
+    const db = getTursoClient();
+
+    try {
+      const result = await db.execute({
+        sql: 'SELECT * FROM masking_rules WHERE id = ?',
+        args: [id]
+      });
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return this._mapRule(result.rows[0]);
+    } catch (error) {
+      logger.error('Error finding masking rule by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List masking rules, optionally for one connection
+   */
+  static async list({ connectionId } = {}) {
+    const db = getTursoClient();
+
+    try {
+      const result = connectionId
+        ? await db.execute({
+          sql: 'SELECT * FROM masking_rules WHERE connection_id = ? ORDER BY pattern',
+          args: [connectionId]
+        })
+        : await db.execute('SELECT * FROM masking_rules ORDER BY connection_id, pattern');
+
+      return result.rows.map(row => this._mapRule(row));
+    } catch (error) {
+      logger.error('Error listing masking rules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update masking rule
+   */
+  static async update(id, updates) {
+    const db = getTursoClient();
+    const current = await this.findById(id);
+
+    if (!current) {
+      return null;
+    }
+
+    const rule = { ...current, ...updates };
+
+    try {
+      await db.execute({
+        sql: `UPDATE masking_rules
+              SET connection_id = ?, match_type = ?, pattern = ?, strategy = ?, exempt_roles = ?, updated_at = ?
+              WHERE id = ?`,
+        args: [
+          rule.connectionId,
+          rule.matchType,
+          rule.pattern,
+          rule.strategy,
+          JSON.stringify(rule.exemptRoles),
+          new Date().toISOString(),
+          id
+        ]
+      });
+
+      logger.info(`Masking rule updated: ${id}`);
+      return this.findById(id);
+    } catch (error) {
+      logger.error('Error updating masking rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete masking rule
+   */
+  static async delete(id) {
+    const db = getTursoClient();
+
+    try {
+      await db.execute({
+        sql: 'DELETE FROM masking_rules WHERE id = ?',
+        args: [id]
+      });
+
+      logger.info(`Masking rule deleted: ${id}`);
+      return true;
+    } catch (error) {
+      logger.error('Error deleting masking rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Map database row to masking rule
+   */
+  static _mapRule(row) {
+    return {
+      id: row.id,
+      connectionId: row.connection_id,
+      matchType: row.match_type,
+      pattern: row.pattern,
+      strategy: row.strategy,
+      exemptRoles: JSON.parse(row.exempt_roles || '[]'),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
@@ -0,0 +1,182 @@
+import { getTursoClient } from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../config/logger.js';
+
+export class ObjectPolicyModel {
+  /**
+   * Create an object policy for a role on a connection
+   */
+  static async create({ connectionId, role, objectType, schemaName, objectName = null, effect }) {
+    const db = getTursoClient();
+    const id = uuidv4();
+    const createdAt = new Date().toISOString();
+    // Schema policies cover every object in the schema
+    const name = objectType === 'SCHEMA' ? null : objectName;
+
+    try {
+      await db.execute({
+        sql: `INSERT INTO object_policies (id, connection_id, role, object_type, schema_name, object_name, effect, created_at, updated_at)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        args: [id, connectionId, role, objectType, schemaName, name, effect, createdAt, createdAt]
+      });
+
+      logger.info(`Object policy created: ${effect} ${objectType} ${schemaName}${name ? `.${name}` : ''} for ${role}`);
+
+      return {
+        id,
+        connectionId,
+        role,
+        objectType,
+        schemaName,
+        objectName: name,
+        effect,
+        createdAt,
+        updatedAt: createdAt
+      };
+    } catch (error) {
+      logger.error('Error creating object policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find object policy by ID
+   */
+  static async findById(id) {
+    const db = getTursoClient();
+
+    try {
+      const result = await db.execute({
+        sql: 'SELECT * FROM object_policies WHERE id = ?',
+        args: [id]
+      });
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return this._mapPolicy(result.rows[0]);
+    } catch (error) {
+      logger.error('Error finding object policy by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List object policies, optionally for one connection
+   */
+  static async list({ connectionId } = {}) {
+    const db = getTursoClient();
+
+    try {
+      const result = connectionId
+        ? await db.execute({
+          sql: 'SELECT * FROM object_policies WHERE connection_id = ? ORDER BY role, schema_name, object_name',
+          args: [connectionId]
+        })
+        : await db.execute('SELECT * FROM object_policies ORDER BY connection_id, role, schema_name, object_name');
+
+      return result.rows.map(row => this._mapPolicy(row));
+    } catch (error) {
+      logger.error('Error listing object policies:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the policies that apply to a role on a connection
+   */
+  static async listFor(connectionId, role) {
+    const db = getTursoClient();
+
+    try {
+      const result = await db.execute({
+        sql: 'SELECT * FROM object_policies WHERE connection_id = ? AND role = ?',
+        args: [connectionId, role]
+      });
+
+      return result.rows.map(row => this._mapPolicy(row));
+    } catch (error) {
+      logger.error('Error listing object policies for role:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update object policy
+   */
+  static async update(id, updates) {
+    const db = getTursoClient();
+    const current = await this.findById(id);
+
+    if (!current) {
+      return null;
+    }
+
+    const policy = { ...current, ...updates };
+    if (policy.objectType === 'SCHEMA') {
+      policy.objectName = null;
+    }
+
+    try {
+      await db.execute({
+        sql: `UPDATE object_policies
+              SET connection_id = ?, role = ?, object_type = ?, schema_name = ?, object_name = ?, effect = ?, updated_at = ?
+              WHERE id = ?`,
+        args: [
+          policy.connectionId,
+          policy.role,
+          policy.objectType,
+          policy.schemaName,
+          policy.objectName,
+          policy.effect,
+          new Date().toISOString(),
+          id
+        ]
+      });
+
+      logger.info(`Object policy updated: ${id}`);
+      return this.findById(id);
+    } catch (error) {
+      logger.error('Error updating object policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete object policy
+   */
+  static async delete(id) {
+    const db = getTursoClient();
+
+    try {
+      await db.execute({
+        sql: 'DELETE FROM object_policies WHERE id = ?',
+        args: [id]
+      });
+
+      logger.info(`Object policy deleted: ${id}`);
+      return true;
+    } catch (error) {
+      logger.error('Error deleting object policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Map database row to object policy
+   */
+  static _mapPolicy(row) {
+    return {
+      id: row.id,
+      connectionId: row.connection_id,
+      role: row.role,
+      objectType: row.object_type,
+      schemaName: row.schema_name,
+      objectName: row.object_name,
+      effect: row.effect,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
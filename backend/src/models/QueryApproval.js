@@ -0,0 +1,171 @@
+import { getTursoClient } from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../config/logger.js';
+
+const SELECT_APPROVAL = `SELECT qa.*, u.username, r.username AS reviewer_name, c.name AS connection_name
+  FROM query_approvals qa
+  LEFT JOIN users u ON qa.user_id = u.id
+  LEFT JOIN users r ON qa.reviewer_id = r.id
+  LEFT JOIN connections c ON qa.connection_id = c.id`;
+
+/**
+ * Approval requests
+ *
+ * A request moves from pending to rejected or cancelled, or to approved and
+ * then executed or failed once its SQL has run; query_history_id points at
+ * that run.
+ */
+export class QueryApprovalModel {
+  /**
+   * Submit a statement for approval
+   */
+  static async create({ userId, connectionId, sql, parameters = [], justification }) {
+    const db = getTursoClient();
+    const id = uuidv4();
+    const createdAt = new Date().toISOString();
+
+    try {
+      await db.execute({
+        sql: `INSERT INTO query_approvals (id, user_id, connection_id, sql, parameters, justification, status, created_at, updated_at)
+              VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?)`,
+        args: [id, userId, connectionId, sql, JSON.stringify(parameters), justification, createdAt, createdAt]
+      });
+
+      logger.info(`Approval requested: ${id} by user ${userId} on connection ${connectionId}`);
+
+      return this.findById(id);
+    } catch (error) {
+      logger.error('Error creating approval request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find approval request by ID
+   */
+  static async findById(id) {
+    const db = getTursoClient();
+
+    try {
+      const result = await db.execute({
+        sql: `${SELECT_APPROVAL} WHERE qa.id = ?`,
+        args: [id]
+      });
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return this._mapApproval(result.rows[0]);
+    } catch (error) {
+      logger.error('Error finding approval request by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List approval requests, newest first
+   */
+  static async list({ userId = null, connectionIds = [], status = null, limit = 50, offset = 0 } = {}) {
+    const db = getTursoClient();
+
+    const conditions = [];
+    const args = [];
+
+    // A user's own requests, and with connectionIds also everyone's on those connections
+    if (userId && connectionIds.length > 0) {
+      conditions.push(`(qa.user_id = ? OR qa.connection_id IN (${connectionIds.map(() => '?').join(', ')}))`);
+      args.push(userId, ...connectionIds);
+    } else if (userId) {
+      conditions.push('qa.user_id = ?');
+      args.push(userId);
+    }
+
+    if (status) {
+      conditions.push('qa.status = ?');
+      args.push(status);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    args.push(limit, offset);
+
+    try {
+      const result = await db.execute({
+        sql: `${SELECT_APPROVAL} ${whereClause} ORDER BY qa.created_at DESC LIMIT ? OFFSET ?`,
+        args
+      });
+
+      return result.rows.map(row => this._mapApproval(row));
+    } catch (error) {
+      logger.error('Error listing approval requests:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a request on from the status it is expected to be in
+   * @returns {boolean} - false if the request was no longer in that status
+   */
+  static async transition(id, fromStatus, updates) {
+    const db = getTursoClient();
+
+    const allowedFields = ['status', 'reviewerId', 'reviewComment', 'reviewedAt', 'queryHistoryId', 'errorMessage', 'executedAt'];
+    const setClauses = ['updated_at = ?'];
+    const args = [new Date().toISOString()];
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (allowedFields.includes(key)) {
+        setClauses.push(`${this._toSnakeCase(key)} = ?`);
+        args.push(value);
+      }
+    }
+
+    args.push(id, fromStatus);
+
+    try {
+      const result = await db.execute({
+        sql: `UPDATE query_approvals SET ${setClauses.join(', ')} WHERE id = ? AND status = ?`,
+        args
+      });
+
+      return result.rowsAffected > 0;
+    } catch (error) {
+      logger.error('Error updating approval request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert camelCase to snake_case
+   */
+  static _toSnakeCase(str) {
+    return str.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+  }
+
+  /**
+   * Map database row to approval request
+   */
+  static _mapApproval(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      username: row.username,
+      connectionId: row.connection_id,
+      connectionName: row.connection_name,
+      sql: row.sql,
+      parameters: JSON.parse(row.parameters || '[]'),
+      justification: row.justification,
+      status: row.status,
+      reviewerId: row.reviewer_id,
+      reviewerName: row.reviewer_name,
+      reviewComment: row.review_comment,
+      reviewedAt: row.reviewed_at,
+      queryHistoryId: row.query_history_id,
+      errorMessage: row.error_message,
+      executedAt: row.executed_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
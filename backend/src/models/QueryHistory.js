@@ -201,6 +201,35 @@ export class QueryHistoryModel {
     }
   }
 
+  /**
+   * Executions, rows returned and execution time a user has used since a date
+   */
+  static async getUsageSince(userId, since) {
+    const db = getTursoClient();
+
+    try {
+      const result = await db.execute({
+        sql: `SELECT
+                COUNT(*) as executions,
+                COALESCE(SUM(row_count), 0) as rows,
+                COALESCE(SUM(execution_time_ms), 0) as execution_time_ms
+              FROM query_history
+              WHERE user_id = ? AND created_at >= ?`,
+        args: [userId, since.toISOString()]
+      });
+
+      const [row] = result.rows;
+      return {
+        executions: Number(row.executions),
+        rows: Number(row.rows),
+        executionTimeMs: Number(row.execution_time_ms)
+      };
+    } catch (error) {
+      logger.error('Error getting user usage:', error);
+      throw error;
+    }
+  }
+
   /**
    * Delete old query history (for cleanup job)
    */
@@ -0,0 +1,122 @@
+import { getTursoClient } from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../config/logger.js';
+
+/**
+ * Temporary quota increases
+ *
+ * A grant adds executions, rows or execution time to one of a user's quota
+ * periods until it expires. Expired grants are kept as a record of what was
+ * granted and by whom.
+ */
+export class QuotaGrantModel {
+  /**
+   * Grant a user a temporary increase
+   */
+  static async create({ userId, period, executions = null, rows = null, executionTimeMs = null, reason = null, grantedBy, expiresAt }) {
+    const db = getTursoClient();
+    const id = uuidv4();
+    const createdAt = new Date().toISOString();
+
+    try {
+      await db.execute({
+        sql: `INSERT INTO quota_grants (id, user_id, period, executions, rows, execution_time_ms, reason, granted_by, expires_at, created_at)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        args: [id, userId, period, executions, rows, executionTimeMs, reason, grantedBy, expiresAt, createdAt]
+      });
+
+      logger.info(`Quota grant created: ${period} for user ${userId} until ${expiresAt}`);
+
+      return this.findById(id);
+    } catch (error) {
+      logger.error('Error creating quota grant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find quota grant by ID
+   */
+  static async findById(id) {
+    const db = getTursoClient();
+
+    try {
+      const result = await db.execute({
+        sql: `SELECT g.*, u.username AS granted_by_name FROM quota_grants g
+              LEFT JOIN users u ON g.granted_by = u.id
+              WHERE g.id = ?`,
+        args: [id]
+      });
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return this._mapGrant(result.rows[0]);
+    } catch (error) {
+      logger.error('Error finding quota grant by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's grants that have not expired, soonest to expire first
+   */
+  static async listActive(userId) {
+    const db = getTursoClient();
+
+    try {
+      const result = await db.execute({
+        sql: `SELECT g.*, u.username AS granted_by_name FROM quota_grants g
+              LEFT JOIN users u ON g.granted_by = u.id
+              WHERE g.user_id = ? AND g.expires_at > ?
+              ORDER BY g.expires_at`,
+        args: [userId, new Date().toISOString()]
+      });
+
+      return result.rows.map(row => this._mapGrant(row));
+    } catch (error) {
+      logger.error('Error listing quota grants:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a quota grant
+   */
+  static async delete(id) {
+    const db = getTursoClient();
+
+    try {
+      await db.execute({
+        sql: 'DELETE FROM quota_grants WHERE id = ?',
+        args: [id]
+      });
+
+      logger.info(`Quota grant deleted: ${id}`);
+      return true;
+    } catch (error) {
+      logger.error('Error deleting quota grant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Map database row to quota grant
+   */
+  static _mapGrant(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      period: row.period,
+      executions: row.executions,
+      rows: row.rows,
+      executionTimeMs: row.execution_time_ms,
+      reason: row.reason,
+      grantedBy: row.granted_by,
+      grantedByName: row.granted_by_name,
+      expiresAt: row.expires_at,
+      createdAt: row.created_at
+    };
+  }
+}
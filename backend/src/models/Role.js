@@ -0,0 +1,170 @@
+import { getTursoClient } from '../config/database.js';
+import { ROLE_PERMISSIONS, withDefaultPermissions } from '../config/roles.js';
+import logger from '../config/logger.js';
+
+export class RoleModel {
+  /**
+   * Create a custom role
+   */
+  static async create({ name, description = null, permissions }) {
+    const db = getTursoClient();
+    const createdAt = new Date().toISOString();
+
+    try {
+      await db.execute({
+        sql: `INSERT INTO roles (name, description, permissions, is_builtin, created_at, updated_at)
+              VALUES (?, ?, ?, 0, ?, ?)`,
+        args: [name, description, JSON.stringify(permissions), createdAt, createdAt]
+      });
+
+      logger.info(`Role created: ${name}`);
+
+      return this.findByName(name);
+    } catch (error) {
+      logger.error('Error creating role:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find role by name
+   */
+  static async findByName(name) {
+    const db = getTursoClient();
+
+    try {
+      const result = await db.execute({
+        sql: 'SELECT * FROM roles WHERE name = ?',
+        args: [name]
+      });
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return this._mapRole(result.rows[0]);
+    } catch (error) {
+      logger.error('Error finding role by name:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List all roles, built-in ones first
+   */
+  static async list() {
+    const db = getTursoClient();
+
+    try {
+      const result = await db.execute('SELECT * FROM roles ORDER BY is_builtin DESC, name');
+      return result.rows.map(row => this._mapRole(row));
+    } catch (error) {
+      logger.error('Error listing roles:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a role's description and permissions
+   */
+  static async update(name, { description, permissions }) {
+    const db = getTursoClient();
+    const current = await this.findByName(name);
+
+    if (!current) {
+      return null;
+    }
+
+    try {
+      await db.execute({
+        sql: 'UPDATE roles SET description = ?, permissions = ?, updated_at = ? WHERE name = ?',
+        args: [
+          description !== undefined ? description : current.description,
+          JSON.stringify(permissions || current.permissions),
+          new Date().toISOString(),
+          name
+        ]
+      });
+
+      logger.info(`Role updated: ${name}`);
+      return this.findByName(name);
+    } catch (error) {
+      logger.error('Error updating role:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a custom role
+   */
+  static async delete(name) {
+    const db = getTursoClient();
+
+    try {
+      await db.execute({
+        sql: 'DELETE FROM roles WHERE name = ? AND is_builtin = 0',
+        args: [name]
+      });
+
+      logger.info(`Role deleted: ${name}`);
+      return true;
+    } catch (error) {
+      logger.error('Error deleting role:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count the users assigned a role
+   */
+  static async countUsers(name) {
+    const db = getTursoClient();
+
+    try {
+      const result = await db.execute({
+        sql: 'SELECT COUNT(*) AS count FROM users WHERE role = ?',
+        args: [name]
+      });
+
+      return Number(result.rows[0].count);
+    } catch (error) {
+      logger.error('Error counting role users:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Insert the built-in roles that are missing, leaving edited ones alone
+   */
+  static async seedBuiltins() {
+    const db = getTursoClient();
+    const createdAt = new Date().toISOString();
+
+    try {
+      for (const [name, permissions] of Object.entries(ROLE_PERMISSIONS)) {
+        await db.execute({
+          sql: `INSERT OR IGNORE INTO roles (name, description, permissions, is_builtin, created_at, updated_at)
+                VALUES (?, ?, ?, 1, ?, ?)`,
+          args: [name, null, JSON.stringify(permissions), createdAt, createdAt]
+        });
+      }
+    } catch (error) {
+      logger.error('Error seeding built-in roles:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Map database row to role object
+   */
+  static _mapRole(row) {
+    return {
+      name: row.name,
+      description: row.description,
+      permissions: withDefaultPermissions(JSON.parse(row.permissions), row.name),
+      isBuiltin: Boolean(row.is_builtin),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
@@ -0,0 +1,86 @@
+import { getTursoClient } from '../config/database.js';
+import logger from '../config/logger.js';
+
+/**
+ * Catalog snapshots of connections
+ *
+ * One row per connection holds the last catalog read from it, the state of
+ * the server's catalog it was read at (to tell whether it changed since) and
+ * a version that changes whenever the catalog does.
+ */
+export class SchemaSnapshotModel {
+  /**
+   * Find the snapshot of a connection
+   */
+  static async find(connectionId) {
+    const db = getTursoClient();
+
+    try {
+      const result = await db.execute({
+        sql: 'SELECT * FROM schema_snapshots WHERE connection_id = ?',
+        args: [connectionId]
+      });
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return this._mapSnapshot(result.rows[0]);
+    } catch (error) {
+      logger.error('Error finding schema snapshot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the snapshot of a connection, replacing the previous one
+   */
+  static async save({ connectionId, version, state, catalog, refreshedAt }) {
+    const db = getTursoClient();
+
+    try {
+      await db.execute({
+        sql: `INSERT INTO schema_snapshots (connection_id, version, state, catalog, refreshed_at)
+              VALUES (?, ?, ?, ?, ?)
+              ON CONFLICT (connection_id) DO UPDATE SET
+                version = excluded.version,
+                state = excluded.state,
+                catalog = excluded.catalog,
+                refreshed_at = excluded.refreshed_at`,
+        args: [connectionId, version, JSON.stringify(state), JSON.stringify(catalog), refreshedAt]
+      });
+    } catch (error) {
+      logger.error('Error saving schema snapshot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the snapshot of a connection
+   */
+  static async delete(connectionId) {
+    const db = getTursoClient();
+
+    try {
+      await db.execute({
+        sql: 'DELETE FROM schema_snapshots WHERE connection_id = ?',
+        args: [connectionId]
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('Error deleting schema snapshot:', error);
+      throw error;
+    }
+  }
+
+  static _mapSnapshot(row) {
+    return {
+      connectionId: row.connection_id,
+      version: row.version,
+      state: JSON.parse(row.state),
+      catalog: JSON.parse(row.catalog),
+      refreshedAt: row.refreshed_at
+    };
+  }
+}
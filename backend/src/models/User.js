@@ -133,7 +133,7 @@ export class UserModel {
     const db = getTursoClient();
     const updatedAt = new Date().toISOString();
 
-    const allowedFields = ['username', 'email', 'role', 'isActive', 'password'];
+    const allowedFields = ['username', 'email', 'role', 'isActive', 'password', 'quotas'];
     const setClauses = [];
     const args = [];
 
@@ -145,6 +145,9 @@ export class UserModel {
         } else if (key === 'isActive') {
           setClauses.push('is_active = ?');
           args.push(value ? 1 : 0);
+        } else if (key === 'quotas') {
+          setClauses.push('quotas = ?');
+          args.push(value ? JSON.stringify(value) : null);
         } else {
           setClauses.push(`${this._toSnakeCase(key)} = ?`);
           args.push(value);
@@ -225,6 +228,8 @@ export class UserModel {
       email: row.email,
       role: row.role,
       isActive: Boolean(row.is_active),
+      // Overrides of the role's quotas, or null to use the role's as they are
+      quotas: row.quotas ? JSON.parse(row.quotas) : null,
       createdAt: row.created_at,
       updatedAt: row.updated_at,
       lastLoginAt: row.last_login_at
@@ -1,18 +1,29 @@
 import express from 'express';
 import { UserModel } from '../models/User.js';
 import { ConnectionModel } from '../models/Connection.js';
+import { ObjectPolicyModel } from '../models/ObjectPolicy.js';
+import { MaskingRuleModel } from '../models/MaskingRule.js';
+import { ConnectionGrantModel } from '../models/ConnectionGrant.js';
 import { SqlService } from '../services/SqlService.js';
-import { authenticate, authorize } from '../middleware/auth.js';
-import { validate, createUserSchema, updateUserSchema, connectionSchema } from '../utils/validation.js';
+import { SchemaCache } from '../services/SchemaCache.js';
+import { RoleService } from '../services/RoleService.js';
+import { QuotaService } from '../services/QuotaService.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate, createUserSchema, updateUserSchema, connectionSchema, connectionGrantSchema, updateConnectionGrantSchema, objectPolicySchema, maskingRuleSchema, roleSchema, updateRoleSchema, quotaGrantSchema } from '../utils/validation.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
-import { ROLES } from '../config/roles.js';
 import logger from '../config/logger.js';
 
 const router = express.Router();
 
-// All admin routes require ADMIN role
+// Admin routes require the permission that covers their section
+const canManageUsers = requirePermission(permissions => permissions.canManageUsers);
+const canManageConnections = requirePermission(permissions => permissions.canManageConnections);
+const canManageAny = requirePermission(permissions => permissions.canManageUsers || permissions.canManageConnections);
+
 router.use(authenticate);
-router.use(authorize(ROLES.ADMIN));
+router.use('/users', canManageUsers);
+router.use(['/connections', '/policies', '/masking-rules', '/running'], canManageConnections);
+router.use('/stats', canManageAny);
 
 /**
  * User Management
@@ -41,6 +52,8 @@ router.post('/users',
   asyncHandler(async (req, res) => {
     const userData = req.validatedData;
 
+    await RoleService.assertRolesExist([userData.role]);
+
     // Check if username already exists
     const existing = await UserModel.findByUsername(userData.username);
     if (existing) {
@@ -79,6 +92,8 @@ router.put('/users/:id',
   asyncHandler(async (req, res) => {
     const updates = req.validatedData;
 
+    await RoleService.assertRolesExist([updates.role]);
+
     // If updating username, check for conflicts
     if (updates.username) {
       const existing = await UserModel.findByUsername(updates.username);
@@ -121,6 +136,124 @@ router.delete('/users/:id',
   })
 );
 
+// GET /api/admin/users/:id/quota
+// The user's quotas, usage this period and active temporary grants
+router.get('/users/:id/quota',
+  asyncHandler(async (req, res) => {
+    const status = await QuotaService.getStatus(req.params.id);
+
+    if (!status) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(status);
+  })
+);
+
+// POST /api/admin/users/:id/quota-grants
+router.post('/users/:id/quota-grants',
+  validate(quotaGrantSchema),
+  asyncHandler(async (req, res) => {
+    const user = await UserModel.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const grant = await QuotaService.grant(user.id, req.validatedData, req.user.id);
+
+    logger.info(`Quota increase granted by admin ${req.user.username} to ${user.username}: ${grant.id}`);
+
+    res.status(201).json(grant);
+  })
+);
+
+// DELETE /api/admin/users/:id/quota-grants/:grantId
+router.delete('/users/:id/quota-grants/:grantId',
+  asyncHandler(async (req, res) => {
+    const revoked = await QuotaService.revoke(req.params.id, req.params.grantId);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Quota grant not found' });
+    }
+
+    logger.info(`Quota grant revoked by admin ${req.user.username}: ${req.params.grantId}`);
+
+    res.json({ message: 'Quota grant revoked successfully' });
+  })
+);
+
+/**
+ * Role Management
+ */
+
+// GET /api/admin/roles
+// Connection managers read roles too, to grant them and write policies for them
+router.get('/roles',
+  canManageAny,
+  asyncHandler(async (req, res) => {
+    const roles = await RoleService.list();
+
+    res.json({
+      data: roles,
+      count: roles.length
+    });
+  })
+);
+
+// POST /api/admin/roles
+router.post('/roles',
+  canManageUsers,
+  validate(roleSchema),
+  asyncHandler(async (req, res) => {
+    const role = await RoleService.create(req.validatedData);
+
+    logger.info(`Role created by admin ${req.user.username}: ${role.name}`);
+
+    res.status(201).json(role);
+  })
+);
+
+// PUT /api/admin/roles/:name
+router.put('/roles/:name',
+  canManageUsers,
+  validate(updateRoleSchema),
+  asyncHandler(async (req, res) => {
+    const { permissions } = req.validatedData;
+
+    // Keep admins from locking themselves out of user and role management
+    if (req.params.name === req.user.role && permissions && !permissions.canManageUsers) {
+      return res.status(400).json({
+        error: 'Cannot remove user management from your own role'
+      });
+    }
+
+    const role = await RoleService.update(req.params.name, req.validatedData);
+
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    logger.info(`Role updated by admin ${req.user.username}: ${role.name}`);
+
+    res.json(role);
+  })
+);
+
+// DELETE /api/admin/roles/:name
+router.delete('/roles/:name',
+  canManageUsers,
+  asyncHandler(async (req, res) => {
+    if (!await RoleService.delete(req.params.name)) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    logger.info(`Role deleted by admin ${req.user.username}: ${req.params.name}`);
+
+    res.json({ message: 'Role deleted successfully' });
+  })
+);
+
 /**
  * Connection Management
  */
@@ -180,6 +313,10 @@ router.put('/connections/:id',
       return res.status(404).json({ error: 'Connection not found' });
     }
 
+    // It may point at another server or database now
+    await SchemaCache.invalidate(connection.id);
+    SqlService.closePool(connection.id);
+
     logger.info(`Connection updated by admin ${req.user.username}: ${connection.id}`);
 
     const { encryptedConfig, encryptedPassword, ...safeConnection } = connection;
@@ -192,6 +329,8 @@ router.put('/connections/:id',
 router.delete('/connections/:id',
   asyncHandler(async (req, res) => {
     await ConnectionModel.delete(req.params.id);
+    await SchemaCache.invalidate(req.params.id);
+    SqlService.closePool(req.params.id);
 
     logger.info(`Connection deleted by admin ${req.user.username}: ${req.params.id}`);
 
@@ -199,6 +338,23 @@ router.delete('/connections/:id',
   })
 );
 
+// POST /api/admin/connections/:id/schema/refresh
+router.post('/connections/:id/schema/refresh',
+  asyncHandler(async (req, res) => {
+    const connection = await ConnectionModel.findById(req.params.id);
+
+    if (!connection?.isActive) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+
+    const result = await SchemaCache.rebuild(req.params.id);
+
+    logger.info(`Schema snapshot of connection ${req.params.id} rebuilt by admin ${req.user.username}`);
+
+    res.json(result);
+  })
+);
+
 // POST /api/admin/connections/:id/test
 router.post('/connections/:id/test',
   asyncHandler(async (req, res) => {
@@ -208,6 +364,268 @@ router.post('/connections/:id/test',
   })
 );
 
+/**
+ * Connection Grants
+ */
+
+// GET /api/admin/connections/:id/grants
+router.get('/connections/:id/grants',
+  asyncHandler(async (req, res) => {
+    const grants = await ConnectionGrantModel.listForConnection(req.params.id);
+
+    res.json({
+      data: grants,
+      count: grants.length
+    });
+  })
+);
+
+// POST /api/admin/connections/:id/grants
+router.post('/connections/:id/grants',
+  validate(connectionGrantSchema),
+  asyncHandler(async (req, res) => {
+    const { granteeType, grantee, roleOverride } = req.validatedData;
+
+    const connection = await ConnectionModel.findById(req.params.id);
+    if (!connection) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+
+    if (granteeType === 'USER' && !await UserModel.findById(grantee)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await RoleService.assertRolesExist([granteeType === 'ROLE' ? grantee : null, roleOverride]);
+
+    if (await ConnectionGrantModel.findByGrantee(connection.id, granteeType, grantee)) {
+      return res.status(409).json({ error: 'This user or role already has a grant on the connection; edit it instead' });
+    }
+
+    const grant = await ConnectionGrantModel.create({ connectionId: connection.id, granteeType, grantee, roleOverride });
+
+    logger.info(`Connection grant created by admin ${req.user.username}: ${granteeType} ${grantee} on ${connection.id}`);
+
+    res.status(201).json(grant);
+  })
+);
+
+// PUT /api/admin/connections/:id/grants/:grantId
+router.put('/connections/:id/grants/:grantId',
+  validate(updateConnectionGrantSchema),
+  asyncHandler(async (req, res) => {
+    const existing = await ConnectionGrantModel.findById(req.params.grantId);
+
+    if (!existing || existing.connectionId !== req.params.id) {
+      return res.status(404).json({ error: 'Grant not found' });
+    }
+
+    await RoleService.assertRolesExist([req.validatedData.roleOverride]);
+
+    const grant = await ConnectionGrantModel.update(existing.id, req.validatedData);
+
+    logger.info(`Connection grant updated by admin ${req.user.username}: ${grant.id}`);
+
+    res.json(grant);
+  })
+);
+
+// DELETE /api/admin/connections/:id/grants/:grantId
+router.delete('/connections/:id/grants/:grantId',
+  asyncHandler(async (req, res) => {
+    const existing = await ConnectionGrantModel.findById(req.params.grantId);
+
+    if (!existing || existing.connectionId !== req.params.id) {
+      return res.status(404).json({ error: 'Grant not found' });
+    }
+
+    await ConnectionGrantModel.delete(existing.id);
+
+    logger.info(`Connection grant deleted by admin ${req.user.username}: ${existing.id}`);
+
+    res.json({ message: 'Grant deleted successfully' });
+  })
+);
+
+/**
+ * Object Access Policies
+ */
+
+// GET /api/admin/policies
+router.get('/policies',
+  asyncHandler(async (req, res) => {
+    const policies = await ObjectPolicyModel.list({ connectionId: req.query.connectionId });
+
+    res.json({
+      data: policies,
+      count: policies.length
+    });
+  })
+);
+
+// POST /api/admin/policies
+router.post('/policies',
+  validate(objectPolicySchema),
+  asyncHandler(async (req, res) => {
+    const connection = await ConnectionModel.findById(req.validatedData.connectionId);
+
+    if (!connection) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+
+    await RoleService.assertRolesExist([req.validatedData.role]);
+
+    const policy = await ObjectPolicyModel.create(req.validatedData);
+
+    logger.info(`Object policy created by admin ${req.user.username}: ${policy.id}`);
+
+    res.status(201).json(policy);
+  })
+);
+
+// PUT /api/admin/policies/:id
+router.put('/policies/:id',
+  validate(objectPolicySchema),
+  asyncHandler(async (req, res) => {
+    await RoleService.assertRolesExist([req.validatedData.role]);
+
+    const policy = await ObjectPolicyModel.update(req.params.id, req.validatedData);
+
+    if (!policy) {
+      return res.status(404).json({ error: 'Policy not found' });
+    }
+
+    logger.info(`Object policy updated by admin ${req.user.username}: ${policy.id}`);
+
+    res.json(policy);
+  })
+);
+
+// DELETE /api/admin/policies/:id
+router.delete('/policies/:id',
+  asyncHandler(async (req, res) => {
+    await ObjectPolicyModel.delete(req.params.id);
+
+    logger.info(`Object policy deleted by admin ${req.user.username}: ${req.params.id}`);
+
+    res.json({ message: 'Policy deleted successfully' });
+  })
+);
+
+/**
+ * Data Masking Rules
+ */
+
+// GET /api/admin/masking-rules
+router.get('/masking-rules',
+  asyncHandler(async (req, res) => {
+    const rules = await MaskingRuleModel.list({ connectionId: req.query.connectionId });
+
+    res.json({
+      data: rules,
+      count: rules.length
+    });
+  })
+);
+
+// POST /api/admin/masking-rules
+router.post('/masking-rules',
+  validate(maskingRuleSchema),
+  asyncHandler(async (req, res) => {
+    const connection = await ConnectionModel.findById(req.validatedData.connectionId);
+
+    if (!connection) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+
+    await RoleService.assertRolesExist(req.validatedData.exemptRoles);
+
+    const rule = await MaskingRuleModel.create(req.validatedData);
+
+    logger.info(`Masking rule created by admin ${req.user.username}: ${rule.id}`);
+
+    res.status(201).json(rule);
+  })
+);
+
+// PUT /api/admin/masking-rules/:id
+router.put('/masking-rules/:id',
+  validate(maskingRuleSchema),
+  asyncHandler(async (req, res) => {
+    await RoleService.assertRolesExist(req.validatedData.exemptRoles);
+
+    const rule = await MaskingRuleModel.update(req.params.id, req.validatedData);
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Masking rule not found' });
+    }
+
+    logger.info(`Masking rule updated by admin ${req.user.username}: ${rule.id}`);
+
+    res.json(rule);
+  })
+);
+
+// DELETE /api/admin/masking-rules/:id
+router.delete('/masking-rules/:id',
+  asyncHandler(async (req, res) => {
+    await MaskingRuleModel.delete(req.params.id);
+
+    logger.info(`Masking rule deleted by admin ${req.user.username}: ${req.params.id}`);
+
+    res.json({ message: 'Masking rule deleted successfully' });
+  })
+);
+
+/**
+ * Running Queries
+ */
+
+// GET /api/admin/running
+router.get('/running',
+  asyncHandler(async (req, res) => {
+    const queries = SqlService.listAllRunning();
+    const connections = await ConnectionModel.list({ includeInactive: true });
+    const connectionNames = new Map(connections.map(connection => [connection.id, connection.name]));
+
+    const usernames = new Map();
+    for (const userId of new Set(queries.map(query => query.userId))) {
+      const user = await UserModel.findById(userId);
+      usernames.set(userId, user?.username || null);
+    }
+
+    const data = queries.map(query => ({
+      ...query,
+      username: usernames.get(query.userId),
+      connectionName: connectionNames.get(query.connectionId) || null
+    }));
+
+    res.json({
+      data,
+      count: data.length
+    });
+  })
+);
+
+// POST /api/admin/running/:queryId/cancel
+router.post('/running/:queryId/cancel',
+  asyncHandler(async (req, res) => {
+    const result = await SqlService.cancelQuery(req.params.queryId, req.user.id, { asAdmin: true });
+
+    logger.info(`Query ${req.params.queryId} cancelled by admin ${req.user.username}`);
+
+    res.json(result);
+  })
+);
+
+// POST /api/admin/running/:queryId/kill
+router.post('/running/:queryId/kill',
+  asyncHandler(async (req, res) => {
+    const result = await SqlService.killQuery(req.params.queryId, req.user.id);
+
+    res.json(result);
+  })
+);
+
 /**
  * System Statistics
  */
@@ -218,17 +636,16 @@ router.get('/stats',
     // This could be expanded with more comprehensive stats
     const users = await UserModel.list({ limit: 1000 });
     const connections = await ConnectionModel.list({ includeInactive: true });
+    const roles = await RoleService.list();
 
     res.json({
       users: {
         total: users.length,
         active: users.filter(u => u.isActive).length,
-        byRole: {
-          admin: users.filter(u => u.role === ROLES.ADMIN).length,
-          developer: users.filter(u => u.role === ROLES.DEVELOPER).length,
-          analyst: users.filter(u => u.role === ROLES.ANALYST).length,
-          viewer: users.filter(u => u.role === ROLES.VIEWER).length
-        }
+        byRole: Object.fromEntries(roles.map(role => [
+          role.name.toLowerCase(),
+          users.filter(u => u.role === role.name).length
+        ]))
       },
       connections: {
         total: connections.length,
@@ -0,0 +1,118 @@
+import express from 'express';
+import { ApprovalService } from '../services/ApprovalService.js';
+import { authenticate } from '../middleware/auth.js';
+import { validate, validateQueryParams, approvalRequestSchema, approvalReviewSchema, approvalRejectSchema, approvalListSchema } from '../utils/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import logger from '../config/logger.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * POST /api/approvals
+ * Submit a script for approval, with a justification
+ */
+router.post('/',
+  validate(approvalRequestSchema),
+  asyncHandler(async (req, res) => {
+    const approval = await ApprovalService.submit({
+      ...req.validatedData,
+      userId: req.user.id,
+      userRole: req.user.role
+    });
+
+    logger.info(`Approval requested by ${req.user.username}: ${approval.id}`);
+
+    res.status(201).json(approval);
+  })
+);
+
+/**
+ * GET /api/approvals
+ * List approval requests: reviewers also see everyone's on the connections they
+ * may review (?mine=true for only their own), others their own
+ */
+router.get('/',
+  validateQueryParams(approvalListSchema),
+  asyncHandler(async (req, res) => {
+    const { status, mine, limit, offset } = req.validatedQuery;
+
+    const { approvals, canReview } = await ApprovalService.list(req.user, {
+      status,
+      mine: mine === 'true',
+      limit,
+      offset
+    });
+
+    res.json({
+      data: approvals,
+      canReview,
+      limit,
+      offset,
+      count: approvals.length
+    });
+  })
+);
+
+/**
+ * GET /api/approvals/:id
+ * Get an approval request
+ */
+router.get('/:id',
+  asyncHandler(async (req, res) => {
+    const approval = await ApprovalService.get(req.params.id, req.user);
+
+    if (!approval) {
+      return res.status(404).json({ error: 'Approval request not found' });
+    }
+
+    res.json(approval);
+  })
+);
+
+/**
+ * POST /api/approvals/:id/approve
+ * Approve a pending request, which runs it as its submitter
+ */
+router.post('/:id/approve',
+  validate(approvalReviewSchema),
+  asyncHandler(async (req, res) => {
+    const result = await ApprovalService.approve(req.params.id, {
+      reviewer: req.user,
+      comment: req.validatedData.comment || null
+    });
+
+    res.json(result);
+  })
+);
+
+/**
+ * POST /api/approvals/:id/reject
+ * Reject a pending request, saying why
+ */
+router.post('/:id/reject',
+  validate(approvalRejectSchema),
+  asyncHandler(async (req, res) => {
+    const approval = await ApprovalService.reject(req.params.id, {
+      reviewer: req.user,
+      comment: req.validatedData.comment
+    });
+
+    res.json(approval);
+  })
+);
+
+/**
+ * POST /api/approvals/:id/cancel
+ * Withdraw one of your own pending requests
+ */
+router.post('/:id/cancel',
+  asyncHandler(async (req, res) => {
+    const approval = await ApprovalService.cancel(req.params.id, req.user);
+
+    res.json(approval);
+  })
+);
+
+export default router;
@@ -1,5 +1,6 @@
 import express from 'express';
 import { UserModel } from '../models/User.js';
+import { RoleService } from '../services/RoleService.js';
 import { generateToken } from '../middleware/auth.js';
 import { validate, loginSchema } from '../utils/validation.js';
 import { authenticate } from '../middleware/auth.js';
@@ -43,7 +44,8 @@ router.post('/login',
         id: user.id,
         username: user.username,
         email: user.email,
-        role: user.role
+        role: user.role,
+        permissions: await RoleService.getPermissions(user.role)
       }
     });
   })
@@ -82,6 +84,7 @@ router.get('/me',
       username: user.username,
       email: user.email,
       role: user.role,
+      permissions: await RoleService.getPermissions(user.role),
       isActive: user.isActive,
       createdAt: user.createdAt,
       lastLoginAt: user.lastLoginAt
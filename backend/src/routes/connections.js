@@ -1,26 +1,45 @@
 import express from 'express';
 import { ConnectionModel } from '../models/Connection.js';
+import { ConnectionGrantModel } from '../models/ConnectionGrant.js';
+import { RoleService } from '../services/RoleService.js';
+import { SchemaService } from '../services/SchemaService.js';
 import { authenticate } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 
 const router = express.Router();
 
+/**
+ * Role the user works under on each connection they were granted
+ * (roles that manage connections get every connection)
+ */
+async function accessibleRoles(user, connections) {
+  if ((await RoleService.getPermissions(user.role)).canManageConnections) {
+    return new Map(connections.map(conn => [conn.id, user.role]));
+  }
+  return ConnectionGrantModel.listAccessible({ userId: user.id, role: user.role });
+}
+
 /**
  * GET /api/connections
- * List available connections (non-admin users can only see active connections)
+ * List the active connections the user has been granted, with the role they have on each
  */
 router.get('/',
   authenticate,
   asyncHandler(async (req, res) => {
     // Only return active connections with minimal info
     const connections = await ConnectionModel.list({ includeInactive: false });
+    const roles = await accessibleRoles(req.user, connections);
 
     // Return only safe fields
-    const safeConnections = connections.map(conn => ({
-      id: conn.id,
-      name: conn.name,
-      isActive: conn.isActive
-    }));
+    const safeConnections = connections
+      .filter(conn => roles.has(conn.id))
+      .map(conn => ({
+        id: conn.id,
+        name: conn.name,
+        isActive: conn.isActive,
+        requiresApproval: conn.requiresApproval,
+        role: roles.get(conn.id)
+      }));
 
     res.json({
       data: safeConnections,
@@ -38,15 +57,70 @@ router.get('/:id',
   asyncHandler(async (req, res) => {
     const connection = await ConnectionModel.findById(req.params.id);
 
-    if (!connection || !connection.isActive) {
+    // Connections the user was not granted are reported as missing
+    const role = connection?.isActive
+      ? (await accessibleRoles(req.user, [connection])).get(connection.id)
+      : null;
+
+    if (!role) {
       return res.status(404).json({ error: 'Connection not found' });
     }
 
     res.json({
       id: connection.id,
       name: connection.name,
-      isActive: connection.isActive
+      isActive: connection.isActive,
+      requiresApproval: connection.requiresApproval,
+      role
+    });
+  })
+);
+
+/**
+ * GET /api/connections/:id/schema
+ * List schemas with their tables, views, procedures and functions
+ * (with columns=true, also every object's columns and parameters; with
+ * refresh=true, check the catalog for changes first). Answers 304 when
+ * If-None-Match carries the current ETag.
+ */
+router.get('/:id/schema',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const result = await SchemaService.listObjects(req.params.id, {
+      userId: req.user.id,
+      userRole: req.user.role
+    }, {
+      columns: req.query.columns === 'true',
+      refresh: req.query.refresh === 'true'
     });
+
+    res.set({ 'ETag': result.etag, 'Cache-Control': 'private, no-cache' });
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    res.json(result);
+  })
+);
+
+/**
+ * GET /api/connections/:id/schema/:schema/:name
+ * Describe an object: columns, primary and foreign keys, indexes, parameters and a CREATE script
+ */
+router.get('/:id/schema/:schema/:name',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const object = await SchemaService.describeObject(req.params.id, req.params.schema, req.params.name, {
+      userId: req.user.id,
+      userRole: req.user.role
+    });
+
+    if (!object) {
+      return res.status(404).json({ error: 'Object not found' });
+    }
+
+    res.json(object);
   })
 );
 
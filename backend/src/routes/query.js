@@ -1,8 +1,13 @@
 import express from 'express';
 import { SqlService } from '../services/SqlService.js';
+import { QueryJobService } from '../services/QueryJobService.js';
+import { SessionService } from '../services/SessionService.js';
+import { QuotaService } from '../services/QuotaService.js';
+import { TableBrowseService } from '../services/TableBrowseService.js';
+import { RowEditService } from '../services/RowEditService.js';
 import { QueryHistoryModel } from '../models/QueryHistory.js';
-import { authenticate } from '../middleware/auth.js';
-import { validate, executeQuerySchema, validateQueryParams, queryHistorySchema } from '../utils/validation.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate, executeQuerySchema, browseTableSchema, editTargetSchema, rowEditsSchema, openSessionSchema, validateQueryParams, queryHistorySchema, resultRowsSchema } from '../utils/validation.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { queryRateLimiter } from '../middleware/security.js';
 import logger from '../config/logger.js';
@@ -18,28 +23,403 @@ router.post('/execute',
   queryRateLimiter(),
   validate(executeQuerySchema),
   asyncHandler(async (req, res) => {
-    const { connectionId, sql, parameters } = req.validatedData;
+    const { connectionId, sql, parameters, sessionId, plan, confirmExpensive } = req.validatedData;
 
     logger.info(`Query execution requested by ${req.user.username} on connection ${connectionId}`);
 
+    // Clients that accept NDJSON get rows as they arrive instead of one buffered body
+    if (req.accepts(['application/json', 'application/x-ndjson']) === 'application/x-ndjson') {
+      return streamQuery(req, res, { connectionId, sql, parameters, sessionId, plan, confirmExpensive });
+    }
+
     const result = await SqlService.executeQuery({
       connectionId,
       sql,
       parameters,
+      sessionId,
+      plan,
+      confirmExpensive,
+      userId: req.user.id,
+      userRole: req.user.role
+    });
+
+    res.json(result);
+  })
+);
+
+/**
+ * POST /api/query/dry-run
+ * Run a script inside a transaction that is always rolled back, returning
+ * row counts and a sample of the changed rows
+ */
+router.post('/dry-run',
+  authenticate,
+  queryRateLimiter(),
+  validate(executeQuerySchema),
+  asyncHandler(async (req, res) => {
+    const { connectionId, sql, parameters, sessionId, confirmExpensive } = req.validatedData;
+
+    logger.info(`Dry run requested by ${req.user.username} on connection ${connectionId}`);
+
+    const result = await SqlService.executeQuery({
+      connectionId,
+      sql,
+      parameters,
+      sessionId,
+      dryRun: true,
+      confirmExpensive,
+      userId: req.user.id,
+      userRole: req.user.role
+    });
+
+    res.json(result);
+  })
+);
+
+/**
+ * POST /api/query/browse
+ * Get a page of a table's rows, filtered and sorted as picked in the table
+ * browser; the generated SQL and its parameters come back with the rows
+ */
+router.post('/browse',
+  authenticate,
+  queryRateLimiter(),
+  validate(browseTableSchema),
+  asyncHandler(async (req, res) => {
+    const { connectionId, schema, table, ...options } = req.validatedData;
+
+    logger.info(`Table browse of ${schema}.${table} requested by ${req.user.username} on connection ${connectionId}`);
+
+    const result = await TableBrowseService.browse({
+      connectionId,
+      schema,
+      table,
+      ...options,
+      userId: req.user.id,
+      userRole: req.user.role
+    });
+
+    res.json(result);
+  })
+);
+
+/**
+ * POST /api/query/edit/target
+ * Whether a result set can be edited in the grid: the table it was read
+ * from, its key and which of its columns can be changed
+ */
+router.post('/edit/target',
+  authenticate,
+  validate(editTargetSchema),
+  asyncHandler(async (req, res) => {
+    const target = await RowEditService.describeTarget({
+      ...req.validatedData,
+      userId: req.user.id,
+      userRole: req.user.role
+    });
+
+    res.json(target);
+  })
+);
+
+/**
+ * POST /api/query/edit/preview
+ * The UPDATE, INSERT and DELETE statements a set of row changes would run
+ */
+router.post('/edit/preview',
+  authenticate,
+  validate(rowEditsSchema),
+  asyncHandler(async (req, res) => {
+    const preview = await RowEditService.preview({
+      ...req.validatedData,
+      userId: req.user.id,
+      userRole: req.user.role
+    });
+
+    res.json(preview);
+  })
+);
+
+/**
+ * POST /api/query/edit/apply
+ * Apply a set of row changes in one transaction; nothing is applied if a
+ * row was changed by someone else since it was read (409)
+ */
+router.post('/edit/apply',
+  authenticate,
+  queryRateLimiter(),
+  validate(rowEditsSchema),
+  asyncHandler(async (req, res) => {
+    const { connectionId, schema, table, changes } = req.validatedData;
+
+    logger.info(`${changes.length} row edits to ${schema}.${table} requested by ${req.user.username} on connection ${connectionId}`);
+
+    const result = await RowEditService.apply({
+      ...req.validatedData,
+      userId: req.user.id,
+      userRole: req.user.role
+    });
+
+    res.json(result);
+  })
+);
+
+/**
+ * Execute a query and write its events as newline-delimited JSON.
+ * Each line is one event: queued while the query waits for a slot, start, then resultSet, rows, message, plan and
+ * progress events as the script runs, then done (the summary without rows) or error.
+ * The query is cancelled if the client disconnects before it completes.
+ */
+async function streamQuery(req, res, { connectionId, sql, parameters, sessionId, plan, confirmExpensive }) {
+  let queryId = null;
+  let closed = false;
+
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  res.on('close', () => {
+    closed = true;
+    if (queryId && !res.writableEnded) {
+      SqlService.cancelQuery(queryId, req.user.id).catch(() => {});
+    }
+  });
+
+  const write = (event) => {
+    if (closed) {
+      return Promise.reject(new Error('Client disconnected'));
+    }
+
+    // Until it starts, a queued query is cancelled by its queue id
+    if (event.type === 'queued' || event.type === 'start') {
+      queryId = event.queryId ?? event.queueId;
+    }
+
+    if (!res.write(`${JSON.stringify(event)}\n`)) {
+      return new Promise((resolve, reject) => {
+        res.once('drain', resolve);
+        res.once('close', reject);
+      });
+    }
+
+    return null;
+  };
+
+  try {
+    const { resultSets, messages, plans, ...summary } = await SqlService.executeQuery({
+      connectionId,
+      sql,
+      parameters,
+      sessionId,
+      plan,
+      confirmExpensive,
+      userId: req.user.id,
+      userRole: req.user.role,
+      onEvent: write
+    });
+
+    if (!closed) {
+      // Rows, messages and plans were already streamed; only describe the result sets here
+      const done = {
+        type: 'done',
+        ...summary,
+        resultSets: resultSets.map(({ rows, ...set }) => set)
+      };
+      res.end(`${JSON.stringify(done)}\n`);
+    }
+  } catch (error) {
+    if (!closed) {
+      res.end(`${JSON.stringify({ type: 'error', error: 'Query Error', message: error.message, status: error.status, details: error.details })}\n`);
+    }
+  }
+}
+
+/**
+ * POST /api/query/jobs
+ * Submit a query to run in the background; returns the job id immediately
+ */
+router.post('/jobs',
+  authenticate,
+  queryRateLimiter(),
+  validate(executeQuerySchema),
+  asyncHandler(async (req, res) => {
+    const { connectionId, sql, parameters, confirmExpensive } = req.validatedData;
+
+    logger.info(`Query job requested by ${req.user.username} on connection ${connectionId}`);
+
+    const job = QueryJobService.submit({
+      connectionId,
+      sql,
+      parameters,
+      confirmExpensive,
       userId: req.user.id,
       userRole: req.user.role
     });
 
+    res.status(202).json(job);
+  })
+);
+
+/**
+ * GET /api/query/jobs
+ * List current user's background jobs
+ */
+router.get('/jobs',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const jobs = QueryJobService.list(req.user.id);
+
+    res.json({
+      data: jobs,
+      count: jobs.length
+    });
+  })
+);
+
+/**
+ * GET /api/query/jobs/:id
+ * Get job status, with the result once it has finished
+ */
+router.get('/jobs/:id',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const job = QueryJobService.get(req.params.id, req.user.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found or expired' });
+    }
+
+    res.json(job);
+  })
+);
+
+/**
+ * DELETE /api/query/jobs/:id
+ * Cancel a running job or discard a finished one
+ */
+router.delete('/jobs/:id',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const result = await QueryJobService.cancel(req.params.id, req.user.id);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Job not found or expired' });
+    }
+
     res.json(result);
   })
 );
 
+/**
+ * POST /api/query/sessions
+ * Open a session pinned to one connection of the server
+ */
+router.post('/sessions',
+  authenticate,
+  validate(openSessionSchema),
+  asyncHandler(async (req, res) => {
+    const session = await SessionService.open({
+      connectionId: req.validatedData.connectionId,
+      userId: req.user.id,
+      userRole: req.user.role
+    });
+
+    res.status(201).json(session);
+  })
+);
+
+/**
+ * GET /api/query/sessions
+ * List current user's open sessions
+ */
+router.get('/sessions',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const sessions = SessionService.list(req.user.id);
+
+    res.json({
+      data: sessions,
+      count: sessions.length
+    });
+  })
+);
+
+/**
+ * GET /api/query/sessions/:id
+ * Get a session and its open transaction count
+ */
+router.get('/sessions/:id',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    res.json(SessionService.get(req.params.id, req.user.id));
+  })
+);
+
+/**
+ * POST /api/query/sessions/:id/begin|commit|rollback
+ * Control the session's transaction
+ */
+for (const action of ['begin', 'commit', 'rollback']) {
+  router.post(`/sessions/:id/${action}`,
+    authenticate,
+    asyncHandler(async (req, res) => {
+      logger.info(`Session ${action} requested by ${req.user.username} for session ${req.params.id}`);
+
+      const session = await SessionService[action](req.params.id, req.user.id);
+
+      res.json(session);
+    })
+  );
+}
+
+/**
+ * DELETE /api/query/sessions/:id
+ * Roll back and close a session
+ */
+router.delete('/sessions/:id',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const result = await SessionService.close(req.params.id, req.user.id);
+
+    res.json(result);
+  })
+);
+
+/**
+ * GET /api/query/:queryId/rows
+ * Get a further page of a truncated result (?resultSet=&offset=&limit=)
+ */
+router.get('/:queryId/rows',
+  authenticate,
+  validateQueryParams(resultRowsSchema),
+  asyncHandler(async (req, res) => {
+    const { resultSet, offset, limit } = req.validatedQuery;
+
+    const page = await SqlService.getResultRows(req.params.queryId, {
+      userId: req.user.id,
+      userRole: req.user.role,
+      resultSet,
+      offset,
+      limit
+    });
+
+    if (!page) {
+      return res.status(404).json({ error: 'Result not found or expired' });
+    }
+
+    res.json(page);
+  })
+);
+
 /**
  * POST /api/query/cancel/:queryId
  * Cancel running query
  */
 router.post('/cancel/:queryId',
   authenticate,
+  requirePermission(permissions => permissions.canCancelQueries),
   asyncHandler(async (req, res) => {
     const { queryId } = req.params;
 
@@ -57,12 +437,13 @@ router.post('/cancel/:queryId',
  */
 router.get('/history',
   authenticate,
+  requirePermission(permissions => permissions.canViewHistory),
   validateQueryParams(queryHistorySchema),
   asyncHandler(async (req, res) => {
     const { limit, offset, startDate, endDate, connectionId, status } = req.validatedQuery;
 
-    // Users can only see their own history unless they're admin
-    const userId = req.user.role === 'ADMIN' ? null : req.user.id;
+    // Users can only see their own history unless they manage users
+    const userId = req.permissions.canManageUsers ? null : req.user.id;
 
     const history = await QueryHistoryModel.list({
       userId,
@@ -89,6 +470,7 @@ router.get('/history',
  */
 router.get('/history/:id',
   authenticate,
+  requirePermission(permissions => permissions.canViewHistory),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
 
@@ -98,8 +480,8 @@ router.get('/history/:id',
       return res.status(404).json({ error: 'Query not found' });
     }
 
-    // Users can only see their own queries unless they're admin
-    if (query.userId !== req.user.id && req.user.role !== 'ADMIN') {
+    // Users can only see their own queries unless they manage users
+    if (query.userId !== req.user.id && !req.permissions.canManageUsers) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -109,7 +491,7 @@ router.get('/history/:id',
 
 /**
  * GET /api/query/running
- * Get user's running queries
+ * Get user's running queries, and those waiting in the queue
  */
 router.get('/running',
   authenticate,
@@ -141,4 +523,17 @@ router.get('/stats',
   })
 );
 
+/**
+ * GET /api/query/quota
+ * Get the current user's quotas, what is left of them and when they reset
+ */
+router.get('/quota',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const status = await QuotaService.getStatus(req.user.id);
+
+    res.json(status);
+  })
+);
+
 export default router;
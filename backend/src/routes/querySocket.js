@@ -0,0 +1,213 @@
+import { WebSocketServer } from 'ws';
+import { SqlService } from '../services/SqlService.js';
+import { RoleService } from '../services/RoleService.js';
+import { verifyToken } from '../middleware/auth.js';
+import { executeQuerySchema } from '../utils/validation.js';
+import logger from '../config/logger.js';
+
+export const QUERY_SOCKET_PATH = '/api/query/ws';
+
+// Clients must authenticate within this time after connecting
+const AUTH_TIMEOUT_MS = 10 * 1000;
+
+// Same budget as queryRateLimiter: executions per user per minute
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const RATE_LIMIT_MAX = 30;
+
+// userId -> timestamps of recent executions
+const executionLog = new Map();
+
+function isRateLimited(userId) {
+  const now = Date.now();
+  const recent = (executionLog.get(userId) || []).filter(time => now - time < RATE_LIMIT_WINDOW_MS);
+
+  if (recent.length >= RATE_LIMIT_MAX) {
+    executionLog.set(userId, recent);
+    return true;
+  }
+
+  recent.push(now);
+  executionLog.set(userId, recent);
+  return false;
+}
+
+/**
+ * Attach the live query channel to the HTTP server.
+ *
+ * Protocol (JSON messages):
+ *   client -> { type: 'auth', token }
+ *   client -> { type: 'execute', requestId, connectionId, sql, parameters, sessionId, plan }
+ *   client -> { type: 'cancel', queryId }
+ *   server -> { type: 'ready' } after authentication
+ *   server -> query events (queued, start, progress, resultSet, rows, message, plan, done, error)
+ *             tagged with the requestId of the execute message they belong to
+ *
+ * The query id is pushed in the start event as soon as execution begins, so
+ * the client can cancel over the same socket while the query is running;
+ * a query waiting for a slot is cancelled by the queueId of its queued events.
+ */
+export function attachQuerySocket(server) {
+  const wss = new WebSocketServer({ server, path: QUERY_SOCKET_PATH });
+
+  wss.on('connection', (socket, req) => {
+    let user = null;
+    // queryIds started by this socket, cancelled if it closes
+    const activeQueries = new Set();
+
+    const send = (message) => {
+      if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    };
+
+    // Send a query event; returns a promise while the socket has a large backlog
+    // so the query stream waits for the client to catch up
+    const forward = (message) => {
+      if (socket.readyState !== socket.OPEN) {
+        return Promise.reject(new Error('Socket closed'));
+      }
+
+      socket.send(JSON.stringify(message));
+
+      if (socket.bufferedAmount <= 1024 * 1024) {
+        return null;
+      }
+
+      return new Promise((resolve, reject) => {
+        const check = setInterval(() => {
+          if (socket.readyState !== socket.OPEN) {
+            clearInterval(check);
+            reject(new Error('Socket closed'));
+          } else if (socket.bufferedAmount < 256 * 1024) {
+            clearInterval(check);
+            resolve();
+          }
+        }, 50);
+      });
+    };
+
+    const authTimer = setTimeout(() => {
+      if (!user) socket.close(4401, 'Authentication required');
+    }, AUTH_TIMEOUT_MS);
+
+    socket.on('message', async (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        send({ type: 'error', error: 'Invalid message' });
+        return;
+      }
+
+      if (!user) {
+        const decoded = message.type === 'auth' ? verifyToken(message.token) : null;
+        if (!decoded) {
+          socket.close(4401, 'Invalid or expired token');
+          return;
+        }
+        user = decoded;
+        clearTimeout(authTimer);
+        send({ type: 'ready' });
+        return;
+      }
+
+      if (message.type === 'execute') {
+        await handleExecute(message);
+      } else if (message.type === 'cancel') {
+        await handleCancel(message);
+      } else {
+        send({ type: 'error', error: `Unknown message type: ${message.type}` });
+      }
+    });
+
+    async function handleExecute(message) {
+      const { requestId } = message;
+      const parsed = executeQuerySchema.safeParse(message);
+
+      if (!parsed.success) {
+        send({ type: 'error', requestId, error: 'Validation failed', details: parsed.error.errors });
+        return;
+      }
+
+      if (isRateLimited(user.id)) {
+        logger.warn(`Query rate limit exceeded for user: ${user.username}`);
+        send({ type: 'error', requestId, error: 'Too many queries', message: 'Please slow down your query rate' });
+        return;
+      }
+
+      const { connectionId, sql, parameters, sessionId, plan, confirmExpensive } = parsed.data;
+      let queryId = null;
+      let queueId = null;
+
+      logger.info(`Query execution requested by ${user.username} on connection ${connectionId} (socket)`);
+
+      try {
+        const { resultSets, messages, plans, ...summary } = await SqlService.executeQuery({
+          connectionId,
+          sql,
+          parameters,
+          sessionId,
+          plan,
+          confirmExpensive,
+          userId: user.id,
+          userRole: user.role,
+          onEvent: (event) => {
+            if (event.type === 'queued' && !queueId) {
+              queueId = event.queueId;
+              activeQueries.add(queueId);
+            }
+            if (event.type === 'start') {
+              activeQueries.delete(queueId);
+              queryId = event.queryId;
+              activeQueries.add(queryId);
+            }
+            return forward({ ...event, requestId, queryId });
+          }
+        });
+
+        send({
+          type: 'done',
+          requestId,
+          ...summary,
+          resultSets: resultSets.map(({ rows, ...set }) => set)
+        });
+      } catch (error) {
+        send({ type: 'error', requestId, queryId, error: 'Query Error', message: error.message, status: error.status, details: error.details });
+      } finally {
+        activeQueries.delete(queueId);
+        activeQueries.delete(queryId);
+      }
+    }
+
+    async function handleCancel({ queryId }) {
+      try {
+        if (!(await RoleService.getPermissions(user.role)).canCancelQueries) {
+          send({ type: 'error', queryId, error: 'Cancel failed', message: 'Permission denied' });
+          return;
+        }
+
+        const result = await SqlService.cancelQuery(queryId, user.id);
+        send({ type: 'cancelled', queryId, ...result });
+      } catch (error) {
+        send({ type: 'error', queryId, error: 'Cancel failed', message: error.message });
+      }
+    }
+
+    socket.on('close', () => {
+      clearTimeout(authTimer);
+      for (const queryId of activeQueries) {
+        SqlService.cancelQuery(queryId, user.id)
+          .catch(error => logger.warn(`Failed to cancel query ${queryId} of closed socket: ${error.message}`));
+      }
+      activeQueries.clear();
+    });
+
+    socket.on('error', (error) => {
+      logger.warn(`Query socket error from ${req.socket.remoteAddress}: ${error.message}`);
+    });
+  });
+
+  logger.info(`Query socket listening on ${QUERY_SOCKET_PATH}`);
+
+  return wss;
+}
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+import { getTursoClient } from '../config/database.js';
+import logger from '../config/logger.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Columns that older databases limit to the four built-in roles
+const ROLE_COLUMNS = {
+  users: 'role',
+  connection_grants: 'role_override',
+  object_policies: 'role'
+};
+
+/**
+ * Rebuild a table without the CHECK constraint on its role column
+ *
+ * SQLite cannot drop a constraint, so the table is copied into one created
+ * from the original definition minus the CHECK, and its indexes recreated.
+ * @returns {boolean} - false if the table had no such constraint
+ */
+async function dropRoleCheck(db, table, column) {
+  const result = await db.execute({
+    sql: "SELECT type, name, sql FROM sqlite_master WHERE tbl_name = ? AND sql IS NOT NULL",
+    args: [table]
+  });
+
+  const definition = result.rows.find(row => row.type === 'table');
+  const check = new RegExp(`\\s*CHECK\\s*\\(\\s*${column}\\s+IN\\s*\\([^)]*\\)\\s*\\)`, 'i');
+
+  if (!definition || !check.test(definition.sql)) {
+    return false;
+  }
+
+  const indexes = result.rows.filter(row => row.type === 'index').map(row => row.sql);
+  const createSql = definition.sql
+    .replace(check, '')
+    .replace(new RegExp(`^CREATE TABLE\\s+("?${table}"?)`, 'i'), `CREATE TABLE ${table}_new`);
+
+  await db.batch([
+    createSql,
+    `INSERT INTO ${table}_new SELECT * FROM ${table}`,
+    `DROP TABLE ${table}`,
+    `ALTER TABLE ${table}_new RENAME TO ${table}`,
+    ...indexes
+  ], 'write');
+
+  return true;
+}
+
+// Columns added since the first release: table -> { column: definition }
+const ADDED_COLUMNS = {
+  connections: { requires_approval: 'INTEGER DEFAULT 0', max_concurrent_queries: 'INTEGER' },
+  users: { quotas: 'TEXT' }
+};
+
+/**
+ * Add a column to a table that predates it
+ * @returns {boolean} - false if the table already has the column
+ */
+async function addColumn(db, table, column, definition) {
+  const result = await db.execute(`PRAGMA table_info(${table})`);
+
+  if (result.rows.some(row => row.name === column)) {
+    return false;
+  }
+
+  await db.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+async function migrateDatabase() {
+  logger.info('Migrating database...');
+
+  const db = getTursoClient();
+
+  try {
+    // Tables referencing the rebuilt ones must not lose rows while they are swapped
+    await db.execute('PRAGMA foreign_keys = OFF');
+
+    for (const [table, column] of Object.entries(ROLE_COLUMNS)) {
+      if (await dropRoleCheck(db, table, column)) {
+        logger.info(`✓ Role constraint removed from ${table}`);
+      }
+    }
+
+    await db.execute('PRAGMA foreign_keys = ON');
+
+    for (const [table, columns] of Object.entries(ADDED_COLUMNS)) {
+      for (const [column, definition] of Object.entries(columns)) {
+        if (await addColumn(db, table, column, definition)) {
+          logger.info(`✓ Column ${table}.${column} added`);
+        }
+      }
+    }
+
+    logger.info('Database migration completed successfully!');
+  } catch (error) {
+    logger.error('Error migrating database:', error);
+    process.exit(1);
+  }
+}
+
+// Ensure logs directory exists
+const logsDir = path.join(__dirname, '../../logs');
+if (!fs.existsSync(logsDir)) {
+  fs.mkdirSync(logsDir, { recursive: true });
+}
+
+migrateDatabase();
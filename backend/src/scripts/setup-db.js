@@ -1,5 +1,6 @@
 #!/usr/bin/env node
 import { getTursoClient } from '../config/database.js';
+import { RoleModel } from '../models/Role.js';
 import logger from '../config/logger.js';
 import fs from 'fs';
 import path from 'path';
@@ -21,8 +22,9 @@ async function setupDatabase() {
         username TEXT UNIQUE NOT NULL,
         password_hash TEXT NOT NULL,
         email TEXT,
-        role TEXT NOT NULL CHECK(role IN ('VIEWER', 'ANALYST', 'DEVELOPER', 'ADMIN')),
+        role TEXT NOT NULL,
         is_active INTEGER DEFAULT 1,
+        quotas TEXT,
         created_at TEXT NOT NULL,
         updated_at TEXT NOT NULL,
         last_login_at TEXT
@@ -30,6 +32,20 @@ async function setupDatabase() {
     `);
     logger.info('✓ Users table created');
 
+    // Create roles table; permissions is a JSON object
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS roles (
+        name TEXT PRIMARY KEY,
+        description TEXT,
+        permissions TEXT NOT NULL,
+        is_builtin INTEGER DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+    await RoleModel.seedBuiltins();
+    logger.info('✓ Roles table created');
+
     // Create connections table
     await db.execute(`
       CREATE TABLE IF NOT EXISTS connections (
@@ -37,6 +53,8 @@ async function setupDatabase() {
         name TEXT NOT NULL,
         encrypted_config TEXT NOT NULL,
         encrypted_password TEXT NOT NULL,
+        requires_approval INTEGER DEFAULT 0,
+        max_concurrent_queries INTEGER,
         is_active INTEGER DEFAULT 1,
         created_at TEXT NOT NULL,
         updated_at TEXT NOT NULL
@@ -63,12 +81,126 @@ async function setupDatabase() {
     `);
     logger.info('✓ Query history table created');
 
+    // Create connection_grants table
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS connection_grants (
+        id TEXT PRIMARY KEY,
+        connection_id TEXT NOT NULL,
+        grantee_type TEXT NOT NULL CHECK(grantee_type IN ('USER', 'ROLE')),
+        grantee TEXT NOT NULL,
+        role_override TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        UNIQUE (connection_id, grantee_type, grantee),
+        FOREIGN KEY (connection_id) REFERENCES connections(id)
+      )
+    `);
+    logger.info('✓ Connection grants table created');
+
+    // Create object_policies table
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS object_policies (
+        id TEXT PRIMARY KEY,
+        connection_id TEXT NOT NULL,
+        role TEXT NOT NULL,
+        object_type TEXT NOT NULL CHECK(object_type IN ('SCHEMA', 'TABLE', 'VIEW', 'PROCEDURE')),
+        schema_name TEXT NOT NULL,
+        object_name TEXT,
+        effect TEXT NOT NULL CHECK(effect IN ('ALLOW', 'DENY')),
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        FOREIGN KEY (connection_id) REFERENCES connections(id)
+      )
+    `);
+    logger.info('✓ Object policies table created');
+
+    // Create masking_rules table
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS masking_rules (
+        id TEXT PRIMARY KEY,
+        connection_id TEXT NOT NULL,
+        match_type TEXT NOT NULL CHECK(match_type IN ('PATTERN', 'COLUMN')),
+        pattern TEXT NOT NULL,
+        strategy TEXT NOT NULL CHECK(strategy IN ('FULL', 'PARTIAL', 'HASH', 'NULL')),
+        exempt_roles TEXT NOT NULL DEFAULT '[]',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        FOREIGN KEY (connection_id) REFERENCES connections(id)
+      )
+    `);
+    logger.info('✓ Masking rules table created');
+
+    // Create query_approvals table; query_history_id is the run of an approved request
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS query_approvals (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        connection_id TEXT NOT NULL,
+        sql TEXT NOT NULL,
+        parameters TEXT NOT NULL DEFAULT '[]',
+        justification TEXT NOT NULL,
+        status TEXT NOT NULL CHECK(status IN ('pending', 'approved', 'rejected', 'cancelled', 'executed', 'failed')),
+        reviewer_id TEXT,
+        review_comment TEXT,
+        reviewed_at TEXT,
+        query_history_id TEXT,
+        error_message TEXT,
+        executed_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        FOREIGN KEY (connection_id) REFERENCES connections(id),
+        FOREIGN KEY (reviewer_id) REFERENCES users(id),
+        FOREIGN KEY (query_history_id) REFERENCES query_history(id)
+      )
+    `);
+    logger.info('✓ Query approvals table created');
+
+    // Create quota_grants table: temporary increases on top of a user's quota
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS quota_grants (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        period TEXT NOT NULL CHECK(period IN ('daily', 'monthly')),
+        executions INTEGER,
+        rows INTEGER,
+        execution_time_ms INTEGER,
+        reason TEXT,
+        granted_by TEXT,
+        expires_at TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        FOREIGN KEY (granted_by) REFERENCES users(id)
+      )
+    `);
+    logger.info('✓ Quota grants table created');
+
+    // Create schema_snapshots table: the cached catalog of each connection
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS schema_snapshots (
+        connection_id TEXT PRIMARY KEY,
+        version TEXT NOT NULL,
+        state TEXT NOT NULL,
+        catalog TEXT NOT NULL,
+        refreshed_at TEXT NOT NULL,
+        FOREIGN KEY (connection_id) REFERENCES connections(id)
+      )
+    `);
+    logger.info('✓ Schema snapshots table created');
+
     // Create indexes for better performance
     await db.execute('CREATE INDEX IF NOT EXISTS idx_users_username ON users(username)');
     await db.execute('CREATE INDEX IF NOT EXISTS idx_query_history_user_id ON query_history(user_id)');
     await db.execute('CREATE INDEX IF NOT EXISTS idx_query_history_connection_id ON query_history(connection_id)');
     await db.execute('CREATE INDEX IF NOT EXISTS idx_query_history_created_at ON query_history(created_at)');
     await db.execute('CREATE INDEX IF NOT EXISTS idx_query_history_status ON query_history(status)');
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_query_history_user_created ON query_history(user_id, created_at)');
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_connection_grants_grantee ON connection_grants(grantee_type, grantee)');
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_object_policies_connection_role ON object_policies(connection_id, role)');
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_masking_rules_connection_id ON masking_rules(connection_id)');
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_query_approvals_status ON query_approvals(status)');
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_query_approvals_user_id ON query_approvals(user_id)');
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_quota_grants_user_id ON quota_grants(user_id, expires_at)');
     logger.info('✓ Indexes created');
 
     logger.info('Database setup completed successfully!');
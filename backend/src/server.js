@@ -4,12 +4,14 @@ import logger from './config/logger.js';
 import { securityHeaders, corsConfig, generalRateLimiter, sanitizeRequest, requestLogger } from './middleware/security.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
 import { SqlService } from './services/SqlService.js';
+import { attachQuerySocket } from './routes/querySocket.js';
 
 // Import routes
 import authRoutes from './routes/auth.js';
 import queryRoutes from './routes/query.js';
 import adminRoutes from './routes/admin.js';
 import connectionRoutes from './routes/connections.js';
+import approvalRoutes from './routes/approvals.js';
 
 // Load environment variables
 dotenv.config();
@@ -45,6 +47,7 @@ app.use('/api/auth', authRoutes);
 app.use('/api/query', queryRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/connections', connectionRoutes);
+app.use('/api/approvals', approvalRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -111,4 +114,7 @@ const server = app.listen(PORT, () => {
   logger.info(`Health check: http://localhost:${PORT}/health`);
 });
 
+// Live query progress and cancellation
+attachQuerySocket(server);
+
 export default app;
@@ -0,0 +1,243 @@
+import { QueryApprovalModel } from '../models/QueryApproval.js';
+import { ConnectionModel } from '../models/Connection.js';
+import { UserModel } from '../models/User.js';
+import { ROLES } from '../config/roles.js';
+import { prepareParameters } from '../utils/sqlParameters.js';
+import { splitBatches } from '../utils/sqlBatches.js';
+import { SqlService } from './SqlService.js';
+import { RoleService } from './RoleService.js';
+import logger from '../config/logger.js';
+
+function approvalError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Approval workflow for statements a user may not run on their own
+ *
+ * A user submits a script their role would refuse, or one that writes on a
+ * connection requiring approval, with a justification. Someone other than
+ * the submitter whose role on that connection is ADMIN or has
+ * canApproveQueries reviews it. Approving
+ * runs the script right away as the submitter, under their role's row and
+ * time limits, masking and object policies but not its statement
+ * restrictions or cost limits. The run is recorded in query_history with
+ * the approval noted above the SQL.
+ */
+export class ApprovalService {
+  /**
+   * Submit a script for approval
+   */
+  static async submit({ connectionId, sql, parameters = [], justification, userId, userRole }) {
+    // Only connections the user can use take requests
+    await RoleService.resolveConnectionRole(connectionId, { userId, userRole });
+
+    if (splitBatches(sql).length === 0) {
+      throw approvalError('The script contains no statements to run', 400);
+    }
+
+    // Refuse bad parameters now rather than when the request is approved
+    prepareParameters(parameters);
+
+    return QueryApprovalModel.create({ userId, connectionId, sql, parameters, justification });
+  }
+
+  /**
+   * Whether a user may review other users' requests on a connection, going by the role they have on it
+   */
+  static async canReview(user, connectionId) {
+    let role;
+    try {
+      role = await RoleService.resolveConnectionRole(connectionId, { userId: user.id, userRole: user.role });
+    } catch (error) {
+      if (error.status === 403) return false;
+      throw error;
+    }
+
+    return role === ROLES.ADMIN || Boolean((await RoleService.getPermissions(role)).canApproveQueries);
+  }
+
+  /**
+   * Connections whose requests a user may review
+   * @returns {Array} - Connection ids
+   */
+  static async reviewableConnections(user) {
+    const connections = await ConnectionModel.list({ includeInactive: true });
+    const reviewable = [];
+
+    for (const connection of connections) {
+      if (await this.canReview(user, connection.id)) {
+        reviewable.push(connection.id);
+      }
+    }
+
+    return reviewable;
+  }
+
+  /**
+   * List requests: a reviewer's own and those on connections they may review (only their own with mine)
+   * @returns {object} - { approvals, canReview }
+   */
+  static async list(user, { status, mine = false, limit, offset }) {
+    const reviewable = await this.reviewableConnections(user);
+    const canReview = reviewable.length > 0;
+
+    const approvals = await QueryApprovalModel.list({
+      userId: user.id,
+      connectionIds: canReview && !mine ? reviewable : [],
+      status,
+      limit,
+      offset
+    });
+
+    return { approvals, canReview };
+  }
+
+  /**
+   * Get a request the user submitted or may review
+   * @returns {object|null}
+   */
+  static async get(id, user) {
+    const approval = await QueryApprovalModel.findById(id);
+
+    if (!approval || (approval.userId !== user.id && !await this.canReview(user, approval.connectionId))) {
+      return null;
+    }
+
+    return approval;
+  }
+
+  /**
+   * Approve a pending request and run it as the submitter
+   * @returns {object} - { approval, result } where result summarizes the run, or null if it failed
+   */
+  static async approve(id, { reviewer, comment = null }) {
+    const approval = await this._getForReview(id, reviewer);
+
+    const claimed = await QueryApprovalModel.transition(id, 'pending', {
+      status: 'approved',
+      reviewerId: reviewer.id,
+      reviewComment: comment,
+      reviewedAt: new Date().toISOString()
+    });
+
+    // Someone else reviewed or the submitter cancelled it in the meantime
+    if (!claimed) {
+      throw approvalError('The request is no longer pending', 409);
+    }
+
+    logger.info(`Approval request ${id} approved by ${reviewer.username}`);
+
+    const submitter = await UserModel.findById(approval.userId);
+    let result = null;
+
+    try {
+      if (!submitter?.isActive) {
+        throw approvalError('The submitter\'s account is no longer active', 409);
+      }
+
+      const execution = await SqlService.executeQuery({
+        connectionId: approval.connectionId,
+        sql: approval.sql,
+        parameters: approval.parameters,
+        approval: { id, reviewerName: reviewer.username },
+        userId: submitter.id,
+        userRole: submitter.role
+      });
+
+      result = {
+        queryId: execution.queryId,
+        rowsAffected: execution.rowsAffected,
+        messages: execution.messages,
+        executionTimeMs: execution.executionTimeMs,
+        hasErrors: execution.hasErrors
+      };
+
+      await QueryApprovalModel.transition(id, 'approved', {
+        status: execution.hasErrors ? 'failed' : 'executed',
+        queryHistoryId: execution.queryId,
+        errorMessage: execution.hasErrors ? 'The script ran with errors; see its query history' : null,
+        executedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error(`Approved request ${id} failed to run:`, error);
+
+      await QueryApprovalModel.transition(id, 'approved', {
+        status: 'failed',
+        queryHistoryId: error.queryId || null,
+        errorMessage: error.message,
+        executedAt: new Date().toISOString()
+      });
+    }
+
+    return { approval: await QueryApprovalModel.findById(id), result };
+  }
+
+  /**
+   * Reject a pending request
+   */
+  static async reject(id, { reviewer, comment }) {
+    await this._getForReview(id, reviewer);
+
+    const rejected = await QueryApprovalModel.transition(id, 'pending', {
+      status: 'rejected',
+      reviewerId: reviewer.id,
+      reviewComment: comment,
+      reviewedAt: new Date().toISOString()
+    });
+
+    if (!rejected) {
+      throw approvalError('The request is no longer pending', 409);
+    }
+
+    logger.info(`Approval request ${id} rejected by ${reviewer.username}`);
+
+    return QueryApprovalModel.findById(id);
+  }
+
+  /**
+   * Withdraw a pending request; only its submitter can
+   */
+  static async cancel(id, user) {
+    const approval = await QueryApprovalModel.findById(id);
+
+    if (!approval || approval.userId !== user.id) {
+      throw approvalError('Approval request not found', 404);
+    }
+
+    if (!await QueryApprovalModel.transition(id, 'pending', { status: 'cancelled' })) {
+      throw approvalError('The request is no longer pending', 409);
+    }
+
+    logger.info(`Approval request ${id} cancelled by ${user.username}`);
+
+    return QueryApprovalModel.findById(id);
+  }
+
+  /**
+   * Load a request a reviewer is about to decide on
+   */
+  static async _getForReview(id, reviewer) {
+    const approval = await QueryApprovalModel.findById(id);
+
+    if (!approval) {
+      throw approvalError('Approval request not found', 404);
+    }
+
+    if (!await this.canReview(reviewer, approval.connectionId)) {
+      throw approvalError('You are not allowed to review approval requests on this connection', 403);
+    }
+
+    if (approval.userId === reviewer.id) {
+      throw approvalError('Requests must be reviewed by someone other than their submitter', 403);
+    }
+
+    if (approval.status !== 'pending') {
+      throw approvalError('The request is no longer pending', 409);
+    }
+
+    return approval;
+  }
+}
@@ -0,0 +1,196 @@
+import { v4 as uuidv4 } from 'uuid';
+import { SqlService } from './SqlService.js';
+import logger from '../config/logger.js';
+
+// How long finished jobs (and their results) stay retrievable
+const JOB_TTL_MS = parseInt(process.env.QUERY_JOB_TTL_MS) || 60 * 60 * 1000;
+
+// Finished jobs kept per user; the oldest are dropped first
+const MAX_JOBS_PER_USER = parseInt(process.env.QUERY_JOB_MAX_PER_USER) || 20;
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// jobId -> job
+const jobs = new Map();
+
+const sweeper = setInterval(() => QueryJobService.sweep(), SWEEP_INTERVAL_MS);
+sweeper.unref();
+
+/**
+ * Background query jobs
+ *
+ * A job runs SqlService.executeQuery detached from the HTTP request that
+ * submitted it, so it keeps running when the browser tab is closed or a
+ * proxy drops the connection. The result stays in memory until the job
+ * expires.
+ */
+export class QueryJobService {
+  /**
+   * Submit a query to run in the background
+   * @returns {object} - The job summary (without result)
+   */
+  static submit({ connectionId, sql, parameters, confirmExpensive, userId, userRole }) {
+    const job = {
+      id: uuidv4(),
+      userId,
+      connectionId,
+      sql,
+      status: 'queued',
+      queryId: null,
+      // Set while the job waits for a query slot
+      queueId: null,
+      queuePosition: null,
+      submittedAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: null,
+      result: null,
+      error: null
+    };
+
+    jobs.set(job.id, job);
+
+    SqlService.executeQuery({
+      connectionId,
+      sql,
+      parameters,
+      confirmExpensive,
+      userId,
+      userRole,
+      onEvent: (event) => {
+        if (event.type === 'queued') {
+          job.queueId = event.queueId;
+          job.queuePosition = event.position;
+        }
+        if (event.type === 'start') {
+          job.queuePosition = null;
+          job.status = 'running';
+          job.queryId = event.queryId;
+          job.startedAt = new Date().toISOString();
+        }
+      }
+    })
+      .then((result) => {
+        this._finish(job, 'success', { result });
+      })
+      .catch((error) => {
+        const status = error.message === 'Query cancelled by user' ? 'cancelled' : 'error';
+        this._finish(job, status, { error: error.message });
+      });
+
+    logger.info(`Query job submitted: ${job.id} by user ${userId}`);
+
+    this._trimUserJobs(userId);
+
+    return this._summarize(job);
+  }
+
+  /**
+   * Get a job, including its result once finished
+   * @returns {object|null} - null if unknown, expired or owned by another user
+   */
+  static get(jobId, userId) {
+    const job = jobs.get(jobId);
+
+    if (!job || job.userId !== userId) {
+      return null;
+    }
+
+    return {
+      ...this._summarize(job),
+      result: job.result,
+      error: job.error
+    };
+  }
+
+  /**
+   * List a user's jobs, newest first (without results)
+   */
+  static list(userId) {
+    return [...jobs.values()]
+      .filter(job => job.userId === userId)
+      .sort((a, b) => b.submittedAt.localeCompare(a.submittedAt))
+      .map(job => this._summarize(job));
+  }
+
+  /**
+   * Cancel a running job, or discard a finished one
+   */
+  static async cancel(jobId, userId) {
+    const job = jobs.get(jobId);
+
+    if (!job || job.userId !== userId) {
+      return null;
+    }
+
+    if (job.status === 'running' && job.queryId) {
+      await SqlService.cancelQuery(job.queryId, userId);
+      return { success: true, message: 'Job cancelled' };
+    }
+
+    if (job.status === 'queued' && job.queuePosition) {
+      await SqlService.cancelQuery(job.queueId, userId);
+      return { success: true, message: 'Job cancelled' };
+    }
+
+    if (job.status === 'queued') {
+      return { success: false, message: 'Job is starting; try again in a moment' };
+    }
+
+    jobs.delete(jobId);
+    return { success: true, message: 'Job removed' };
+  }
+
+  /**
+   * Drop expired jobs
+   */
+  static sweep() {
+    const now = Date.now();
+    for (const [jobId, job] of jobs) {
+      if (job.expiresAt && Date.parse(job.expiresAt) <= now) {
+        jobs.delete(jobId);
+      }
+    }
+  }
+
+  static _finish(job, status, { result = null, error = null }) {
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    job.finishedAt = new Date().toISOString();
+    job.expiresAt = new Date(Date.now() + JOB_TTL_MS).toISOString();
+
+    logger.info(`Query job ${status}: ${job.id}`);
+  }
+
+  /**
+   * Keep only the newest finished jobs of a user
+   */
+  static _trimUserJobs(userId) {
+    const finished = [...jobs.values()]
+      .filter(job => job.userId === userId && job.finishedAt)
+      .sort((a, b) => b.submittedAt.localeCompare(a.submittedAt));
+
+    for (const job of finished.slice(MAX_JOBS_PER_USER)) {
+      jobs.delete(job.id);
+    }
+  }
+
+  static _summarize(job) {
+    return {
+      id: job.id,
+      connectionId: job.connectionId,
+      sql: job.sql,
+      status: job.status,
+      queryId: job.queryId,
+      queuePosition: job.queuePosition,
+      submittedAt: job.submittedAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      expiresAt: job.expiresAt,
+      executionTimeMs: job.result?.executionTimeMs ?? null,
+      returnedRows: job.result?.returnedRows ?? null,
+      error: job.error
+    };
+  }
+}
@@ -0,0 +1,174 @@
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../config/logger.js';
+
+// How long a query waits for a free slot before it is refused
+const QUEUE_TIMEOUT_MS = parseInt(process.env.QUERY_QUEUE_TIMEOUT_MS) || 60 * 1000;
+
+// Queries holding a slot: ticket id -> ticket
+const running = new Map();
+
+// Queries waiting for a slot, oldest first
+const waiting = [];
+
+/**
+ * Concurrency limits on running queries
+ *
+ * Every query takes a slot before it touches the server. A user may only
+ * run so many queries at once, as may all users of a role together and all
+ * queries on a connection; a query over any of those limits waits in a
+ * single FIFO queue. When a slot frees up, the oldest waiting query that
+ * now fits starts, so a user blocked by their own limit does not hold up
+ * other users. A query still waiting after QUERY_QUEUE_TIMEOUT_MS is
+ * refused. Slots are held in memory, so the limits are per backend
+ * instance.
+ */
+export class QueryQueue {
+  /**
+   * Wait for a slot
+   * @param {string} sql - The script, shown to admins while it waits
+   * @param {object} limits - { user, role, connection }: the most queries running at once; null is unlimited
+   * @param {function} onQueued - Called with { queueId, position, timeoutMs } when the query has to wait, and again whenever it moves up
+   * @returns {function} - Releases the slot; call it once the query has finished
+   */
+  static acquire({ userId, role, connectionId, sql = null, limits, onQueued = null }) {
+    const ticket = { id: uuidv4(), userId, role, connectionId, sql, limits, queuedAt: null };
+
+    if (this._fits(ticket)) {
+      return Promise.resolve(this._start(ticket));
+    }
+
+    return new Promise((resolve, reject) => {
+      ticket.queuedAt = Date.now();
+      ticket.resolve = resolve;
+      ticket.reject = reject;
+      ticket.onQueued = onQueued;
+      ticket.timer = setTimeout(() => {
+        this._remove(ticket);
+        logger.warn(`Query of user ${userId} timed out in the queue for connection ${connectionId}`);
+
+        const error = new Error(`No query slot became free within ${Math.round(QUEUE_TIMEOUT_MS / 1000)}s; too many queries are running, try again later`);
+        error.status = 429;
+        reject(error);
+      }, QUEUE_TIMEOUT_MS);
+
+      waiting.push(ticket);
+      logger.info(`Query of user ${userId} queued at position ${waiting.length} for connection ${connectionId}`);
+      this._notify(ticket);
+    });
+  }
+
+  /**
+   * Take a waiting query out of the queue; it fails as cancelled
+   * @returns {boolean} - false if no query of the user is waiting under that id
+   */
+  static cancel(queueId, userId) {
+    const ticket = waiting.find(entry => entry.id === queueId);
+
+    if (!ticket || (userId && ticket.userId !== userId)) {
+      return false;
+    }
+
+    this._remove(ticket);
+
+    const error = new Error('Query cancelled by user');
+    error.code = 'ECANCEL';
+    ticket.reject(error);
+
+    return true;
+  }
+
+  /**
+   * Queries waiting for a slot, oldest first
+   */
+  static listWaiting() {
+    return waiting.map((ticket, index) => ({
+      queueId: ticket.id,
+      userId: ticket.userId,
+      role: ticket.role,
+      connectionId: ticket.connectionId,
+      sql: ticket.sql,
+      position: index + 1,
+      queuedAt: new Date(ticket.queuedAt).toISOString()
+    }));
+  }
+
+  /**
+   * Whether a query can start without going over any limit
+   */
+  static _fits({ userId, role, connectionId, limits }) {
+    let user = 0;
+    let sameRole = 0;
+    let connection = 0;
+
+    for (const ticket of running.values()) {
+      if (ticket.userId === userId) user++;
+      if (ticket.role === role) sameRole++;
+      if (ticket.connectionId === connectionId) connection++;
+    }
+
+    return (limits.user == null || user < limits.user) &&
+      (limits.role == null || sameRole < limits.role) &&
+      (limits.connection == null || connection < limits.connection);
+  }
+
+  static _start(ticket) {
+    running.set(ticket.id, ticket);
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      running.delete(ticket.id);
+      this._drain();
+    };
+  }
+
+  /**
+   * Start every waiting query that fits now, oldest first, and tell the rest where they stand
+   */
+  static _drain() {
+    let moved = false;
+
+    for (let index = 0; index < waiting.length;) {
+      const ticket = waiting[index];
+
+      if (this._fits(ticket)) {
+        waiting.splice(index, 1);
+        clearTimeout(ticket.timer);
+        moved = true;
+        ticket.resolve(this._start(ticket));
+      } else {
+        index++;
+      }
+    }
+
+    if (moved) {
+      waiting.forEach(ticket => this._notify(ticket));
+    }
+  }
+
+  static _remove(ticket) {
+    const index = waiting.indexOf(ticket);
+
+    if (index >= 0) {
+      waiting.splice(index, 1);
+      clearTimeout(ticket.timer);
+      waiting.slice(index).forEach(entry => this._notify(entry));
+    }
+  }
+
+  static _notify(ticket) {
+    if (!ticket.onQueued) return;
+
+    const event = {
+      queueId: ticket.id,
+      position: waiting.indexOf(ticket) + 1,
+      timeoutMs: Math.max(QUEUE_TIMEOUT_MS - (Date.now() - ticket.queuedAt), 0)
+    };
+
+    // Listeners may be async; a client that went away must not break the queue
+    Promise.resolve()
+      .then(() => ticket.onQueued(event))
+      .catch(error => logger.warn(`Failed to report queue position: ${error.message}`));
+  }
+}
@@ -0,0 +1,156 @@
+import { QueryHistoryModel } from '../models/QueryHistory.js';
+import { QuotaGrantModel } from '../models/QuotaGrant.js';
+import { UserModel } from '../models/User.js';
+import { QUOTA_PERIODS, QUOTA_METRICS } from '../config/roles.js';
+import { RoleService } from './RoleService.js';
+
+const PERIOD_NAMES = { daily: 'Daily', monthly: 'Monthly' };
+const METRIC_NAMES = { executions: 'executions', rows: 'rows returned', executionTimeMs: 'ms of execution time' };
+
+function quotaError(message, status, details) {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Start of the UTC day or month a time falls in, and the start of the next
+ */
+function periodBounds(period, now = new Date()) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+
+  if (period === 'monthly') {
+    return { start: new Date(Date.UTC(year, month, 1)), end: new Date(Date.UTC(year, month + 1, 1)) };
+  }
+
+  const day = now.getUTCDate();
+  return { start: new Date(Date.UTC(year, month, day)), end: new Date(Date.UTC(year, month, day + 1)) };
+}
+
+/**
+ * Per-user quotas on executions, rows returned and execution time
+ *
+ * A user's limit for each period and metric is their role's, unless their
+ * own quotas override it, plus whatever active temporary grants add. Usage
+ * is summed from query_history, so a query is only refused once the quota
+ * is used up; the one that crosses the limit still runs.
+ */
+export class QuotaService {
+  /**
+   * A user's quotas, usage and active grants
+   * @returns {object} - { daily, monthly, grants }; each period has resetsAt and, per metric, { limit, used, remaining }
+   */
+  static async getStatus(userId) {
+    const user = await UserModel.findById(userId);
+
+    if (!user) {
+      return null;
+    }
+
+    const grants = await QuotaGrantModel.listActive(userId);
+    const limits = await this.getLimits(user, grants);
+    const status = { grants };
+
+    for (const period of QUOTA_PERIODS) {
+      const { start, end } = periodBounds(period);
+      const limited = QUOTA_METRICS.some(metric => limits[period][metric] !== null);
+      // Users without limits in a period are not worth summing their history for
+      const usage = limited ? await QueryHistoryModel.getUsageSince(userId, start) : null;
+
+      status[period] = { resetsAt: end.toISOString() };
+      for (const metric of QUOTA_METRICS) {
+        const limit = limits[period][metric];
+        const used = usage ? usage[metric] : null;
+        status[period][metric] = { limit, used, remaining: limit === null ? null : Math.max(limit - used, 0) };
+      }
+    }
+
+    return status;
+  }
+
+  /**
+   * Effective limits of a user: { daily: { executions, rows, executionTimeMs }, monthly: {...} }, null meaning unlimited
+   */
+  static async getLimits(user, grants) {
+    const roleQuotas = (await RoleService.getPermissions(user.role)).quotas || {};
+    const limits = {};
+
+    for (const period of QUOTA_PERIODS) {
+      limits[period] = {};
+
+      for (const metric of QUOTA_METRICS) {
+        const own = user.quotas?.[period]?.[metric];
+        let limit = own !== undefined ? own : roleQuotas[period]?.[metric] ?? null;
+
+        if (limit !== null) {
+          limit += grants
+            .filter(grant => grant.period === period)
+            .reduce((sum, grant) => sum + (grant[metric] || 0), 0);
+        }
+
+        limits[period][metric] = limit;
+      }
+    }
+
+    return limits;
+  }
+
+  /**
+   * Refuse to run anything once the user has used up a quota
+   * @throws {Error} - With status 429 naming the quota and when it resets
+   */
+  static async assertWithinQuota(userId) {
+    const status = await this.getStatus(userId);
+
+    if (!status) {
+      return;
+    }
+
+    for (const period of QUOTA_PERIODS) {
+      for (const metric of QUOTA_METRICS) {
+        const { limit, used } = status[period][metric];
+
+        if (limit !== null && used >= limit) {
+          const { resetsAt } = status[period];
+          throw quotaError(
+            `${PERIOD_NAMES[period]} quota of ${limit.toLocaleString('en-US')} ${METRIC_NAMES[metric]} used up; it resets at ${resetsAt}`,
+            429,
+            { quota: { period, metric, limit, used, resetsAt } }
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Grant a user a temporary increase
+   */
+  static async grant(userId, { period, executions, rows, executionTimeMs, reason, expiresAt }, grantedBy) {
+    return QuotaGrantModel.create({
+      userId,
+      period,
+      executions: executions ?? null,
+      rows: rows ?? null,
+      executionTimeMs: executionTimeMs ?? null,
+      reason: reason || null,
+      grantedBy,
+      expiresAt
+    });
+  }
+
+  /**
+   * Revoke one of a user's grants
+   * @returns {boolean} - false if the user has no such grant
+   */
+  static async revoke(userId, grantId) {
+    const grant = await QuotaGrantModel.findById(grantId);
+
+    if (!grant || grant.userId !== userId) {
+      return false;
+    }
+
+    return QuotaGrantModel.delete(grantId);
+  }
+}
@@ -0,0 +1,104 @@
+import logger from '../config/logger.js';
+
+// Upper bound on rows held across all cached results; oldest entries are evicted first
+const MAX_TOTAL_ROWS = parseInt(process.env.RESULT_CACHE_MAX_ROWS) || 1000000;
+
+// How often expired entries are swept
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// queryId -> { userId, pageSize, resultSets: [{ columns, rows }], rowCount, expiresAt }
+const entries = new Map();
+let totalRows = 0;
+
+const sweeper = setInterval(() => ResultCache.sweep(), SWEEP_INTERVAL_MS);
+sweeper.unref();
+
+/**
+ * In-memory spill cache for rows beyond the first page of a result.
+ * Rows are kept per query for the role's TTL so further pages can be served
+ * without re-running the query.
+ */
+export class ResultCache {
+  /**
+   * Store the rows of a finished query
+   */
+  static set(queryId, { userId, pageSize = null, resultSets, ttlMs }) {
+    this.delete(queryId);
+
+    const rowCount = resultSets.reduce((sum, set) => sum + set.rows.length, 0);
+    const expiresAt = Date.now() + ttlMs;
+
+    entries.set(queryId, { userId, pageSize, resultSets, rowCount, expiresAt });
+    totalRows += rowCount;
+
+    // Map iteration order is insertion order, so the first entries are the oldest
+    for (const [id, entry] of entries) {
+      if (totalRows <= MAX_TOTAL_ROWS || id === queryId) break;
+      logger.warn(`Result cache full, evicting query ${id} (${entry.rowCount} rows)`);
+      this.delete(id);
+    }
+
+    return new Date(expiresAt).toISOString();
+  }
+
+  /**
+   * Get a page of rows from a cached result set
+   * @returns {object|null} - null if the result is unknown or expired
+   */
+  static getRows(queryId, { resultSet = 0, offset = 0, limit }) {
+    const entry = entries.get(queryId);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      this.delete(queryId);
+      return null;
+    }
+
+    const set = entry.resultSets[resultSet];
+    if (!set) {
+      return null;
+    }
+
+    return {
+      columns: set.columns,
+      rows: set.rows.slice(offset, offset + limit),
+      offset,
+      availableRows: set.rows.length,
+      hasMore: offset + limit < set.rows.length,
+      expiresAt: new Date(entry.expiresAt).toISOString()
+    };
+  }
+
+  /**
+   * Get the owner of a cached result (for access checks)
+   */
+  static getOwner(queryId) {
+    return entries.get(queryId)?.userId || null;
+  }
+
+  /**
+   * Get the page size the result was first returned with
+   */
+  static getPageSize(queryId) {
+    return entries.get(queryId)?.pageSize || null;
+  }
+
+  static delete(queryId) {
+    const entry = entries.get(queryId);
+    if (entry) {
+      totalRows -= entry.rowCount;
+      entries.delete(queryId);
+    }
+  }
+
+  /**
+   * Drop expired entries
+   */
+  static sweep() {
+    const now = Date.now();
+    for (const [queryId, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        this.delete(queryId);
+      }
+    }
+  }
+}
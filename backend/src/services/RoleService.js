@@ -0,0 +1,158 @@
+import { RoleModel } from '../models/Role.js';
+import { ConnectionGrantModel } from '../models/ConnectionGrant.js';
+import { ROLES, ROLE_PERMISSIONS } from '../config/roles.js';
+import logger from '../config/logger.js';
+
+// How long role permissions are served from memory before the roles table is read again
+const ROLE_CACHE_TTL_MS = parseInt(process.env.ROLE_CACHE_TTL_MS) || 60 * 1000;
+
+// name -> role, refreshed as a whole
+let cache = null;
+let cacheExpiresAt = 0;
+
+function roleError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Roles and their permissions
+ *
+ * Roles live in the roles table, where the built-in ones are seeded and
+ * admins can edit them or add their own. Permission checks run on every
+ * request, so the table is cached for ROLE_CACHE_TTL_MS; changes made
+ * through this service take effect at once, changes made by another
+ * instance within the TTL.
+ */
+export class RoleService {
+  /**
+   * List all roles
+   */
+  static async list() {
+    const roles = await this._load();
+    return [...roles.values()];
+  }
+
+  /**
+   * Get a role by name
+   * @returns {object|null}
+   */
+  static async get(name) {
+    const roles = await this._load();
+    return roles.get(name) || null;
+  }
+
+  /**
+   * Permissions of a role; a role that no longer exists gets none beyond VIEWER
+   */
+  static async getPermissions(name) {
+    const role = await this.get(name);
+
+    if (!role) {
+      logger.warn(`Unknown role ${name}, falling back to ${ROLES.VIEWER} permissions`);
+      return (await this.get(ROLES.VIEWER))?.permissions || ROLE_PERMISSIONS[ROLES.VIEWER];
+    }
+
+    return role.permissions;
+  }
+
+  /**
+   * Check that every named role exists
+   * @throws {Error} - With status 400 naming the first unknown role
+   */
+  static async assertRolesExist(names) {
+    const roles = await this._load();
+    const unknown = names.find(name => name && !roles.has(name));
+
+    if (unknown) {
+      throw roleError(`Unknown role: ${unknown}`, 400);
+    }
+  }
+
+  /**
+   * Role a user works under on a connection
+   * @throws {Error} - With status 403 when the user has no grant on the connection
+   */
+  static async resolveConnectionRole(connectionId, { userId, userRole }) {
+    // Whoever manages connections can use all of them under their own role
+    if ((await this.getPermissions(userRole)).canManageConnections) {
+      return userRole;
+    }
+
+    const role = await ConnectionGrantModel.resolveRole(connectionId, { userId, role: userRole });
+
+    if (!role) {
+      throw roleError('You do not have access to this connection', 403);
+    }
+
+    return role;
+  }
+
+  /**
+   * Create a custom role
+   */
+  static async create({ name, description, permissions }) {
+    if (await RoleModel.findByName(name)) {
+      throw roleError(`Role ${name} already exists`, 409);
+    }
+
+    const role = await RoleModel.create({ name, description, permissions });
+    this.invalidate();
+    return role;
+  }
+
+  /**
+   * Update a role's description and permissions
+   * @returns {object|null} - null if the role does not exist
+   */
+  static async update(name, updates) {
+    const role = await RoleModel.update(name, updates);
+    this.invalidate();
+    return role;
+  }
+
+  /**
+   * Delete a custom role that no user is assigned
+   * @returns {boolean} - false if the role does not exist
+   */
+  static async delete(name) {
+    const role = await RoleModel.findByName(name);
+
+    if (!role) {
+      return false;
+    }
+
+    if (role.isBuiltin) {
+      throw roleError('Built-in roles cannot be deleted', 400);
+    }
+
+    const users = await RoleModel.countUsers(name);
+    if (users > 0) {
+      throw roleError(`Role ${name} is assigned to ${users} user(s); reassign them first`, 409);
+    }
+
+    await RoleModel.delete(name);
+    this.invalidate();
+    return true;
+  }
+
+  /**
+   * Drop the cached roles so the next check reads the table
+   */
+  static invalidate() {
+    cache = null;
+    cacheExpiresAt = 0;
+  }
+
+  static async _load() {
+    if (cache && Date.now() < cacheExpiresAt) {
+      return cache;
+    }
+
+    const roles = await RoleModel.list();
+    cache = new Map(roles.map(role => [role.name, role]));
+    cacheExpiresAt = Date.now() + ROLE_CACHE_TTL_MS;
+    return cache;
+  }
+}
@@ -0,0 +1,245 @@
+import { MaskingRuleModel } from '../models/MaskingRule.js';
+import { createResultMasker } from '../utils/dataMasking.js';
+import { splitBatches } from '../utils/sqlBatches.js';
+import { buildRowEdits, columnCapabilities, findEditableSource, ROW_CONFLICT_ERROR } from '../utils/rowEdits.js';
+import { RoleService } from './RoleService.js';
+import { SchemaService } from './SchemaService.js';
+import { SqlService } from './SqlService.js';
+import logger from '../config/logger.js';
+
+function editError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const quoteName = (name) => `[${name.replace(/]/g, ']]')}]`;
+
+const allows = (permissions, statement) =>
+  permissions.allowedStatements.includes('*') || permissions.allowedStatements.includes(statement);
+
+/**
+ * Inline row editing for result grids
+ *
+ * Works out whether a result set can be edited (see utils/rowEdits.js),
+ * previews the statements a set of edited, added and deleted rows turns
+ * into, and applies them. Statements are regenerated from the table's
+ * description on apply, never taken from the client, and run one by one
+ * through SqlService.executeQuery in one transaction of their own, so each
+ * one is checked, masked and recorded in query history like any statement
+ * the user wrote. The user's role is checked and a concurrency slot taken
+ * before the transaction begins, so it never waits in the queue holding
+ * locks; the statements run under that one slot. The transaction is not a
+ * pinned session and takes none of the user's session slots. A statement
+ * that fails, or finds its row changed since it was read, rolls back all of
+ * them.
+ */
+export class RowEditService {
+  /**
+   * Whether a result set can be edited, and which of its columns
+   * @param {string} sql - The script the result set came from
+   * @param {number} batch - Index of the batch (split on GO) that returned it
+   * @param {Array} columns - Names of the result set's columns
+   * @returns {object} - { editable, reason, schema, table, primaryKey, rowVersion, columns: [{ name, editable }], allowed: { update, insert, delete } }
+   */
+  static async describeTarget({ connectionId, sql, batch = 0, columns, userId, userRole }) {
+    const notEditable = (reason) => ({ editable: false, reason });
+
+    const source = splitBatches(sql)[batch];
+    if (!source) {
+      return notEditable('The result set does not belong to the script');
+    }
+
+    const { table, reason } = findEditableSource(source.sql);
+    if (!table) {
+      return notEditable(reason);
+    }
+
+    const description = await this._describeTable(connectionId, table, { userId, userRole });
+    if (!description) {
+      return notEditable(`${table.schema}.${table.name} is not a table`);
+    }
+    if (!description.primaryKey) {
+      return notEditable(`${description.schema}.${description.name} has no primary key`);
+    }
+
+    const tableColumns = new Map(description.columns.map(column => [column.name.toLowerCase(), column]));
+    const resultColumns = new Set(columns.map(name => name.toLowerCase()));
+    if (resultColumns.size !== columns.length || columns.some(name => !tableColumns.has(name.toLowerCase()))) {
+      return notEditable(`Every column of the result must be a column of ${description.schema}.${description.name}, named once`);
+    }
+
+    const missingKey = description.primaryKey.columns.filter(name => !resultColumns.has(name.toLowerCase()));
+    if (missingKey.length > 0) {
+      return notEditable(`The result needs the primary key column${missingKey.length === 1 ? '' : 's'} ${missingKey.join(', ')}`);
+    }
+
+    const keyColumns = description.primaryKey.columns.map(name => tableColumns.get(name.toLowerCase()));
+    if (keyColumns.some(column => description.masked.has(column.name) || !columnCapabilities(column).comparable)) {
+      return notEditable('The primary key of the table cannot be matched exactly from the result');
+    }
+
+    const role = await RoleService.resolveConnectionRole(connectionId, { userId, userRole });
+    const permissions = await RoleService.getPermissions(role);
+    const rowVersion = description.columns.find(column => columnCapabilities(column).rowVersion);
+
+    return {
+      editable: true,
+      reason: null,
+      schema: description.schema,
+      table: description.name,
+      primaryKey: description.primaryKey.columns,
+      // Compared instead of the original values when the result has it
+      rowVersion: rowVersion && resultColumns.has(rowVersion.name.toLowerCase()) ? rowVersion.name : null,
+      columns: columns.map(name => {
+        const column = tableColumns.get(name.toLowerCase());
+        return {
+          name,
+          type: column.type,
+          key: description.primaryKey.columns.includes(column.name),
+          editable: columnCapabilities(column).editable && !description.masked.has(column.name)
+        };
+      }),
+      allowed: {
+        update: allows(permissions, 'UPDATE'),
+        insert: allows(permissions, 'INSERT'),
+        delete: allows(permissions, 'DELETE')
+      }
+    };
+  }
+
+  /**
+   * The statements a set of row changes would run
+   * @param {Array} changes - See buildRowEdits in utils/rowEdits.js
+   * @returns {object} - { statements: [{ type, sql, parameters }] }
+   */
+  static async preview({ connectionId, schema, table, changes, userId, userRole }) {
+    const description = await this._describeTable(connectionId, { schema, name: table }, { userId, userRole });
+    if (!description) {
+      throw editError('Table not found', 404);
+    }
+
+    return { statements: this._buildStatements(description, changes) };
+  }
+
+  /**
+   * Apply a set of row changes in one transaction
+   * @returns {object} - { applied, queryIds }
+   */
+  static async apply({ connectionId, schema, table, changes, userId, userRole }) {
+    const { statements } = await this.preview({ connectionId, schema, table, changes, userId, userRole });
+
+    const role = await RoleService.resolveConnectionRole(connectionId, { userId, userRole });
+    const permissions = await RoleService.getPermissions(role);
+    const refused = statements.find(statement => !allows(permissions, statement.type));
+    if (refused) {
+      throw editError(`Role ${role} is not permitted to run ${refused.type} statements`, 403);
+    }
+
+    const releaseSlot = await SqlService.acquireSlot({ connectionId, userId, userRole: role, sql: statements.map(statement => statement.sql).join(';\n') });
+    let transaction;
+    const queryIds = [];
+
+    try {
+      transaction = await SqlService.beginTransaction(connectionId);
+
+      for (const [index, statement] of statements.entries()) {
+        let result;
+        try {
+          result = await SqlService.executeQuery({
+            connectionId,
+            sql: statement.sql,
+            parameters: statement.parameters,
+            transaction,
+            // Single-row statements on the primary key; the cost guard has nothing to weigh
+            confirmExpensive: true,
+            userId,
+            userRole
+          });
+        } catch (error) {
+          throw this._statementError(error, index, statement) || error;
+        }
+
+        queryIds.push(result.queryId);
+
+        if (result.hasErrors) {
+          const failed = result.messages.find(message => message.type === 'error');
+          throw this._statementError(failed || { message: result.batches[0]?.error }, index, statement);
+        }
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction?.rollback().catch(rollbackError =>
+        // The server may already have rolled back after a severe error
+        logger.warn(`Row edit rollback: ${rollbackError.message}`));
+      throw error;
+    } finally {
+      releaseSlot();
+    }
+
+    logger.info(`Applied ${statements.length} row edits to ${schema}.${table} on connection ${connectionId}`);
+
+    return { applied: statements.length, queryIds };
+  }
+
+  /**
+   * Describe a table for editing, with the columns masked for the user
+   * @returns {object|null} - The description, with `masked` column names; null unless it is a table
+   */
+  static async _describeTable(connectionId, { schema, name }, { userId, userRole }) {
+    const description = await SchemaService.describeObject(connectionId, schema, name, { userId, userRole });
+    if (!description || description.type !== 'TABLE') {
+      return null;
+    }
+
+    const role = await RoleService.resolveConnectionRole(connectionId, { userId, userRole });
+    const masker = createResultMasker(await MaskingRuleModel.list({ connectionId }), {
+      role,
+      sql: `SELECT * FROM ${quoteName(schema)}.${quoteName(name)}`,
+      // The columns are the table's own
+      sources: [[description.columns.map(column => ({ name: column.name, schema, table: name, column: column.name }))]]
+    });
+
+    description.masked = new Set(masker?.columnsFor(description.columns)?.keys() || []);
+    return description;
+  }
+
+  /**
+   * Build the statements, leaving masked values out: they cannot be set, and what was read of them is not the real value
+   */
+  static _buildStatements(description, changes) {
+    const masked = new Set([...description.masked].map(name => name.toLowerCase()));
+    const isMasked = (name) => masked.has(name.toLowerCase());
+
+    const maskedValue = changes.flatMap(change => Object.keys(change.values || {})).find(isMasked);
+    if (maskedValue) {
+      throw editError(`Column ${maskedValue} is masked and cannot be set`, 400);
+    }
+
+    return buildRowEdits(description, changes.map(change => ({
+      ...change,
+      original: change.original && Object.fromEntries(Object.entries(change.original).filter(([name]) => !isMasked(name)))
+    })));
+  }
+
+  /**
+   * The error to report for a statement that failed, or null to report the error as it is
+   */
+  static _statementError(error, index, statement) {
+    if (error.status) {
+      return null;
+    }
+
+    const row = `Change ${index + 1} (${statement.type})`;
+    if (error.number === ROW_CONFLICT_ERROR) {
+      const conflict = editError(`${row}: ${error.message}. No changes were applied; reload the rows and try again.`, 409);
+      conflict.details = { change: index };
+      return conflict;
+    }
+
+    const failed = editError(`${row} failed: ${error.message}. No changes were applied.`, 400);
+    failed.details = { change: index };
+    return failed;
+  }
+}
@@ -0,0 +1,233 @@
+import crypto from 'crypto';
+import sql from 'mssql';
+import logger from '../config/logger.js';
+import { SchemaSnapshotModel } from '../models/SchemaSnapshot.js';
+import { formatSqlType } from '../utils/sqlTypes.js';
+import { SqlService } from './SqlService.js';
+
+// How long a snapshot is served before the server is asked whether its catalog changed
+const CHECK_INTERVAL_MS = parseInt(process.env.SCHEMA_CACHE_CHECK_MS) || 30 * 1000;
+
+// sys.objects types kept in the snapshot
+const OBJECT_TYPES_SQL = "('U', 'V', 'P', 'FN', 'IF', 'TF')";
+
+// Fixed database roles own schemas from this id up; they hold no user objects
+const ROLE_SCHEMA_ID = 16384;
+
+// Changes to any object or schema show up in one of these
+const STATE_SQL = `
+  SELECT COUNT(*) AS object_count, CONVERT(varchar(23), MAX(o.modify_date), 121) AS last_modified,
+    (SELECT CHECKSUM_AGG(CHECKSUM(name)) FROM sys.schemas WHERE schema_id < ${ROLE_SCHEMA_ID}) AS schema_checksum
+  FROM sys.objects o
+  WHERE o.type IN ${OBJECT_TYPES_SQL} AND o.is_ms_shipped = 0`;
+
+const SCHEMAS_SQL = `
+  SELECT name FROM sys.schemas
+  WHERE schema_id < ${ROLE_SCHEMA_ID} AND name NOT IN ('sys', 'INFORMATION_SCHEMA', 'guest')
+  ORDER BY name`;
+
+const OBJECTS_SQL = `
+  SELECT o.object_id, s.name AS schema_name, o.name, RTRIM(o.type) AS type,
+    CONVERT(varchar(23), o.modify_date, 121) AS modified
+  FROM sys.objects o
+  JOIN sys.schemas s ON s.schema_id = o.schema_id
+  WHERE o.type IN ${OBJECT_TYPES_SQL} AND o.is_ms_shipped = 0
+  ORDER BY s.name, o.name`;
+
+// Columns of tables, views and table-valued functions changed after @since (all of them if it is null)
+const COLUMNS_SQL = `
+  SELECT c.object_id, c.name, TYPE_NAME(c.user_type_id) AS type_name,
+    c.max_length, c.precision, c.scale, c.is_nullable
+  FROM sys.columns c
+  JOIN sys.objects o ON o.object_id = c.object_id
+  WHERE o.type IN ('U', 'V', 'IF', 'TF') AND o.is_ms_shipped = 0
+    AND (@since IS NULL OR o.modify_date > CONVERT(datetime, @since, 121))
+  ORDER BY c.object_id, c.column_id`;
+
+// Parameters of procedures and functions changed after @since (all of them if it is null)
+const PARAMETERS_SQL = `
+  SELECT p.object_id, p.name, TYPE_NAME(p.user_type_id) AS type_name,
+    p.max_length, p.precision, p.scale, p.is_output
+  FROM sys.parameters p
+  JOIN sys.objects o ON o.object_id = p.object_id
+  WHERE o.type IN ('P', 'FN', 'IF', 'TF') AND o.is_ms_shipped = 0 AND p.parameter_id > 0
+    AND (@since IS NULL OR o.modify_date > CONVERT(datetime, @since, 121))
+  ORDER BY p.object_id, p.parameter_id`;
+
+// connectionId -> { snapshot, checkedAt }
+const snapshots = new Map();
+
+// connectionId -> refresh in progress
+const refreshing = new Map();
+
+const hash = (text) => crypto.createHash('sha1').update(text).digest('hex');
+
+const sameState = (a, b) => a.objectCount === b.objectCount &&
+  a.lastModified === b.lastModified &&
+  a.schemaChecksum === b.schemaChecksum;
+
+/**
+ * Server-side cache of connection catalogs
+ *
+ * Listing every schema, object, column and parameter of a large database is
+ * slow, so the catalog of each connection is kept as a snapshot in the
+ * metadata store and shared by all users. A snapshot is served as is for
+ * SCHEMA_CACHE_CHECK_MS; after that, a cheap query on sys.objects tells
+ * whether anything was created, altered, dropped or renamed since it was
+ * taken. If so, the object list is read again, but columns and parameters
+ * only of the objects modified since, so a refresh of a 10k-table database
+ * after one ALTER TABLE reads one table's columns. A view whose columns
+ * change with the table under it is not modified itself; an admin rebuild
+ * reads everything again.
+ *
+ * Each snapshot has a version that changes with its content, for ETags.
+ * Snapshots hold the whole catalog; filtering by object policies is up to
+ * the caller.
+ */
+export class SchemaCache {
+  /**
+   * Catalog snapshot of a connection, checked for changes if it was not checked lately
+   * @param {boolean} refresh - Check for changes now
+   * @returns {object} - { version, catalog: { schemas: [name], objects: [{ id, schema, name, type, columns, parameters }] }, refreshedAt }
+   */
+  static async get(connectionId, { refresh = false } = {}) {
+    let entry = snapshots.get(connectionId);
+
+    if (!entry) {
+      // Taken before a restart, and possibly out of date by now
+      const stored = await SchemaSnapshotModel.find(connectionId);
+      if (stored) {
+        entry = { snapshot: stored, checkedAt: 0 };
+        snapshots.set(connectionId, entry);
+      }
+    }
+
+    if (entry && !refresh && Date.now() - entry.checkedAt < CHECK_INTERVAL_MS) {
+      return entry.snapshot;
+    }
+
+    return this._schedule(connectionId, { full: false });
+  }
+
+  /**
+   * Read the whole catalog of a connection again, whether or not it seems to have changed
+   * @returns {object} - { version, objectCount, changed, refreshedAt }
+   */
+  static async rebuild(connectionId) {
+    const previous = snapshots.get(connectionId)?.snapshot;
+    const snapshot = await this._schedule(connectionId, { full: true });
+
+    return {
+      version: snapshot.version,
+      objectCount: snapshot.catalog.objects.length,
+      changed: snapshot.version !== previous?.version,
+      refreshedAt: snapshot.refreshedAt
+    };
+  }
+
+  /**
+   * Forget the snapshot of a connection, e.g. when it now points elsewhere
+   */
+  static async invalidate(connectionId) {
+    snapshots.delete(connectionId);
+    await SchemaSnapshotModel.delete(connectionId);
+  }
+
+  /**
+   * Run a refresh, or join the one in progress; a rebuild waits for it and then runs its own
+   */
+  static _schedule(connectionId, { full }) {
+    const current = refreshing.get(connectionId);
+
+    if (current && !full) {
+      return current;
+    }
+
+    const next = (current || Promise.resolve())
+      .catch(() => {})
+      .then(() => this._refresh(connectionId, { full }));
+
+    refreshing.set(connectionId, next);
+    next
+      .finally(() => {
+        if (refreshing.get(connectionId) === next) {
+          refreshing.delete(connectionId);
+        }
+      })
+      .catch(() => {});
+
+    return next;
+  }
+
+  static async _refresh(connectionId, { full }) {
+    const startTime = Date.now();
+    const pool = await SqlService.getSharedPool(connectionId);
+    const previous = snapshots.get(connectionId)?.snapshot;
+
+    const [stateRow] = (await pool.request().query(STATE_SQL)).recordset;
+    const state = {
+      objectCount: stateRow.object_count,
+      lastModified: stateRow.last_modified,
+      schemaChecksum: stateRow.schema_checksum
+    };
+
+    if (!full && previous && sameState(previous.state, state)) {
+      snapshots.set(connectionId, { snapshot: previous, checkedAt: Date.now() });
+      return previous;
+    }
+
+    // Columns and parameters of objects not modified since the last snapshot are kept
+    const since = !full && previous ? previous.state.lastModified : null;
+    const [schemaResult, objectResult, columnResult, parameterResult] = await Promise.all([
+      pool.request().query(SCHEMAS_SQL),
+      pool.request().query(OBJECTS_SQL),
+      pool.request().input('since', sql.VarChar(23), since).query(COLUMNS_SQL),
+      pool.request().input('since', sql.VarChar(23), since).query(PARAMETERS_SQL)
+    ]);
+
+    const columns = new Map();
+    for (const row of columnResult.recordset) {
+      if (!columns.has(row.object_id)) columns.set(row.object_id, []);
+      columns.get(row.object_id).push({ name: row.name, type: formatSqlType(row), nullable: row.is_nullable });
+    }
+
+    const parameters = new Map();
+    for (const row of parameterResult.recordset) {
+      if (!parameters.has(row.object_id)) parameters.set(row.object_id, []);
+      parameters.get(row.object_id).push({ name: row.name, type: formatSqlType(row), output: row.is_output });
+    }
+
+    const kept = new Map(since ? previous.catalog.objects.map(object => [object.id, object]) : []);
+    let reread = 0;
+
+    const catalog = {
+      schemas: schemaResult.recordset.map(row => row.name),
+      objects: objectResult.recordset.map(row => {
+        // Dates in style 121 compare as text
+        const old = row.modified <= since ? kept.get(row.object_id) : null;
+        if (!old) reread++;
+        return {
+          id: row.object_id,
+          schema: row.schema_name,
+          name: row.name,
+          type: row.type,
+          columns: old ? old.columns : columns.get(row.object_id) || [],
+          parameters: old ? old.parameters : parameters.get(row.object_id) || []
+        };
+      })
+    };
+
+    const version = hash(JSON.stringify(catalog));
+    const snapshot = version === previous?.version
+      ? { ...previous, state }
+      : { connectionId, version, state, catalog, refreshedAt: new Date().toISOString() };
+
+    await SchemaSnapshotModel.save(snapshot);
+    snapshots.set(connectionId, { snapshot, checkedAt: Date.now() });
+
+    logger.info(`Schema snapshot of connection ${connectionId} ${full ? 'rebuilt' : 'refreshed'} in ${Date.now() - startTime}ms: ` +
+      `${catalog.objects.length} objects, ${reread} read`);
+
+    return snapshot;
+  }
+}
@@ -0,0 +1,312 @@
+import crypto from 'crypto';
+import sql from 'mssql';
+import { ConnectionModel } from '../models/Connection.js';
+import { ObjectPolicyModel } from '../models/ObjectPolicy.js';
+import { isObjectAllowed } from '../utils/objectPolicies.js';
+import { formatSqlType } from '../utils/sqlTypes.js';
+import { RoleService } from './RoleService.js';
+import { SchemaCache } from './SchemaCache.js';
+import { SqlService } from './SqlService.js';
+
+// sys.objects types listed in the browser, and what they are called there
+const OBJECT_TYPES = {
+  U: 'TABLE',
+  V: 'VIEW',
+  P: 'PROCEDURE',
+  FN: 'FUNCTION',
+  IF: 'FUNCTION',
+  TF: 'FUNCTION'
+};
+
+const OBJECT_SQL = `
+  SELECT o.object_id, RTRIM(o.type) AS type, OBJECT_DEFINITION(o.object_id) AS definition
+  FROM sys.objects o
+  JOIN sys.schemas s ON s.schema_id = o.schema_id
+  WHERE s.name = @schema AND o.name = @name AND o.type IN ('U', 'V', 'P', 'FN', 'IF', 'TF')`;
+
+// Columns, indexes, foreign keys and parameters of one object, as four result sets
+const DETAILS_SQL = `
+  SELECT c.name, TYPE_NAME(c.user_type_id) AS type_name, c.max_length, c.precision, c.scale,
+    c.is_nullable, c.is_identity, ic.seed_value, ic.increment_value,
+    d.definition AS default_definition, cc.definition AS computed_definition
+  FROM sys.columns c
+  LEFT JOIN sys.default_constraints d ON d.object_id = c.default_object_id
+  LEFT JOIN sys.identity_columns ic ON ic.object_id = c.object_id AND ic.column_id = c.column_id
+  LEFT JOIN sys.computed_columns cc ON cc.object_id = c.object_id AND cc.column_id = c.column_id
+  WHERE c.object_id = @objectId
+  ORDER BY c.column_id;
+
+  SELECT i.index_id, i.name, i.type_desc, i.is_unique, i.is_primary_key, i.is_unique_constraint,
+    c.name AS column_name, ic.is_descending_key, ic.is_included_column
+  FROM sys.indexes i
+  JOIN sys.index_columns ic ON ic.object_id = i.object_id AND ic.index_id = i.index_id
+  JOIN sys.columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id
+  WHERE i.object_id = @objectId AND i.type > 0
+  ORDER BY i.index_id, ic.is_included_column, ic.key_ordinal, ic.index_column_id;
+
+  SELECT fk.name, rs.name AS referenced_schema, ro.name AS referenced_table,
+    pc.name AS column_name, rc.name AS referenced_column,
+    fk.delete_referential_action_desc AS on_delete, fk.update_referential_action_desc AS on_update
+  FROM sys.foreign_keys fk
+  JOIN sys.foreign_key_columns fkc ON fkc.constraint_object_id = fk.object_id
+  JOIN sys.columns pc ON pc.object_id = fkc.parent_object_id AND pc.column_id = fkc.parent_column_id
+  JOIN sys.objects ro ON ro.object_id = fk.referenced_object_id
+  JOIN sys.schemas rs ON rs.schema_id = ro.schema_id
+  JOIN sys.columns rc ON rc.object_id = fkc.referenced_object_id AND rc.column_id = fkc.referenced_column_id
+  WHERE fk.parent_object_id = @objectId
+  ORDER BY fk.name, fkc.constraint_column_id;
+
+  SELECT p.name, TYPE_NAME(p.user_type_id) AS type_name, p.max_length, p.precision, p.scale, p.is_output
+  FROM sys.parameters p
+  WHERE p.object_id = @objectId AND p.parameter_id > 0
+  ORDER BY p.parameter_id;`;
+
+function schemaError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const quoteName = (name) => `[${name.replace(/]/g, ']]')}]`;
+
+const policyKind = (type) => (type === 'PROCEDURE' ? 'procedure' : 'relation');
+
+function mapIndexes(rows) {
+  const indexes = new Map();
+
+  for (const row of rows) {
+    if (!indexes.has(row.index_id)) {
+      indexes.set(row.index_id, {
+        name: row.name,
+        type: row.type_desc,
+        unique: row.is_unique,
+        primaryKey: row.is_primary_key,
+        uniqueConstraint: row.is_unique_constraint,
+        columns: [],
+        includedColumns: []
+      });
+    }
+
+    const index = indexes.get(row.index_id);
+    if (row.is_included_column) {
+      index.includedColumns.push(row.column_name);
+    } else {
+      index.columns.push({ name: row.column_name, descending: row.is_descending_key });
+    }
+  }
+
+  return [...indexes.values()];
+}
+
+function mapForeignKeys(rows) {
+  const foreignKeys = new Map();
+
+  for (const row of rows) {
+    if (!foreignKeys.has(row.name)) {
+      foreignKeys.set(row.name, {
+        name: row.name,
+        columns: [],
+        referencedSchema: row.referenced_schema,
+        referencedTable: row.referenced_table,
+        referencedColumns: [],
+        onDelete: row.on_delete,
+        onUpdate: row.on_update
+      });
+    }
+
+    const foreignKey = foreignKeys.get(row.name);
+    foreignKey.columns.push(row.column_name);
+    foreignKey.referencedColumns.push(row.referenced_column);
+  }
+
+  return [...foreignKeys.values()];
+}
+
+const keyColumns = (columns) => columns
+  .map(column => `${quoteName(column.name)}${column.descending ? ' DESC' : ''}`)
+  .join(', ');
+
+/**
+ * CREATE TABLE for a table, followed by its indexes that are not constraints
+ */
+function scriptTable({ schema, name, columns, indexes, foreignKeys }) {
+  const table = `${quoteName(schema)}.${quoteName(name)}`;
+
+  const lines = columns.map(column => {
+    if (column.computed) {
+      return `  ${quoteName(column.name)} AS ${column.computed}`;
+    }
+
+    let line = `  ${quoteName(column.name)} ${column.type}`;
+    if (column.identity) {
+      line += ` IDENTITY(${column.identity.seed}, ${column.identity.increment})`;
+    }
+    line += column.nullable ? ' NULL' : ' NOT NULL';
+    if (column.default) {
+      line += ` DEFAULT ${column.default}`;
+    }
+    return line;
+  });
+
+  for (const index of indexes.filter(index => index.primaryKey || index.uniqueConstraint)) {
+    const kind = index.primaryKey ? 'PRIMARY KEY' : 'UNIQUE';
+    lines.push(`  CONSTRAINT ${quoteName(index.name)} ${kind} ${index.type} (${keyColumns(index.columns)})`);
+  }
+
+  for (const foreignKey of foreignKeys) {
+    let line = `  CONSTRAINT ${quoteName(foreignKey.name)} FOREIGN KEY (${foreignKey.columns.map(quoteName).join(', ')})` +
+      ` REFERENCES ${quoteName(foreignKey.referencedSchema)}.${quoteName(foreignKey.referencedTable)}` +
+      ` (${foreignKey.referencedColumns.map(quoteName).join(', ')})`;
+    if (foreignKey.onDelete !== 'NO_ACTION') {
+      line += ` ON DELETE ${foreignKey.onDelete.replace('_', ' ')}`;
+    }
+    if (foreignKey.onUpdate !== 'NO_ACTION') {
+      line += ` ON UPDATE ${foreignKey.onUpdate.replace('_', ' ')}`;
+    }
+    lines.push(line);
+  }
+
+  const statements = [`CREATE TABLE ${table} (\n${lines.join(',\n')}\n);`];
+
+  for (const index of indexes.filter(index => !index.primaryKey && !index.uniqueConstraint)) {
+    if (!['CLUSTERED', 'NONCLUSTERED', 'CLUSTERED COLUMNSTORE', 'NONCLUSTERED COLUMNSTORE'].includes(index.type)) {
+      statements.push(`-- ${index.type} index ${quoteName(index.name)} is not scripted`);
+      continue;
+    }
+
+    let statement = `CREATE ${index.unique ? 'UNIQUE ' : ''}${index.type} INDEX ${quoteName(index.name)} ON ${table}`;
+    if (index.type === 'NONCLUSTERED COLUMNSTORE') {
+      statement += ` (${[...index.columns.map(column => column.name), ...index.includedColumns].map(quoteName).join(', ')})`;
+    } else if (index.type !== 'CLUSTERED COLUMNSTORE') {
+      statement += ` (${keyColumns(index.columns)})`;
+      if (index.includedColumns.length > 0) {
+        statement += ` INCLUDE (${index.includedColumns.map(quoteName).join(', ')})`;
+      }
+    }
+    statements.push(`${statement};`);
+  }
+
+  return statements.join('\n');
+}
+
+/**
+ * Database objects of a connection, read from the sys.* catalog views
+ *
+ * Lists schemas with their tables, views, procedures and functions
+ * (optionally with all their columns and parameters, for editor completion),
+ * and describes a single object: columns, keys, indexes and parameters, and a
+ * CREATE script. Users only see connections they were granted, and objects
+ * the access policies of their role on that connection deny them are left
+ * out, as if they did not exist. Lists come from the catalog snapshot kept
+ * by SchemaCache; descriptions are read live. Catalog queries run on the
+ * connection's shared pool and are not recorded in the query history.
+ */
+export class SchemaService {
+  /**
+   * Schemas and the objects in them the user may use, from the connection's cached catalog
+   * @param {boolean} columns - Also list every object's columns and parameters, as { name, type, nullable } and { name, type, output }
+   * @param {boolean} refresh - Check the catalog for changes now rather than when it is due
+   * @returns {object} - { schemas: [{ name, objects: [{ name, type }] }], etag, refreshedAt }; type is TABLE, VIEW, PROCEDURE or FUNCTION
+   */
+  static async listObjects(connectionId, { userId, userRole }, { columns = false, refresh = false } = {}) {
+    const policies = await this._policiesFor(connectionId, { userId, userRole });
+    const snapshot = await SchemaCache.get(connectionId, { refresh });
+
+    // What a user gets depends on the catalog, their role's policies and whether columns are listed
+    const etag = `"${crypto.createHash('sha1')
+      .update(JSON.stringify([snapshot.version, columns, policies]))
+      .digest('hex')}"`;
+
+    const schemas = new Map(snapshot.catalog.schemas.map(name => [name, { name, objects: [] }]));
+
+    for (const { schema, name, type: code, columns: objectColumns, parameters } of snapshot.catalog.objects) {
+      const type = OBJECT_TYPES[code];
+      if (!isObjectAllowed(policies, { schema, name, kind: policyKind(type) })) {
+        continue;
+      }
+
+      if (!schemas.has(schema)) {
+        schemas.set(schema, { name: schema, objects: [] });
+      }
+
+      schemas.get(schema).objects.push(columns ? { name, type, columns: objectColumns, parameters } : { name, type });
+    }
+
+    // With policies in place, only schemas holding something the role may use are worth showing
+    const list = [...schemas.values()].filter(schema => policies.length === 0 || schema.objects.length > 0);
+
+    return { schemas: list, etag, refreshedAt: snapshot.refreshedAt };
+  }
+
+  /**
+   * Columns, keys, indexes and parameters of one object, and a script that creates it
+   * @returns {object|null} - null if the object does not exist or the user may not use it
+   */
+  static async describeObject(connectionId, schema, name, { userId, userRole }) {
+    const policies = await this._policiesFor(connectionId, { userId, userRole });
+    const pool = await SqlService.getSharedPool(connectionId);
+
+    const objectResult = await pool.request()
+      .input('schema', sql.NVarChar(128), schema)
+      .input('name', sql.NVarChar(128), name)
+      .query(OBJECT_SQL);
+
+    const [object] = objectResult.recordset;
+    const type = object ? OBJECT_TYPES[object.type] : null;
+
+    if (!object || !isObjectAllowed(policies, { schema, name, kind: policyKind(type) })) {
+      return null;
+    }
+
+    const details = await pool.request()
+      .input('objectId', sql.Int, object.object_id)
+      .query(DETAILS_SQL);
+    const [columnRows, indexRows, foreignKeyRows, parameterRows] = details.recordsets;
+
+    const description = {
+      schema,
+      name,
+      type,
+      columns: columnRows.map(row => ({
+        name: row.name,
+        type: formatSqlType(row),
+        nullable: row.is_nullable,
+        identity: row.is_identity ? { seed: row.seed_value, increment: row.increment_value } : null,
+        default: row.default_definition,
+        computed: row.computed_definition
+      })),
+      indexes: mapIndexes(indexRows),
+      foreignKeys: mapForeignKeys(foreignKeyRows),
+      parameters: parameterRows.map(row => ({
+        name: row.name,
+        type: formatSqlType(row),
+        output: row.is_output
+      }))
+    };
+
+    const primaryKey = description.indexes.find(index => index.primaryKey);
+    description.primaryKey = primaryKey
+      ? { name: primaryKey.name, columns: primaryKey.columns.map(column => column.name) }
+      : null;
+
+    // Views, procedures and functions keep their source; encrypted ones have none
+    description.createScript = type === 'TABLE' ? scriptTable(description) : object.definition;
+
+    return description;
+  }
+
+  /**
+   * Access policies of the role the user has on an active connection they were granted
+   */
+  static async _policiesFor(connectionId, { userId, userRole }) {
+    const connection = await ConnectionModel.findById(connectionId);
+
+    if (!connection?.isActive) {
+      throw schemaError('Connection not found', 404);
+    }
+
+    const role = await RoleService.resolveConnectionRole(connectionId, { userId, userRole });
+
+    return ObjectPolicyModel.listFor(connectionId, role);
+  }
+}
@@ -0,0 +1,240 @@
+import sql from 'mssql';
+import { v4 as uuidv4 } from 'uuid';
+import { ConnectionModel } from '../models/Connection.js';
+import { RoleService } from './RoleService.js';
+import { buildSqlPoolConfig } from '../config/database.js';
+import logger from '../config/logger.js';
+
+// Sessions idle for longer than this are rolled back and closed
+const IDLE_TIMEOUT_MS = parseInt(process.env.SESSION_IDLE_TIMEOUT_MS) || 10 * 60 * 1000;
+
+// Open sessions allowed per user; each one holds a server connection
+const MAX_SESSIONS_PER_USER = parseInt(process.env.SESSION_MAX_PER_USER) || 3;
+
+const SWEEP_INTERVAL_MS = 30 * 1000;
+
+// sessionId -> session
+const sessions = new Map();
+
+const sweeper = setInterval(() => SessionService.sweep(), SWEEP_INTERVAL_MS);
+sweeper.unref();
+
+function sessionError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Pinned query sessions
+ *
+ * A session owns a single SQL Server connection, so #temp tables, SET options
+ * and open transactions carry over from one execution to the next, as in an
+ * SSMS query window. Sessions that sit idle past the timeout have any open
+ * transaction rolled back and are closed, so they cannot hold locks forever.
+ */
+export class SessionService {
+  /**
+   * Open a session on a connection
+   * @returns {object} - The session summary
+   */
+  static async open({ connectionId, userId, userRole }) {
+    await RoleService.resolveConnectionRole(connectionId, { userId, userRole });
+
+    const userSessions = [...sessions.values()].filter(session => session.userId === userId);
+    if (userSessions.length >= MAX_SESSIONS_PER_USER) {
+      throw sessionError(`At most ${MAX_SESSIONS_PER_USER} sessions can be open at a time; close one first`, 409);
+    }
+
+    const config = await ConnectionModel.getDecryptedConfig(connectionId);
+
+    const pool = new sql.ConnectionPool(buildSqlPoolConfig(config, {
+      max: 1,
+      min: 1,
+      idleTimeoutMillis: IDLE_TIMEOUT_MS * 2
+    }));
+
+    await pool.connect();
+
+    const now = Date.now();
+    const session = {
+      id: uuidv4(),
+      userId,
+      connectionId,
+      pool,
+      busy: false,
+      transactionCount: 0,
+      createdAt: new Date(now).toISOString(),
+      lastActivityAt: now
+    };
+
+    sessions.set(session.id, session);
+
+    logger.info(`Query session opened: ${session.id} by user ${userId} on connection ${connectionId}`);
+
+    return this._summarize(session);
+  }
+
+  /**
+   * Reserve a session for one execution
+   * @returns {object} - The session; hand it back with release()
+   */
+  static acquire(sessionId, userId) {
+    const session = this._find(sessionId, userId);
+
+    if (session.busy) {
+      throw sessionError('The session is already running a query', 409);
+    }
+
+    session.busy = true;
+    session.lastActivityAt = Date.now();
+
+    return session;
+  }
+
+  /**
+   * Hand a session back after an execution and refresh its transaction count
+   * @returns {object} - The session summary
+   */
+  static async release(session) {
+    try {
+      session.transactionCount = await this._readTransactionCount(session);
+    } catch (error) {
+      logger.warn(`Failed to read transaction count of session ${session.id}: ${error.message}`);
+    } finally {
+      session.busy = false;
+      session.lastActivityAt = Date.now();
+    }
+
+    return this._summarize(session);
+  }
+
+  /**
+   * Get a session summary
+   */
+  static get(sessionId, userId) {
+    return this._summarize(this._find(sessionId, userId));
+  }
+
+  /**
+   * List a user's sessions
+   */
+  static list(userId) {
+    return [...sessions.values()]
+      .filter(session => session.userId === userId)
+      .map(session => this._summarize(session));
+  }
+
+  /**
+   * Start a transaction on the session
+   */
+  static begin(sessionId, userId) {
+    return this._runControl(sessionId, userId, 'BEGIN TRANSACTION');
+  }
+
+  /**
+   * Commit every open transaction of the session
+   */
+  static commit(sessionId, userId) {
+    return this._runControl(sessionId, userId, 'WHILE @@TRANCOUNT > 0 COMMIT TRANSACTION');
+  }
+
+  /**
+   * Roll back the open transaction of the session
+   */
+  static rollback(sessionId, userId) {
+    return this._runControl(sessionId, userId, 'IF @@TRANCOUNT > 0 ROLLBACK TRANSACTION');
+  }
+
+  /**
+   * Roll back and close a session
+   */
+  static async close(sessionId, userId) {
+    const session = this._find(sessionId, userId);
+    await this._close(session, 'closed');
+    return { success: true, message: 'Session closed' };
+  }
+
+  /**
+   * Roll back and close sessions that have been idle too long
+   */
+  static async sweep() {
+    const now = Date.now();
+    for (const session of sessions.values()) {
+      if (!session.busy && now - session.lastActivityAt >= IDLE_TIMEOUT_MS) {
+        await this._close(session, 'expired');
+      }
+    }
+  }
+
+  /**
+   * Close every session (for shutdown)
+   */
+  static async closeAll() {
+    for (const session of sessions.values()) {
+      await this._close(session, 'closed');
+    }
+  }
+
+  static _find(sessionId, userId) {
+    const session = sessions.get(sessionId);
+
+    if (!session || session.userId !== userId) {
+      throw sessionError('Session not found or expired', 404);
+    }
+
+    return session;
+  }
+
+  static async _runControl(sessionId, userId, statement) {
+    const session = this.acquire(sessionId, userId);
+
+    try {
+      await session.pool.request().batch(statement);
+    } catch (error) {
+      await this.release(session);
+      throw error;
+    }
+
+    return this.release(session);
+  }
+
+  static async _readTransactionCount(session) {
+    const result = await session.pool.request().query('SELECT @@TRANCOUNT AS transactionCount');
+    return result.recordset[0].transactionCount;
+  }
+
+  static async _close(session, reason) {
+    sessions.delete(session.id);
+
+    try {
+      await session.pool.request().batch('IF @@TRANCOUNT > 0 ROLLBACK TRANSACTION');
+    } catch (error) {
+      logger.warn(`Rollback on closing session ${session.id} failed: ${error.message}`);
+    }
+
+    try {
+      await session.pool.close();
+    } catch (error) {
+      logger.warn(`Failed to close session ${session.id}: ${error.message}`);
+    }
+
+    if (reason === 'expired') {
+      logger.warn(`Query session ${session.id} expired after ${IDLE_TIMEOUT_MS}ms idle; open transactions were rolled back`);
+    } else {
+      logger.info(`Query session ${reason}: ${session.id}`);
+    }
+  }
+
+  static _summarize(session) {
+    return {
+      id: session.id,
+      connectionId: session.connectionId,
+      transactionCount: session.transactionCount,
+      busy: session.busy,
+      createdAt: session.createdAt,
+      lastActivityAt: new Date(session.lastActivityAt).toISOString(),
+      expiresAt: new Date(session.lastActivityAt + IDLE_TIMEOUT_MS).toISOString()
+    };
+  }
+}
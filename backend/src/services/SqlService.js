@@ -1,89 +1,324 @@
 import sql from 'mssql';
 import { ConnectionModel } from '../models/Connection.js';
 import { QueryHistoryModel } from '../models/QueryHistory.js';
-import { canExecuteStatement, getRolePermissions } from '../config/roles.js';
+import { ObjectPolicyModel } from '../models/ObjectPolicy.js';
+import { MaskingRuleModel } from '../models/MaskingRule.js';
+import { canExecuteStatement, isWriteStatement } from '../config/roles.js';
 import logger from '../config/logger.js';
-import { getSqlPool, setSqlPool, closeSqlPool } from '../config/database.js';
+import { getSqlPool, setSqlPool, closeSqlPool, buildSqlPoolConfig } from '../config/database.js';
+import { prepareParameters, bindParameters } from '../utils/sqlParameters.js';
+import { splitBatches } from '../utils/sqlBatches.js';
+import { classifyStatements } from '../utils/sqlStatements.js';
+import { addOutputClauses, findDryRunBlocker, DRY_RUN_MARKER, DRY_RUN_SAVEPOINT } from '../utils/dryRun.js';
+import { readStatementEstimates } from '../utils/showplan.js';
+import { checkObjectAccess } from '../utils/objectPolicies.js';
+import { createResultMasker, maskRow } from '../utils/dataMasking.js';
+import { ResultCache } from './ResultCache.js';
+import { SessionService } from './SessionService.js';
+import { RoleService } from './RoleService.js';
+import { QuotaService } from './QuotaService.js';
+import { QueryQueue } from './QueryQueue.js';
 
 // Track running queries for cancellation
 const runningQueries = new Map();
 
+// connectionId -> shared pool being connected
+const creatingPools = new Map();
+
+// Number of rows sent to the client per streamed chunk
+const STREAM_CHUNK_SIZE = 500;
+
+// How often a progress event is pushed while a query runs
+const PROGRESS_INTERVAL_MS = 1000;
+
+// Statements that never return rows, so they need no tracing for masking
+const ROWLESS_STATEMENTS = new Set([
+  'SELECT INTO', 'DECLARE', 'SET', 'SET OPTION', 'PRINT', 'RAISERROR', 'THROW', 'WAITFOR', 'IF', 'ELSE',
+  'WHILE', 'BEGIN', 'END', 'RETURN', 'BREAK', 'CONTINUE', 'GOTO', 'LABEL', 'COMMIT', 'ROLLBACK', 'SAVE',
+  'BEGIN TRANSACTION', 'USE', 'OPEN', 'CLOSE', 'DEALLOCATE', 'CREATE', 'ALTER', 'DROP', 'TRUNCATE',
+  'GRANT', 'REVOKE', 'DENY', 'BULK INSERT', 'UPDATE STATISTICS', 'WRITETEXT', 'UPDATETEXT', 'REVERT',
+  'SETUSER', 'DISABLE TRIGGER', 'ENABLE TRIGGER', 'SEND', 'MOVE CONVERSATION', 'OPEN KEY',
+  'BEGIN DIALOG', 'BEGIN CONVERSATION', 'END CONVERSATION', 'CHECKPOINT', 'RECONFIGURE', 'KILL'
+]);
+
+// Statements whose rows sp_describe_first_result_set can trace; DML only returns rows through OUTPUT
+const TRACEABLE_STATEMENTS = new Set(['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'MERGE']);
+
+// Column name of the result sets SQL Server uses to return showplan XML
+const SHOWPLAN_COLUMN = 'Microsoft SQL Server 2005 XML Showplan';
+
+// Session settings that return plans instead of (estimated) or next to (actual) results.
+// Plans come back as showplan XML in `plans` (and as 'plan' events), never as result sets.
+const PLAN_SETTINGS = {
+  estimated: 'SHOWPLAN_XML',
+  actual: 'STATISTICS XML'
+};
+
 export class SqlService {
   /**
    * Execute SQL query with role-based permissions
+   *
+   * Checks the script against the user's role on the connection, its
+   * approval rules, quotas and object policies, waits for a concurrency
+   * slot, runs its GO-separated batches on one connection and records the
+   * run in query history. Refusals carry an HTTP status (403, 409, 429).
+   * @param {object} options - Besides the script and user: sessionId or transaction (see beginTransaction) to run on, dryRun, plan ('estimated' | 'actual'), confirmExpensive, approval ({ id, reviewerName }), onEvent for progress events, and unmaskedResultSets: result sets ({ batch, resultSet }) of a script the caller generated that hold no column values
+   * @returns {object} - The first page of each result set, with resultHandle for the rest, row counts, messages, per-batch status and plans
    */
-  static async executeQuery({ connectionId, sql: sqlQuery, userId, userRole }) {
-    const startTime = Date.now();
+  static async executeQuery({ connectionId, sql: sqlQuery, parameters = [], sessionId = null, transaction: callerTransaction = null, unmaskedResultSets = [], dryRun = false, plan = null, confirmExpensive = false, approval = null, userId, userRole, onEvent = null }) {
+    let startTime = Date.now();
     let queryHistoryId = null;
-    let request = null;
+    let scriptPool = null;
+    let session = null;
+    let transaction = null;
+    let pinned = null;
+    let releaseSlot = null;
+    const planSetting = PLAN_SETTINGS[plan] || null;
 
     try {
-      // Check if user can execute this type of query
-      const permissionCheck = canExecuteStatement(userRole, sqlQuery);
-      if (!permissionCheck.allowed) {
-        throw new Error(permissionCheck.reason);
+      const batches = splitBatches(sqlQuery);
+      if (batches.length === 0) {
+        const error = new Error('The script contains no statements to run');
+        error.name = 'ValidationError';
+        throw error;
+      }
+
+      // From here on the user works under the role their grant gives them on this connection (403 without one)
+      userRole = await RoleService.resolveConnectionRole(connectionId, { userId, userRole });
+
+      // Get role permissions for the statement checks and limits
+      const permissions = await RoleService.getPermissions(userRole);
+
+      // Check if user can execute every batch of the script; an approved request already was,
+      // and also runs free of the role's cost limits
+      const statements = [];
+      for (const [index, batch] of batches.entries()) {
+        const permissionCheck = canExecuteStatement(userRole, batch.sql, permissions);
+        if (!permissionCheck.allowed && !approval) {
+          const error = new Error(batches.length > 1 ? `Batch ${index + 1}: ${permissionCheck.reason}` : permissionCheck.reason);
+          error.status = 403;
+          error.details = { canRequestApproval: true };
+          throw error;
+        }
+        statements.push(...permissionCheck.statements);
+      }
+
+      const connection = await ConnectionModel.findById(connectionId);
+
+      // Dry runs and estimated plans change nothing and need no approval
+      if (!approval && !dryRun && plan !== 'estimated') {
+        this._checkApprovalRequired(connection, statements);
       }
 
-      // Get role permissions for limits
-      const permissions = getRolePermissions(userRole);
+      // A used-up daily or monthly quota is refused with 429 until it resets (see QuotaService).
+      // Approved requests were allowed by a reviewer, so they run whatever the submitter's quota
+      if (!approval) {
+        await QuotaService.assertWithinQuota(userId);
+      }
+
+      await this._checkObjectPolicies(connectionId, userRole, batches);
+
+      if (dryRun) {
+        this._checkDryRun(batches, { sessionId, plan });
+      }
+
+      if (callerTransaction && (sessionId || dryRun || planSetting)) {
+        const error = new Error('A script run in a transaction cannot also use a session, a dry run or a plan');
+        error.name = 'ValidationError';
+        throw error;
+      }
+
+      // Validate declared types and coerce values before anything is recorded; they are bound
+      // as typed inputs, never spliced into the SQL text
+      const preparedParameters = prepareParameters(parameters);
+
+      const maskingRules = await MaskingRuleModel.list({ connectionId });
+
+      if (sessionId) {
+        session = SessionService.acquire(sessionId, userId);
+        if (session.connectionId !== connectionId) {
+          const error = new Error('The session belongs to a different connection');
+          error.name = 'ValidationError';
+          throw error;
+        }
+      }
+
+      // Wait for a slot under the user's, role's and connection's concurrency limits;
+      // 'queued' events report the position, and their queueId cancels the wait.
+      // Whoever began a caller's transaction already holds the slot it runs under
+      if (!callerTransaction) {
+        releaseSlot = await this._acquireSlot({ connectionId, connection, userId, userRole, permissions, sql: sqlQuery, onEvent });
+      }
+      // Time spent waiting in the queue is not execution time
+      startTime = Date.now();
+
+      // An estimated plan runs nothing, and a reviewer has already weighed an approved script
+      if (plan !== 'estimated' && !approval && this._needsCostCheck(permissions, confirmExpensive)) {
+        const estimatePool = session ? session.pool : (scriptPool = await this._openDedicatedPool(connectionId));
+        await this._checkEstimatedCost(estimatePool, batches, { parameters: preparedParameters, permissions, userRole });
+      }
 
       // Create query history entry
       const queryHistory = await QueryHistoryModel.create({
         userId,
         connectionId,
-        sql: sqlQuery,
+        sql: dryRun
+          ? `-- Dry run (rolled back)\n${sqlQuery}`
+          : approval ? `-- Approved request ${approval.id} (approved by ${approval.reviewerName})\n${sqlQuery}` : sqlQuery,
         status: 'running'
       });
       queryHistoryId = queryHistory.id;
 
-      // Get connection pool
-      const pool = await this._getOrCreatePool(connectionId);
+      // Batches share session state, so a multi-batch script gets a connection of its own
+      let pool;
+      if (session) {
+        pool = session.pool;
+      } else if (callerTransaction) {
+        // The caller's transaction pins one connection and decides whether anything sticks
+        pool = callerTransaction;
+      } else if (dryRun) {
+        // A transaction pins one connection for all batches and is never committed
+        transaction = new sql.Transaction(scriptPool ?? await this._getOrCreatePool(connectionId));
+        await transaction.begin();
+        pool = transaction;
+      } else if (scriptPool || batches.length > 1 || planSetting) {
+        // Plan settings stay on for the connection, so they never touch a shared one
+        scriptPool = scriptPool ?? await this._openDedicatedPool(connectionId);
+        pool = scriptPool;
+      } else {
+        // Hold one connection of the shared pool so the session id read below stays ours
+        pool = pinned = await this._pinConnection(await this._getOrCreatePool(connectionId));
+      }
 
-      // Create request with timeout
-      request = pool.request();
-      request.setTimeout(permissions.queryTimeoutMs);
+      // Result columns are traced to the table columns they read, so a masked column stays masked under another name
+      const masker = maskingRules.some(rule => !rule.exemptRoles.includes(userRole))
+        ? createResultMasker(maskingRules, {
+          role: userRole,
+          sql: sqlQuery,
+          sources: await this._traceResultSources(session ? session.pool : await this._getOrCreatePool(connectionId), batches, preparedParameters),
+          unmasked: unmaskedResultSets
+        })
+        : null;
 
-      // Track running query for cancellation
-      runningQueries.set(queryHistoryId, { request, userId, connectionId });
+      // Track running query for cancellation; request is swapped per batch. The
+      // recorded @@SPID lets an admin KILL what a driver cancel did not stop
+      const running = {
+        request: null,
+        cancelled: false,
+        userId,
+        userRole,
+        connectionId,
+        sessionId: session?.id ?? null,
+        sql: sqlQuery,
+        startedAt: startTime,
+        spid: await this._readSessionId(pool)
+      };
+      runningQueries.set(queryHistoryId, running);
+
+      if (onEvent) {
+        await onEvent({ type: 'start', queryId: queryHistoryId, maxRows: permissions.maxRows, batches: batches.length });
+      }
 
-      // Execute query
-      const result = await request.query(sqlQuery);
+      if (planSetting) {
+        await pool.request().batch(`SET ${planSetting} ON`);
+      }
 
-      // Limit result set size based on role
-      let recordset = result.recordset || [];
-      const totalRows = recordset.length;
-      const limitedRows = recordset.slice(0, permissions.maxRows);
+      // Execute the batches, stopping once a result set exceeds the role's row cap
+      const result = await this._runBatches(pool, dryRun ? this._prepareDryRun(batches) : batches, {
+        parameters: preparedParameters,
+        timeoutMs: permissions.queryTimeoutMs,
+        maxRows: permissions.maxRows,
+        // A dry run keeps counting past the page instead of stopping the statement
+        keepRows: dryRun ? permissions.maxRows : Math.max(permissions.maxRows, permissions.maxCachedRows || 0),
+        stopAtLimit: !dryRun,
+        masker,
+        onEvent,
+        running
+      });
+
+      if (transaction) {
+        await this._rollbackDryRun(transaction);
+        transaction = null;
+        this._finishDryRun(result);
+      }
+
+      if (planSetting && session) {
+        await this._resetPlanSetting(session.pool, planSetting);
+      }
+
+      const cancelError = result.errors.find(error => error.code === 'ECANCEL');
+      if (cancelError) {
+        throw cancelError;
+      }
+
+      // A script that failed without producing anything is reported as a plain error
+      const [firstError] = result.errors;
+      if (firstError && result.resultSets.length === 0 && result.rowsAffected.length === 0 &&
+          result.batches.every(batch => batch.status === 'error')) {
+        throw firstError;
+      }
+
+      const sessionInfo = session ? await SessionService.release(session) : null;
+      session = null;
 
       const executionTime = Date.now() - startTime;
+      const rowsRead = result.resultSets.reduce((sum, set) => sum + set.rows.length, 0);
+
+      // Only the first page of each result set goes back; the rest is served from the cache
+      const resultSets = result.resultSets.map(set => ({
+        ...set,
+        rows: set.rows.slice(0, permissions.maxRows),
+        availableRows: set.rows.length
+      }));
+      const returnedRows = resultSets.reduce((sum, set) => sum + set.rows.length, 0);
+
+      let resultHandle = null;
+      if (rowsRead > returnedRows) {
+        const expiresAt = ResultCache.set(queryHistoryId, {
+          userId,
+          pageSize: permissions.maxRows,
+          resultSets: result.resultSets.map(({ columns, rows }) => ({ columns, rows })),
+          ttlMs: permissions.resultCacheTtlMs
+        });
+        resultHandle = { queryId: queryHistoryId, pageSize: permissions.maxRows, expiresAt };
+      }
 
       // Update query history
       await QueryHistoryModel.update(queryHistoryId, {
-        status: 'success',
-        rowCount: totalRows,
-        executionTimeMs: executionTime
+        status: firstError ? 'error' : 'success',
+        rowCount: rowsRead,
+        executionTimeMs: executionTime,
+        errorMessage: firstError ? firstError.message : null
       });
 
       // Remove from running queries
       runningQueries.delete(queryHistoryId);
 
-      logger.info(`Query executed successfully: ${queryHistoryId} (${executionTime}ms, ${totalRows} rows)`);
+      logger.info(`Query executed: ${queryHistoryId} (${executionTime}ms, ${result.batches.length} batches, ${result.resultSets.length} result sets, ${rowsRead} rows${result.stoppedEarly ? ', stopped at limit' : ''}${firstError ? ', with errors' : ''})`);
 
       return {
         queryId: queryHistoryId,
-        data: limitedRows,
-        totalRows,
-        returnedRows: limitedRows.length,
-        truncated: totalRows > permissions.maxRows,
+        resultSets,
+        resultHandle,
+        rowsAffected: result.rowsAffected,
+        messages: result.messages,
+        batches: result.batches,
+        session: sessionInfo,
+        dryRun,
+        plan: planSetting ? plan : null,
+        plans: result.plans,
+        returnedRows,
+        truncated: result.stoppedEarly,
         maxRows: permissions.maxRows,
         executionTimeMs: executionTime,
-        columns: result.recordset?.columns || []
+        hasErrors: Boolean(firstError)
       };
 
     } catch (error) {
       const executionTime = Date.now() - startTime;
 
-      // Check if it was cancelled
-      if (error.message && error.message.includes('cancel')) {
+      // Check if it was cancelled; a killed query fails with whatever its dropped connection raised
+      if (error.code === 'ECANCEL' || runningQueries.get(queryHistoryId)?.cancelled) {
         if (queryHistoryId) {
           await QueryHistoryModel.update(queryHistoryId, {
             status: 'cancelled',
@@ -108,28 +343,663 @@ export class SqlService {
 
       logger.error(`Query execution failed: ${queryHistoryId}`, error);
 
+      // Lets callers link the failed run, as approval requests do
+      if (queryHistoryId) {
+        error.queryId = queryHistoryId;
+      }
+
       throw error;
+    } finally {
+      if (transaction) {
+        await this._rollbackDryRun(transaction);
+      }
+      if (session) {
+        if (planSetting) {
+          await this._resetPlanSetting(session.pool, planSetting);
+        }
+        await SessionService.release(session);
+      }
+      pinned?.unpin();
+      if (scriptPool) {
+        scriptPool.close().catch(error => logger.warn(`Failed to close script connection: ${error.message}`));
+      }
+      releaseSlot?.();
     }
   }
 
+  /**
+   * Run batches one after another on the pool, merging their output.
+   * A batch listed with GO n runs n times. Errors in a batch do not stop the
+   * script; a cancel or a result set over the row cap does.
+   *
+   * onEvent gets 'resultSet', 'rows', 'message', 'plan' and 'progress'
+   * events; a promise it returns pauses the stream until it settles.
+   */
+  static async _runBatches(pool, batches, { parameters, timeoutMs, maxRows, keepRows, stopAtLimit = true, masker = null, onEvent, running }) {
+    const merged = { resultSets: [], rowsAffected: [], messages: [], errors: [], plans: [], stoppedEarly: false, batches: [] };
+    const startTime = Date.now();
+    let rowsBefore = 0;
+
+    for (const [index, batch] of batches.entries()) {
+      const summary = { index, startLine: batch.startLine, repeat: batch.repeat, status: 'not run', error: null, executionTimeMs: 0 };
+      merged.batches.push(summary);
+
+      if (running.cancelled || merged.stoppedEarly || merged.errors.some(error => error.code === 'ECANCEL')) {
+        continue;
+      }
+
+      const batchStart = Date.now();
+      const errorsBefore = merged.errors.length;
+
+      for (let run = 0; run < batch.repeat; run++) {
+        const runBatch = (text) => {
+          const request = pool.request();
+          request.setTimeout(timeoutMs);
+          bindParameters(request, parameters);
+          running.request = request;
+
+          return this._streamQuery(request, text, {
+            maxRows,
+            keepRows,
+            stopAtLimit,
+            masker,
+            onEvent,
+            batch: index,
+            firstIndex: merged.resultSets.length,
+            startTime,
+            rowsBefore
+          });
+        };
+
+        // Batches with a fallback only come from dry runs, which run inside a transaction
+        if (batch.fallbackSql) {
+          await pool.request().batch(`SAVE TRANSACTION ${DRY_RUN_SAVEPOINT}`);
+        }
+
+        let result = await runBatch(batch.sql);
+
+        // A rewritten batch that failed is undone and run again as written
+        if (batch.fallbackSql && result.errors.length > 0 && !running.cancelled &&
+            !result.errors.some(error => error.code === 'ECANCEL')) {
+          const reason = result.errors[0].message;
+          const undone = await pool.request().batch(`ROLLBACK TRANSACTION ${DRY_RUN_SAVEPOINT}`)
+            .then(() => true, () => false);
+
+          if (undone) {
+            result = await runBatch(batch.fallbackSql);
+            result.messages.unshift({
+              type: 'info',
+              message: `Changed rows could not be captured for this batch (${reason}); only row counts are shown.`,
+              batch: index
+            });
+          }
+        }
+
+        merged.resultSets.push(...result.resultSets);
+        merged.rowsAffected.push(...result.rowsAffected);
+        merged.messages.push(...result.messages);
+        merged.errors.push(...result.errors);
+        merged.plans.push(...result.plans);
+        rowsBefore += result.rowsReceived;
+
+        if (result.stoppedEarly) {
+          merged.stoppedEarly = true;
+        }
+        if (result.stoppedEarly || running.cancelled || result.errors.some(error => error.code === 'ECANCEL')) {
+          break;
+        }
+      }
+
+      const batchErrors = merged.errors.slice(errorsBefore);
+      summary.executionTimeMs = Date.now() - batchStart;
+      summary.status = batchErrors.some(error => error.code === 'ECANCEL') ? 'cancelled'
+        : batchErrors.length > 0 ? 'error' : 'success';
+      summary.error = batchErrors[0]?.message || null;
+
+      if (batch.repeat > 1 && summary.status === 'success') {
+        const message = { type: 'info', message: `Batch execution completed ${batch.repeat} times.`, batch: index };
+        merged.messages.push(message);
+        if (onEvent) {
+          await onEvent({ type: 'message', message });
+        }
+      }
+    }
+
+    running.request = null;
+
+    // A cancel that landed between two batches never reached a request
+    if (running.cancelled && !merged.errors.some(error => error.code === 'ECANCEL')) {
+      const error = new Error('Canceled.');
+      error.code = 'ECANCEL';
+      merged.errors.push(error);
+    }
+
+    return merged;
+  }
+
+  /**
+   * Refuse scripts that write data or change schema on a connection that requires approval for them
+   */
+  static _checkApprovalRequired(connection, statements) {
+    const write = connection?.requiresApproval ? statements.find(isWriteStatement) : null;
+
+    if (write) {
+      const error = new Error(`${write.type} statements on this connection need an approved request; submit the script for approval`);
+      error.status = 403;
+      error.details = { canRequestApproval: true };
+      throw error;
+    }
+  }
+
+  /**
+   * Refuse scripts that reference objects the role's policies on this connection do not allow
+   */
+  static async _checkObjectPolicies(connectionId, userRole, batches) {
+    const policies = await ObjectPolicyModel.listFor(connectionId, userRole);
+
+    for (const [index, batch] of batches.entries()) {
+      const access = checkObjectAccess(policies, userRole, batch.sql);
+      if (!access.allowed) {
+        const error = new Error(batches.length > 1 ? `Batch ${index + 1}: ${access.reason}` : access.reason);
+        error.status = 403;
+        error.details = { object: access.object, policy: access.policy };
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Trace the columns of every statement that returns rows to the table
+   * columns they read, with sp_describe_first_result_set in browse mode.
+   * Statements it cannot describe (temp tables created earlier in the
+   * script, variables, procedures, cursors...) are left untraced.
+   * @returns {Array} - Per batch, per statement that returns rows, [{ name, schema, table, column }] or null
+   */
+  static async _traceResultSources(pool, batches, parameters) {
+    const declarations = parameters.map(parameter => `@${parameter.name} ${parameter.declaration}`).join(', ');
+    const sources = [];
+
+    for (const batch of batches) {
+      const traces = [];
+
+      for (const statement of classifyStatements(batch.sql).filter(statement => !statement.nested)) {
+        if (ROWLESS_STATEMENTS.has(statement.type)) continue;
+        if (statement.type !== 'SELECT' && TRACEABLE_STATEMENTS.has(statement.type) && !/\bOUTPUT\b/i.test(statement.text)) continue;
+
+        // Its result sets are then masked as if the batch could not be traced
+        if (!TRACEABLE_STATEMENTS.has(statement.type)) {
+          traces.push(null);
+          continue;
+        }
+
+        try {
+          const result = await pool.request()
+            .input('tsql', sql.NVarChar(sql.MAX), statement.text)
+            .input('params', sql.NVarChar(sql.MAX), declarations || null)
+            .query('EXEC sp_describe_first_result_set @tsql = @tsql, @params = @params, @browse_information_mode = 1');
+
+          // No columns: the statement returns no rows, as SELECT @x = ... or OUTPUT ... INTO
+          if (result.recordset.length === 0) continue;
+
+          // Browse mode adds hidden key columns the result does not have
+          traces.push(result.recordset.filter(column => !column.is_hidden).map(column => ({
+            name: column.name ?? '',
+            schema: column.source_schema,
+            table: column.source_table,
+            column: column.source_column
+          })));
+        } catch (error) {
+          traces.push(null);
+        }
+      }
+
+      sources.push(traces);
+    }
+
+    return sources;
+  }
+
+  /**
+   * Reject scripts a dry run cannot contain safely
+   */
+  static _checkDryRun(batches, { sessionId, plan }) {
+    const reject = (message) => {
+      const error = new Error(message);
+      error.name = 'ValidationError';
+      throw error;
+    };
+
+    if (sessionId) {
+      reject('Dry runs cannot use a pinned session: rolling back would also undo its open transaction');
+    }
+
+    if (plan) {
+      reject('Dry runs cannot return execution plans');
+    }
+
+    for (const [index, batch] of batches.entries()) {
+      const blocker = findDryRunBlocker(batch.sql);
+      if (blocker) {
+        const where = batches.length > 1 ? `Batch ${index + 1}: ` : '';
+        reject(`${where}Dry runs cannot include ${blocker}; it could end or escape the transaction that is rolled back`);
+      }
+    }
+  }
+
+  /**
+   * Add OUTPUT clauses to the batches of a dry run, keeping the original text as fallback
+   *
+   * A sample of the changed rows comes back as result sets flagged with
+   * `preview`. If the server refuses the clauses (tables with triggers, for
+   * instance) the batch runs again as written and only row counts are reported.
+   */
+  static _prepareDryRun(batches) {
+    return batches.map((batch) => {
+      const { sql: rewritten, statements } = addOutputClauses(batch.sql);
+      return statements.length > 0 ? { ...batch, sql: rewritten, fallbackSql: batch.sql } : batch;
+    });
+  }
+
+  /**
+   * Whether the role has cost limits that this execution has not been cleared of
+   */
+  static _needsCostCheck(permissions, confirmExpensive) {
+    const hasLimit = permissions.maxEstimatedCost != null || permissions.maxEstimatedRows != null;
+    return hasLimit && !(confirmExpensive && permissions.canConfirmExpensiveQueries);
+  }
+
+  /**
+   * Compile the script with SHOWPLAN_XML and refuse it if the estimated cost
+   * (summed over its statements) or the largest estimated row count is over
+   * the role's limits: with status 409 when the role may confirm (callers
+   * pass confirmExpensive to run it anyway), otherwise 403. Statements that
+   * cannot be compiled up front, such as ones on a temp table the script
+   * creates, are not checked. Throws if the setting cannot be turned off
+   * again, so nothing runs on a connection that would only compile it.
+   */
+  static async _checkEstimatedCost(pool, batches, { parameters, permissions, userRole }) {
+    const estimates = [];
+    let resetError = null;
+
+    await pool.request().batch('SET SHOWPLAN_XML ON');
+    try {
+      for (const [index, batch] of batches.entries()) {
+        const request = pool.request();
+        request.setTimeout(permissions.queryTimeoutMs);
+        bindParameters(request, parameters);
+
+        const result = await this._streamQuery(request, batch.sql, { maxRows: 0, batch: index });
+        for (const { xml } of result.plans) {
+          estimates.push(...readStatementEstimates(xml));
+        }
+        if (result.errors.length > 0) {
+          logger.warn(`Batch ${index + 1} could not be fully estimated: ${result.errors[0].message}`);
+        }
+      }
+    } finally {
+      try {
+        await pool.request().batch('SET SHOWPLAN_XML OFF');
+      } catch (error) {
+        resetError = error;
+      }
+    }
+
+    // Left on, the setting would only compile the script instead of running it
+    if (resetError) {
+      throw new Error(`The script was not run: SHOWPLAN_XML could not be turned off after its cost check (${resetError.message})`);
+    }
+
+    if (estimates.length === 0) {
+      return;
+    }
+
+    const estimatedCost = estimates.reduce((sum, estimate) => sum + estimate.cost, 0);
+    const largest = estimates.reduce((max, estimate) => estimate.estimatedRows > max.estimatedRows ? estimate : max);
+    const costliest = estimates.reduce((max, estimate) => estimate.cost > max.cost ? estimate : max);
+
+    const { maxEstimatedCost, maxEstimatedRows, canConfirmExpensiveQueries } = permissions;
+    let reason = null;
+    let statement = null;
+
+    if (maxEstimatedCost != null && estimatedCost > maxEstimatedCost) {
+      reason = `Estimated cost ${estimatedCost.toFixed(1)} is over the limit of ${maxEstimatedCost} for role ${userRole}`;
+      statement = costliest.text;
+    } else if (maxEstimatedRows != null && largest.estimatedRows > maxEstimatedRows) {
+      reason = `A statement is estimated to return ${Math.round(largest.estimatedRows)} rows, over the limit of ${maxEstimatedRows} for role ${userRole}`;
+      statement = largest.text;
+    }
+
+    if (!reason) {
+      return;
+    }
+
+    const error = new Error(canConfirmExpensiveQueries
+      ? `${reason}. Confirm to run it anyway.`
+      : `${reason}. Narrow the query (add filters or TOP) and try again.`);
+    error.status = canConfirmExpensiveQueries ? 409 : 403;
+    error.details = {
+      estimatedCost,
+      estimatedRows: largest.estimatedRows,
+      maxEstimatedCost,
+      maxEstimatedRows,
+      statement,
+      confirmable: canConfirmExpensiveQueries
+    };
+    throw error;
+  }
+
+  /**
+   * Turn a plan setting off again on a session that outlives the query
+   */
+  static async _resetPlanSetting(pool, planSetting) {
+    try {
+      await pool.request().batch(`SET ${planSetting} OFF`);
+    } catch (error) {
+      logger.warn(`Failed to turn off ${planSetting}: ${error.message}`);
+    }
+  }
+
+  static async _rollbackDryRun(transaction) {
+    try {
+      await transaction.rollback();
+    } catch (error) {
+      // The server may already have rolled back after a severe error
+      logger.warn(`Dry run rollback: ${error.message}`);
+    }
+  }
+
+  /**
+   * Turn the marker column of OUTPUT result sets into a `preview` flag
+   */
+  static _finishDryRun(result) {
+    for (const set of result.resultSets) {
+      if (set.columns[0]?.name !== DRY_RUN_MARKER) continue;
+
+      const actions = new Set(set.rows.map(row => row[DRY_RUN_MARKER]));
+
+      if (actions.size <= 1) {
+        // One statement type: drop the marker column
+        set.preview = set.rows[0]?.[DRY_RUN_MARKER] || 'DML';
+        set.columns = set.columns.slice(1);
+        for (const row of set.rows) delete row[DRY_RUN_MARKER];
+      } else {
+        // MERGE touching rows in several ways: keep the action per row
+        set.preview = 'MERGE';
+        set.columns[0] = { ...set.columns[0], name: '$action' };
+        for (const row of set.rows) {
+          row.$action = row[DRY_RUN_MARKER];
+          delete row[DRY_RUN_MARKER];
+        }
+      }
+    }
+
+    result.messages.push({
+      type: 'info',
+      message: 'Dry run: the transaction was rolled back and no changes were saved.'
+    });
+  }
+
+  /**
+   * Run a single batch in streaming mode, collecting every result set it produces.
+   *
+   * Only the first maxRows rows of each set are pushed as events, but up to
+   * keepRows rows are kept. Once row keepRows + 1 of any set arrives the
+   * request is cancelled, so statements after it do not run (with
+   * stopAtLimit false the remaining rows are only counted instead);
+   * that is recorded in the messages and the cancellation itself is not
+   * reported as an error. SQL errors do not reject the promise: they are
+   * returned in `errors` (and the message log) next to whatever the batch
+   * produced before and after them.
+   *
+   * With a masker, the columns it masks are marked with their strategy and
+   * their values are masked before rows are kept or pushed, and server
+   * messages are redacted as it sees fit.
+   *
+   * Result sets are numbered from firstIndex and tagged, like messages, with
+   * the batch index; progress events count from startTime and rowsBefore so
+   * they cover the whole script.
+   */
+  static _streamQuery(request, sqlText, {
+    maxRows,
+    keepRows = maxRows,
+    stopAtLimit = true,
+    masker = null,
+    onEvent = null,
+    chunkSize = STREAM_CHUNK_SIZE,
+    batch = 0,
+    firstIndex = 0,
+    startTime = Date.now(),
+    rowsBefore = 0
+  }) {
+    return new Promise((resolve) => {
+      const resultSets = [];
+      const rowsAffected = [];
+      const messages = [];
+      const errors = [];
+      const plans = [];
+      let current = null;
+      // Set while the current result set carries showplan XML
+      let planColumn = null;
+      // Masking strategy per column of the current result set
+      let masks = null;
+      let chunk = [];
+      let stoppedEarly = false;
+      let rowsReceived = 0;
+      let pending = Promise.resolve();
+
+      // Forward an event to the listener, pausing the driver while it applies backpressure
+      const push = (event) => {
+        if (!onEvent) return;
+        const ack = onEvent(event);
+        if (ack && typeof ack.then === 'function') {
+          request.pause();
+          pending = pending.then(() => ack).then(() => request.resume(), () => request.cancel());
+        }
+      };
+
+      const flush = () => {
+        if (current && chunk.length > 0) {
+          push({ type: 'rows', resultSet: current.index, rows: chunk });
+          chunk = [];
+        }
+      };
+
+      const addMessage = (message) => {
+        message.batch = batch;
+        messages.push(message);
+        push({ type: 'message', message });
+      };
+
+      const progressTimer = onEvent
+        ? setInterval(() => push({ type: 'progress', elapsedMs: Date.now() - startTime, rowsReceived: rowsBefore + rowsReceived }), PROGRESS_INTERVAL_MS)
+        : null;
+
+      request.stream = true;
+
+      request.on('recordset', (recordsetColumns) => {
+        flush();
+
+        const columns = this._mapColumns(recordsetColumns);
+        if (columns.length === 1 && columns[0].name === SHOWPLAN_COLUMN) {
+          planColumn = SHOWPLAN_COLUMN;
+          current = null;
+          return;
+        }
+
+        planColumn = null;
+        masks = masker?.columnsFor(columns, { batch, resultSet: resultSets.length }) || null;
+        for (const column of columns) {
+          if (masks?.has(column.name)) {
+            column.masked = masks.get(column.name);
+          }
+        }
+        current = {
+          index: firstIndex + resultSets.length,
+          batch,
+          columns,
+          rows: [],
+          rowCount: 0,
+          truncated: false
+        };
+        resultSets.push(current);
+        push({ type: 'resultSet', index: current.index, batch, columns: current.columns });
+      });
+
+      request.on('row', (row) => {
+        if (planColumn) {
+          const plan = { batch, xml: row[planColumn] };
+          plans.push(plan);
+          push({ type: 'plan', ...plan });
+          return;
+        }
+
+        if (stoppedEarly) return;
+
+        current.rowCount++;
+        rowsReceived++;
+
+        if (current.rows.length >= keepRows) {
+          current.truncated = true;
+          if (!stopAtLimit) return;
+          stoppedEarly = true;
+          request.cancel();
+          return;
+        }
+
+        const value = masks ? maskRow(row, masks) : row;
+        current.rows.push(value);
+
+        if (current.rows.length <= maxRows) {
+          chunk.push(value);
+          if (chunk.length >= chunkSize) {
+            flush();
+          }
+        }
+      });
+
+      request.on('rowsaffected', (count) => {
+        if (stoppedEarly) return;
+        rowsAffected.push(count);
+        addMessage({
+          type: 'rowcount',
+          message: `(${count} row${count === 1 ? '' : 's'} affected)`,
+          count
+        });
+      });
+
+      request.on('info', (info) => {
+        addMessage({
+          type: 'info',
+          message: masker ? masker.redactMessage(info.message, info.number) : info.message,
+          number: info.number,
+          severity: info.class,
+          state: info.state,
+          lineNumber: info.lineNumber,
+          procName: info.procName || null
+        });
+      });
+
+      request.on('error', (error) => {
+        // Our own cancel after hitting the row limit is not a failure
+        if (stoppedEarly && error.code === 'ECANCEL') return;
+        // The message becomes the batch's error, the history entry's and maybe the one thrown
+        if (masker && error.number !== undefined) {
+          error.message = masker.redactMessage(error.message, error.number);
+        }
+        errors.push(error);
+        addMessage({
+          type: 'error',
+          message: error.message,
+          number: error.number,
+          severity: error.class,
+          state: error.state,
+          lineNumber: error.lineNumber,
+          procName: error.procName || null
+        });
+      });
+
+      request.on('done', () => {
+        clearInterval(progressTimer);
+        flush();
+
+        if (stoppedEarly) {
+          const set = resultSets[resultSets.length - 1];
+          addMessage({
+            type: 'info',
+            message: `Result set ${set.index + 1} exceeded the limit of ${keepRows} rows; execution was stopped and any remaining statements were not run.`
+          });
+        }
+
+        pending.then(() => resolve({ resultSets, rowsAffected, messages, errors, plans, stoppedEarly, rowsReceived }));
+      });
+
+      request.query(sqlText);
+    });
+  }
+
+  /**
+   * Convert driver column metadata into a serializable, ordered list
+   */
+  static _mapColumns(recordsetColumns) {
+    return Object.values(recordsetColumns || {})
+      .sort((a, b) => a.index - b.index)
+      .map(column => ({
+        name: column.name,
+        type: column.type?.declaration || null,
+        nullable: column.nullable
+      }));
+  }
+
+  /**
+   * Get a further page of a result that was truncated to its first page
+   * @returns {object|null} - null if the result is unknown, expired or not the user's
+   */
+  static async getResultRows(queryId, { userId, userRole, resultSet = 0, offset = 0, limit = null }) {
+    if (ResultCache.getOwner(queryId) !== userId) {
+      return null;
+    }
+
+    // Pages are as large as the role the query ran under allowed, which a connection grant may have set
+    const pageSize = ResultCache.getPageSize(queryId) || (await RoleService.getPermissions(userRole)).maxRows;
+    const page = ResultCache.getRows(queryId, {
+      resultSet,
+      offset,
+      limit: Math.min(limit || pageSize, pageSize)
+    });
+
+    return page ? { queryId, resultSet, ...page } : null;
+  }
+
   /**
    * Cancel running query
+   *
+   * The query stays listed as running, marked cancelled, until it has
+   * actually stopped, so one the driver cancel did not reach can still be
+   * killed.
+   * @param {boolean} asAdmin - Cancel whoever's query it is
    */
-  static async cancelQuery(queryId, userId) {
+  static async cancelQuery(queryId, userId, { asAdmin = false } = {}) {
     const runningQuery = runningQueries.get(queryId);
 
+    // A query still waiting for a slot is cancelled by its queue id
+    if (!runningQuery && QueryQueue.cancel(queryId, asAdmin ? null : userId)) {
+      logger.info(`Queued query cancelled: ${queryId} by user ${userId}`);
+      return { success: true, message: 'Query cancelled' };
+    }
+
     if (!runningQuery) {
       throw new Error('Query not found or already completed');
     }
 
     // Verify user owns this query or is admin
-    if (runningQuery.userId !== userId) {
+    if (runningQuery.userId !== userId && !asAdmin) {
       throw new Error('Unauthorized to cancel this query');
     }
 
     try {
-      // Cancel the request
-      runningQuery.request.cancel();
+      // Cancel the current batch and keep the remaining ones from starting
+      runningQuery.cancelled = true;
+      runningQuery.request?.cancel();
 
       // Update query history
       await QueryHistoryModel.update(queryId, {
@@ -137,9 +1007,7 @@ export class SqlService {
         cancelledAt: new Date().toISOString()
       });
 
-      runningQueries.delete(queryId);
-
-      logger.info(`Query cancelled: ${queryId} by user ${userId}`);
+      logger.info(`Query cancelled: ${queryId} by user ${userId}${runningQuery.userId !== userId ? ` (owned by ${runningQuery.userId})` : ''}`);
 
       return { success: true, message: 'Query cancelled' };
     } catch (error) {
@@ -149,49 +1017,189 @@ export class SqlService {
   }
 
   /**
-   * Get or create connection pool
+   * End a running query's server session with KILL <spid>
+   *
+   * For queries a driver cancel did not stop. KILL is sent over another
+   * connection of the same server and needs ALTER ANY CONNECTION there; the
+   * server rolls back the session's open transaction, which can take a
+   * while, and the query fails once its connection is dropped. A killed
+   * session's connection cannot be reused, so a pinned session is closed
+   * with it. Queries whose session id could not be read are refused (409).
+   */
+  static async killQuery(queryId, userId) {
+    const runningQuery = runningQueries.get(queryId);
+
+    if (!runningQuery) {
+      const error = new Error('Query not found or already completed');
+      error.status = 404;
+      throw error;
+    }
+
+    if (runningQuery.spid == null) {
+      const error = new Error('The server session of the query is not known, so it cannot be killed; cancel it instead');
+      error.status = 409;
+      throw error;
+    }
+
+    runningQuery.cancelled = true;
+
+    const pool = await this._getOrCreatePool(runningQuery.connectionId);
+    await pool.request().batch(`KILL ${runningQuery.spid}`);
+
+    if (runningQuery.sessionId) {
+      await SessionService.close(runningQuery.sessionId, runningQuery.userId)
+        .catch(error => logger.warn(`Failed to close session ${runningQuery.sessionId} after killing its query: ${error.message}`));
+    }
+
+    await QueryHistoryModel.update(queryId, {
+      status: 'cancelled',
+      cancelledAt: new Date().toISOString()
+    });
+
+    logger.warn(`Query killed: ${queryId} (session ${runningQuery.spid}) by user ${userId}`);
+
+    return { success: true, message: `Session ${runningQuery.spid} killed` };
+  }
+
+  /**
+   * Hold one connection of a pool until unpin() is called. Requests made on
+   * the returned pool all run on that connection, in one server session.
+   */
+  static async _pinConnection(pool) {
+    const connection = await pool.acquire(pool);
+    const pinned = Object.create(pool);
+
+    pinned.acquire = (request, callback) => {
+      setImmediate(callback, null, connection, pool.config);
+      return pinned;
+    };
+    pinned.release = () => pinned;
+    pinned.request = () => new sql.Request(pinned);
+    pinned.unpin = () => pool.release(connection);
+
+    return pinned;
+  }
+
+  /**
+   * Server session id (@@SPID) of the connection a pool, session or transaction runs on
+   */
+  static async _readSessionId(pool) {
+    const result = await pool.request().query('SELECT @@SPID AS spid');
+    return result.recordset[0].spid;
+  }
+
+  /**
+   * Wait for a concurrency slot of the user on a connection, as executeQuery does for each script
+   *
+   * For callers that open a transaction (see beginTransaction): they take
+   * the slot first, so no transaction waits in the queue holding locks, and
+   * scripts run in it take no slot of their own.
+   * @returns {function} - Releases the slot; call it once the transaction has ended
+   */
+  static async acquireSlot({ connectionId, userId, userRole, sql: sqlQuery = null }) {
+    const permissions = await RoleService.getPermissions(userRole);
+    const connection = await ConnectionModel.findById(connectionId);
+    return this._acquireSlot({ connectionId, connection, userId, userRole, permissions, sql: sqlQuery });
+  }
+
+  static _acquireSlot({ connectionId, connection, userId, userRole, permissions, sql: sqlQuery, onEvent = null }) {
+    return QueryQueue.acquire({
+      userId,
+      role: userRole,
+      connectionId,
+      sql: sqlQuery,
+      limits: {
+        user: permissions.maxConcurrentQueries ?? null,
+        role: permissions.maxConcurrentRoleQueries ?? null,
+        connection: connection?.maxConcurrentQueries ?? null
+      },
+      onQueued: onEvent ? (event) => onEvent({ type: 'queued', ...event }) : null
+    });
+  }
+
+  /**
+   * Begin a transaction on a connection for executeQuery to run scripts in;
+   * take the user's slot for it with acquireSlot first
+   * @returns {sql.Transaction} - Commit or roll it back when done; it holds a connection of the shared pool until then
+   */
+  static async beginTransaction(connectionId) {
+    const transaction = new sql.Transaction(await this._getOrCreatePool(connectionId));
+    await transaction.begin();
+    return transaction;
+  }
+
+  /**
+   * Shared pool of a connection, for metadata queries that skip the role checks and history
+   */
+  static getSharedPool(connectionId) {
+    return this._getOrCreatePool(connectionId);
+  }
+
+  /**
+   * Close the shared pool of a connection, e.g. when it now points elsewhere
+   */
+  static closePool(connectionId) {
+    closeSqlPool(connectionId);
+  }
+
+  /**
+   * Get or create connection pool; callers asking while it is created share it
    */
   static async _getOrCreatePool(connectionId) {
-    // Check if pool already exists
-    const existingPool = getSqlPool({ server: connectionId });
+    const existingPool = getSqlPool(connectionId);
 
     if (existingPool && existingPool.connected) {
       return existingPool;
     }
 
+    if (!creatingPools.has(connectionId)) {
+      const creating = this._createPool(connectionId)
+        .finally(() => creatingPools.delete(connectionId));
+      creatingPools.set(connectionId, creating);
+    }
+
+    return creatingPools.get(connectionId);
+  }
+
+  static async _createPool(connectionId) {
     // Get connection config
     const config = await ConnectionModel.getDecryptedConfig(connectionId);
 
     // Create new pool
-    const pool = new sql.ConnectionPool({
-      server: config.server,
-      port: config.port,
-      database: config.database,
-      user: config.user,
-      password: config.password,
-      options: {
-        encrypt: config.encrypt,
-        trustServerCertificate: config.trustServerCertificate,
-        enableArithAbort: true
-      },
-      connectionTimeout: config.connectionTimeout,
-      requestTimeout: config.requestTimeout,
-      pool: {
-        max: 10,
-        min: 2,
-        idleTimeoutMillis: 30000
-      }
-    });
+    const pool = new sql.ConnectionPool(buildSqlPoolConfig(config, {
+      max: 10,
+      min: 2,
+      idleTimeoutMillis: 30000
+    }));
 
     await pool.connect();
 
-    setSqlPool(config, pool);
+    // Replaces (and closes) a pool that lost its connection
+    setSqlPool(connectionId, pool);
 
     logger.info(`SQL Server pool created for connection: ${connectionId}`);
 
     return pool;
   }
 
+  /**
+   * Open a single-connection pool that is not shared with other queries.
+   * Every request on it runs in the same session; the caller closes it.
+   */
+  static async _openDedicatedPool(connectionId) {
+    const config = await ConnectionModel.getDecryptedConfig(connectionId);
+
+    const pool = new sql.ConnectionPool(buildSqlPoolConfig(config, {
+      max: 1,
+      min: 0,
+      idleTimeoutMillis: 30000
+    }));
+
+    await pool.connect();
+
+    return pool;
+  }
+
   /**
    * Test connection
    */
@@ -232,7 +1240,19 @@ export class SqlService {
       if (query.userId === userId) {
         userQueries.push({
           queryId,
-          connectionId: query.connectionId
+          connectionId: query.connectionId,
+          status: query.cancelled ? 'cancelling' : 'running'
+        });
+      }
+    }
+
+    for (const waiting of QueryQueue.listWaiting()) {
+      if (waiting.userId === userId) {
+        userQueries.push({
+          queryId: waiting.queueId,
+          connectionId: waiting.connectionId,
+          status: 'queued',
+          position: waiting.position
         });
       }
     }
@@ -240,10 +1260,50 @@ export class SqlService {
     return userQueries;
   }
 
+  /**
+   * Every running and queued query of all users, oldest first
+   */
+  static listAllRunning() {
+    const now = Date.now();
+    const queries = [...runningQueries.entries()]
+      .map(([queryId, query]) => ({
+        queryId,
+        userId: query.userId,
+        role: query.userRole,
+        connectionId: query.connectionId,
+        sql: query.sql,
+        spid: query.spid,
+        status: query.cancelled ? 'cancelling' : 'running',
+        startedAt: new Date(query.startedAt).toISOString(),
+        elapsedMs: now - query.startedAt
+      }))
+      .sort((a, b) => b.elapsedMs - a.elapsedMs);
+
+    for (const waiting of QueryQueue.listWaiting()) {
+      queries.push({
+        queryId: waiting.queueId,
+        userId: waiting.userId,
+        role: waiting.role,
+        connectionId: waiting.connectionId,
+        sql: waiting.sql,
+        spid: null,
+        status: 'queued',
+        position: waiting.position,
+        startedAt: waiting.queuedAt,
+        elapsedMs: now - Date.parse(waiting.queuedAt)
+      });
+    }
+
+    return queries;
+  }
+
   /**
    * Close all connection pools (for shutdown)
    */
   static async closeAllPools() {
+    // Sessions roll back their open transactions before their connections close
+    await SessionService.closeAll();
+
     const { closeAllSqlPools } = await import('../config/database.js');
     closeAllSqlPools();
     logger.info('All SQL Server pools closed');
@@ -0,0 +1,72 @@
+import { buildBrowseQuery, BROWSE_COUNT_RESULT_SET } from '../utils/tableBrowse.js';
+import { RoleService } from './RoleService.js';
+import { SchemaService } from './SchemaService.js';
+import { SqlService } from './SqlService.js';
+
+function browseError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Table browser: pages of a table's rows without writing SQL
+ *
+ * The filters, sort order and page a user picks are turned into a
+ * parameterized SELECT (see utils/tableBrowse.js) that runs through
+ * SqlService.executeQuery like any script the user wrote, so it is subject
+ * to the same role checks, object policies, masking, cost guard, quotas and
+ * query history. A page is never larger than the role's maxRows, so page
+ * offsets line up with what was actually returned.
+ */
+export class TableBrowseService {
+  /**
+   * Get a page of a table or view
+   * @returns {object} - { sql, parameters, columns, rows, total, offset, limit, queryId, executionTimeMs }
+   */
+  static async browse({ connectionId, schema, table, filters, sort, offset, limit, confirmExpensive = false, userId, userRole }) {
+    const description = await SchemaService.describeObject(connectionId, schema, table, { userId, userRole });
+
+    if (!description || !['TABLE', 'VIEW'].includes(description.type)) {
+      throw browseError('Table not found', 404);
+    }
+
+    const role = await RoleService.resolveConnectionRole(connectionId, { userId, userRole });
+    const { maxRows } = await RoleService.getPermissions(role);
+    const pageSize = Math.min(limit, maxRows);
+
+    const { sql, parameters } = buildBrowseQuery(description, { filters, sort, offset, limit: pageSize });
+
+    const result = await SqlService.executeQuery({
+      connectionId,
+      sql,
+      parameters,
+      confirmExpensive,
+      // The count holds no column values, and masking it would lose the total
+      unmaskedResultSets: [BROWSE_COUNT_RESULT_SET],
+      userId,
+      userRole
+    });
+
+    if (result.hasErrors) {
+      const failed = result.batches.find(batch => batch.status === 'error');
+      throw browseError(failed?.error || 'The table could not be read', 400);
+    }
+
+    const [page, count] = result.resultSets;
+
+    return {
+      sql,
+      parameters,
+      columns: page.columns,
+      rows: page.rows,
+      // COUNT_BIG comes back as a string
+      total: Number(count.rows[0].total),
+      offset,
+      limit: pageSize,
+      primaryKey: description.primaryKey,
+      queryId: result.queryId,
+      executionTimeMs: result.executionTimeMs
+    };
+  }
+}
@@ -0,0 +1,50 @@
+import { jest } from '@jest/globals';
+import { RowEditService } from '../RowEditService.js';
+import { SqlService } from '../SqlService.js';
+import { RoleService } from '../RoleService.js';
+import { ROLE_PERMISSIONS, ROLES } from '../../config/roles.js';
+import logger from '../../config/logger.js';
+
+describe('RowEditService.apply', () => {
+  const edit = { connectionId: 'c1', schema: 'dbo', table: 't', changes: [], userId: 'u1', userRole: ROLES.VIEWER };
+  const calls = [];
+  let transaction;
+
+  beforeEach(() => {
+    calls.length = 0;
+    transaction = { commit: jest.fn(async () => calls.push('commit')), rollback: jest.fn(async () => {}) };
+
+    jest.spyOn(RowEditService, 'preview').mockResolvedValue({ statements: [{ type: 'UPDATE', sql: 'UPDATE [dbo].[t] SET [a] = @p0', parameters: [] }] });
+    jest.spyOn(RoleService, 'resolveConnectionRole').mockImplementation(async (connectionId, { userRole }) => userRole);
+    jest.spyOn(RoleService, 'getPermissions').mockImplementation(async (role) => ROLE_PERMISSIONS[role]);
+    jest.spyOn(SqlService, 'acquireSlot').mockImplementation(async () => {
+      calls.push('slot');
+      return () => calls.push('release');
+    });
+    jest.spyOn(SqlService, 'beginTransaction').mockImplementation(async () => {
+      calls.push('begin');
+      return transaction;
+    });
+    jest.spyOn(SqlService, 'executeQuery').mockImplementation(async () => {
+      calls.push('execute');
+      return { queryId: 'q1', hasErrors: false, messages: [], batches: [] };
+    });
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('takes the slot before the transaction begins and releases it after the commit', async () => {
+    await expect(RowEditService.apply({ ...edit, userRole: ROLES.ANALYST })).resolves.toEqual({ applied: 1, queryIds: ['q1'] });
+
+    expect(calls).toEqual(['slot', 'begin', 'execute', 'commit', 'release']);
+  });
+
+  test('refuses statements the role may not run before taking a slot or beginning a transaction', async () => {
+    await expect(RowEditService.apply(edit)).rejects.toMatchObject({ status: 403 });
+
+    expect(calls).toEqual([]);
+  });
+});
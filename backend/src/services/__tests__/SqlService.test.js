@@ -0,0 +1,58 @@
+import { jest } from '@jest/globals';
+import { SqlService } from '../SqlService.js';
+import { QueryHistoryModel } from '../../models/QueryHistory.js';
+import { ConnectionModel } from '../../models/Connection.js';
+import { MaskingRuleModel } from '../../models/MaskingRule.js';
+import { RoleService } from '../RoleService.js';
+import { QuotaService } from '../QuotaService.js';
+import { QueryQueue } from '../QueryQueue.js';
+import { ROLE_PERMISSIONS, ROLES } from '../../config/roles.js';
+import logger from '../../config/logger.js';
+
+describe('SqlService.executeQuery', () => {
+  beforeEach(() => {
+    jest.spyOn(RoleService, 'resolveConnectionRole').mockResolvedValue(ROLES.VIEWER);
+    jest.spyOn(RoleService, 'getPermissions').mockResolvedValue({ ...ROLE_PERMISSIONS[ROLES.VIEWER], maxEstimatedCost: null, maxEstimatedRows: null });
+    jest.spyOn(ConnectionModel, 'findById').mockResolvedValue({ id: 'c1' });
+    jest.spyOn(QuotaService, 'assertWithinQuota').mockResolvedValue();
+    jest.spyOn(MaskingRuleModel, 'list').mockResolvedValue([]);
+    jest.spyOn(QueryQueue, 'acquire').mockResolvedValue(() => {});
+    jest.spyOn(QueryHistoryModel, 'create').mockResolvedValue({ id: 'q1' });
+    jest.spyOn(QueryHistoryModel, 'update').mockResolvedValue();
+    jest.spyOn(SqlService, '_checkObjectPolicies').mockResolvedValue();
+    jest.spyOn(SqlService, '_getOrCreatePool').mockResolvedValue({});
+    jest.spyOn(SqlService, '_pinConnection').mockResolvedValue({ unpin: () => {} });
+    jest.spyOn(SqlService, '_readSessionId').mockResolvedValue(55);
+    for (const level of ['info', 'warn', 'error']) {
+      jest.spyOn(logger, level).mockImplementation(() => {});
+    }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps a query cancelled in history when it fails with the error its cancel caused', async () => {
+    jest.spyOn(SqlService, '_runBatches').mockImplementation(async () => {
+      await SqlService.cancelQuery('q1', 'u1');
+      // A killed session drops the connection instead of cancelling the request
+      const error = new Error('Connection lost - read ECONNRESET');
+      error.code = 'ESOCKET';
+      throw error;
+    });
+
+    await expect(SqlService.executeQuery({ connectionId: 'c1', sql: 'SELECT 1', userId: 'u1', userRole: ROLES.VIEWER }))
+      .rejects.toThrow('Query cancelled by user');
+
+    expect(QueryHistoryModel.update.mock.calls.at(-1)).toEqual(['q1', expect.objectContaining({ status: 'cancelled' })]);
+  });
+
+  test('records a query that fails on its own as an error', async () => {
+    jest.spyOn(SqlService, '_runBatches').mockRejectedValue(new Error('Connection lost'));
+
+    await expect(SqlService.executeQuery({ connectionId: 'c1', sql: 'SELECT 1', userId: 'u1', userRole: ROLES.VIEWER }))
+      .rejects.toThrow('Connection lost');
+
+    expect(QueryHistoryModel.update.mock.calls.at(-1)).toEqual(['q1', expect.objectContaining({ status: 'error' })]);
+  });
+});
@@ -0,0 +1,125 @@
+import { createResultMasker, maskRow, maskValue } from '../dataMasking.js';
+
+const rule = (matchType, pattern, strategy = 'FULL', exemptRoles = ['ADMIN']) => ({ matchType, pattern, strategy, exemptRoles });
+const columns = (...names) => names.map(name => ({ name }));
+const masked = (masker, names, position) => [...(masker.columnsFor(columns(...names), position)?.keys() || [])];
+
+describe('maskValue', () => {
+  beforeAll(() => {
+    process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'test-key';
+  });
+
+  test('masks by strategy and keeps NULL', () => {
+    expect(maskValue('secret', 'FULL')).toBe('****');
+    expect(maskValue('4111111111111111', 'PARTIAL')).toBe('****1111');
+    expect(maskValue('short', 'PARTIAL')).toBe('****');
+    expect(maskValue('x', 'NULL')).toBeNull();
+    expect(maskValue(null, 'FULL')).toBeNull();
+    expect(maskValue('a', 'HASH')).toBe(maskValue('a', 'HASH'));
+    expect(maskValue('a', 'HASH')).not.toBe(maskValue('b', 'HASH'));
+  });
+
+  test('masks every value of columns sharing a name', () => {
+    expect(maskRow({ id: 1, email: ['a@x', 'b@x'] }, new Map([['email', 'FULL']]))).toEqual({ id: 1, email: ['****', '****'] });
+  });
+});
+
+describe('createResultMasker', () => {
+  const columnRule = rule('COLUMN', 'dbo.Customers.email');
+  const traced = (name, column, table = 'Customers') => ({ name, schema: 'dbo', table, column });
+
+  test('applies to no one a rule exempts', () => {
+    expect(createResultMasker([columnRule], { role: 'ADMIN', sql: 'SELECT email FROM dbo.Customers' })).toBeNull();
+  });
+
+  test('matches result columns by name', () => {
+    const sql = 'SELECT id, mail AS email, other AS home_phone FROM Customers';
+    const sources = [[[traced('id', 'id'), traced('email', 'mail'), traced('home_phone', 'other')]]];
+    const masker = createResultMasker([columnRule, rule('PATTERN', '*phone*')], { role: 'VIEWER', sql, sources });
+    expect(masked(masker, ['id', 'email', 'home_phone'])).toEqual(['email', 'home_phone']);
+  });
+
+  test('leaves column rules to scripts that reference their table', () => {
+    const masker = createResultMasker([columnRule], { role: 'VIEWER', sql: 'SELECT email FROM dbo.Suppliers' });
+    expect(masker.columnsFor(columns('email'))).toBeNull();
+  });
+
+  test('masks renamed columns traced to a masked column', () => {
+    const sql = 'SELECT id, email AS c FROM dbo.Customers';
+    const masker = createResultMasker([columnRule], { role: 'VIEWER', sql, sources: [[[traced('id', 'id'), traced('c', 'email')]]] });
+    expect(masked(masker, ['id', 'c'], { batch: 0, resultSet: 0 })).toEqual(['c']);
+  });
+
+  test('masks traced columns matching a pattern rule by their source name', () => {
+    const sources = [[[traced('contact', 'work_email')]]];
+    const masker = createResultMasker([rule('PATTERN', '*email*', 'PARTIAL')], { role: 'VIEWER', sql: 'SELECT work_email contact FROM Customers', sources });
+    expect(masker.columnsFor(columns('contact'))).toEqual(new Map([['contact', 'PARTIAL']]));
+  });
+
+  test('masks columns that cannot be traced when the script names a masked column', () => {
+    for (const sql of ['SELECT UPPER(email) FROM dbo.Customers', "SELECT email + '' AS c FROM dbo.Customers"]) {
+      const masker = createResultMasker([columnRule], { role: 'VIEWER', sql, sources: [[[{ name: 'c', schema: null, table: null, column: null }]]] });
+      expect(masked(masker, ['c'], { batch: 0, resultSet: 0 })).toEqual(['c']);
+    }
+  });
+
+  test('traces every statement of a batch, not only the first', () => {
+    const sql = 'SELECT 1 AS n; SELECT id, email AS e FROM dbo.Customers';
+    const sources = [[[{ name: 'n', schema: null, table: null, column: null }], [traced('id', 'id'), traced('e', 'email')]]];
+    const masker = createResultMasker([columnRule], { role: 'VIEWER', sql, sources });
+    expect(masked(masker, ['id', 'e'], { batch: 0, resultSet: 1 })).toEqual(['e']);
+  });
+
+  test('masks a column when any statement the result set could have come from reads a masked column', () => {
+    const sql = 'IF @x = 1 SELECT name AS e FROM dbo.Suppliers; SELECT email AS e FROM dbo.Customers';
+    const sources = [[[traced('e', 'name', 'Suppliers')], [traced('e', 'email')]]];
+    const masker = createResultMasker([columnRule], { role: 'VIEWER', sql, sources });
+    expect(masked(masker, ['e'], { batch: 0, resultSet: 0 })).toEqual(['e']);
+  });
+
+  test('masks columns of batches with a statement that could not be traced', () => {
+    const sql = 'SELECT 1 AS n SELECT email AS c FROM #t JOIN dbo.Customers ON 1 = 1';
+    expect(masked(createResultMasker([columnRule], { role: 'VIEWER', sql, sources: [null] }), ['n'])).toEqual(['n']);
+
+    const sources = [[[{ name: 'n', schema: null, table: null, column: null }], null]];
+    expect(masked(createResultMasker([columnRule], { role: 'VIEWER', sql, sources }), ['c'], { batch: 0, resultSet: 1 })).toEqual(['c']);
+  });
+
+  test('does not trust a trace that does not fit the result set', () => {
+    const sources = [[[traced('other', 'id')]]];
+    const masker = createResultMasker([columnRule], { role: 'VIEWER', sql: 'SELECT email c FROM dbo.Customers', sources });
+    expect(masked(masker, ['c'])).toEqual(['c']);
+  });
+
+  test('leaves traced columns of other sources alone', () => {
+    const sql = 'SELECT id, name FROM dbo.Customers WHERE email IS NOT NULL; SELECT id FROM dbo.Orders';
+    const sources = [[[traced('id', 'id'), traced('name', 'name')], [traced('id', 'id', 'Orders')]]];
+    const masker = createResultMasker([columnRule], { role: 'VIEWER', sql, sources });
+    expect(masker.columnsFor(columns('id', 'name'))).toBeNull();
+    expect(masker.columnsFor(columns('id'), { batch: 0, resultSet: 1 })).toBeNull();
+  });
+});
+
+describe('redactMessage', () => {
+  const masker = (sql) => createResultMasker([rule('COLUMN', 'dbo.Customers.email')], { role: 'VIEWER', sql });
+
+  test('redacts PRINT, RAISERROR and THROW text in scripts that read a masked column', () => {
+    const reads = masker('DECLARE @e nvarchar(200); SELECT @e = email FROM dbo.Customers; PRINT @e');
+    expect(reads.redactMessage('a@example.com', 0)).not.toContain('a@example.com');
+    expect(reads.redactMessage('a@example.com', 50000)).not.toContain('a@example.com');
+    expect(reads.redactMessage('a@example.com', 51000)).not.toContain('a@example.com');
+  });
+
+  test('redacts values quoted in server errors and keeps the rest', () => {
+    const reads = masker('SELECT CAST(email AS int) FROM dbo.Customers');
+    const message = reads.redactMessage("Conversion failed when converting the nvarchar value 'a@example.com' to data type int.", 245);
+    expect(message).not.toContain('a@example.com');
+    expect(message).toMatch(/^Conversion failed when converting the nvarchar value '.*' to data type int\.$/);
+    expect(reads.redactMessage('The duplicate key value is (a@example.com).', 2627)).not.toContain('a@example.com');
+  });
+
+  test('leaves messages of scripts that read no masked column alone', () => {
+    expect(masker("PRINT 'done'").redactMessage('done', 0)).toBe('done');
+    expect(masker('SELECT email FROM dbo.Suppliers').redactMessage('x', 0)).toBe('x');
+  });
+});
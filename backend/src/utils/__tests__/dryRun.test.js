@@ -0,0 +1,51 @@
+import { addOutputClauses, findDryRunBlocker, DRY_RUN_MARKER } from '../dryRun.js';
+
+const marker = `[${DRY_RUN_MARKER}]`;
+
+describe('findDryRunBlocker', () => {
+  test('finds statements that would end or escape the transaction', () => {
+    expect(findDryRunBlocker('UPDATE t SET a = 1 COMMIT')).toBe('COMMIT');
+    expect(findDryRunBlocker('BEGIN TRAN UPDATE t SET a = 1')).toBe('BEGIN TRAN');
+    expect(findDryRunBlocker("EXEC sp_executesql N'DELETE FROM t'")).toBe('EXEC');
+    expect(findDryRunBlocker('ROLLBACK')).toBe('ROLLBACK');
+  });
+
+  test('leaves blocks, strings and comments alone', () => {
+    expect(findDryRunBlocker("IF 1 = 1 BEGIN UPDATE t SET a = 'commit' END -- ROLLBACK")).toBeNull();
+  });
+});
+
+describe('addOutputClauses', () => {
+  test('puts the clause in front of the clauses that follow SET, or after the statement', () => {
+    expect(addOutputClauses('UPDATE t SET a = 1 WHERE b = 2').sql)
+      .toBe(`UPDATE t SET a = 1 OUTPUT 'UPDATE' AS ${marker}, inserted.* WHERE b = 2`);
+    expect(addOutputClauses('UPDATE t SET a = 1').sql)
+      .toBe(`UPDATE t SET a = 1 OUTPUT 'UPDATE' AS ${marker}, inserted.*`);
+  });
+
+  test('puts the clause after the target of a DELETE', () => {
+    expect(addOutputClauses('DELETE TOP (5) FROM t WHERE a = 1').sql)
+      .toBe(`DELETE TOP (5) FROM t OUTPUT 'DELETE' AS ${marker}, deleted.* WHERE a = 1`);
+  });
+
+  test('puts the clause in front of the rows an INSERT adds', () => {
+    expect(addOutputClauses('INSERT INTO t (a) VALUES (1)').sql)
+      .toBe(`INSERT INTO t (a) OUTPUT 'INSERT' AS ${marker}, inserted.* VALUES (1)`);
+    expect(addOutputClauses('INSERT INTO t (a) SELECT a FROM u').sql)
+      .toBe(`INSERT INTO t (a) OUTPUT 'INSERT' AS ${marker}, inserted.* SELECT a FROM u`);
+  });
+
+  test('outputs the action of a MERGE', () => {
+    const { sql } = addOutputClauses('MERGE t USING u ON t.id = u.id WHEN MATCHED THEN DELETE;');
+    expect(sql).toContain(`OUTPUT $action AS ${marker}, inserted.*`);
+  });
+
+  test('lists the statements that got a clause and leaves the rest as they are', () => {
+    const sql = 'SELECT 1; UPDATE t SET a = 1; DELETE FROM u OUTPUT deleted.id';
+    const result = addOutputClauses(sql);
+
+    expect(result.statements).toEqual(['UPDATE']);
+    expect(result.sql).toBe(`SELECT 1; UPDATE t SET a = 1 OUTPUT 'UPDATE' AS ${marker}, inserted.*; DELETE FROM u OUTPUT deleted.id`);
+    expect(addOutputClauses('SELECT * FROM t')).toEqual({ sql: 'SELECT * FROM t', statements: [] });
+  });
+});
@@ -0,0 +1,104 @@
+import { buildRowEdits, columnCapabilities, findEditableSource, ROW_CONFLICT_ERROR } from '../rowEdits.js';
+
+const table = {
+  schema: 'dbo',
+  name: 'Customers',
+  columns: [
+    { name: 'id', type: 'int', identity: true },
+    { name: 'name', type: 'nvarchar(100)' },
+    { name: 'email', type: 'nvarchar(200)' },
+    { name: 'total', type: 'decimal(10,2)', computed: true }
+  ],
+  primaryKey: { columns: ['id'] }
+};
+
+const checkOneRow = `IF @@ROWCOUNT <> 1 THROW ${ROW_CONFLICT_ERROR}, N'The row was changed or deleted by someone else since it was read', 1;`;
+
+describe('findEditableSource', () => {
+  test('finds the table of a plain SELECT', () => {
+    expect(findEditableSource('SELECT id, name FROM Customers WHERE id > 1 ORDER BY name')).toEqual({ table: { schema: 'dbo', name: 'Customers' } });
+    expect(findEditableSource('SELECT TOP (10) c.* FROM [sales].[Customers] c')).toEqual({ table: { schema: 'sales', name: 'Customers' } });
+  });
+
+  test('refuses results that are not rows of one table', () => {
+    const refused = [
+      'SELECT 1 SELECT 2',
+      'UPDATE Customers SET name = 1',
+      'SELECT DISTINCT name FROM Customers',
+      'SELECT name AS n FROM Customers',
+      'SELECT UPPER(name) FROM Customers',
+      'SELECT c.id FROM Customers c JOIN Orders o ON o.customer_id = c.id',
+      'SELECT name FROM Customers GROUP BY name',
+      'SELECT id FROM Customers UNION SELECT id FROM Suppliers',
+      'SELECT id INTO #c FROM Customers',
+      'SELECT id FROM #c',
+      'SELECT id FROM Customers WHERE id IN (SELECT customer_id FROM Orders)'
+    ];
+
+    for (const sql of refused) {
+      expect([sql, findEditableSource(sql).table]).toEqual([sql, undefined]);
+    }
+  });
+});
+
+describe('columnCapabilities', () => {
+  test('tells which columns can be set and compared', () => {
+    expect(columnCapabilities({ type: 'nvarchar(10)' })).toEqual({ editable: true, comparable: true, rowVersion: false });
+    expect(columnCapabilities({ type: 'int', identity: true }).editable).toBe(false);
+    expect(columnCapabilities({ type: 'datetime2(7)' }).comparable).toBe(false);
+    expect(columnCapabilities({ type: 'datetime2(3)' }).comparable).toBe(true);
+    expect(columnCapabilities({ type: 'xml' })).toEqual({ editable: false, comparable: false, rowVersion: false });
+    expect(columnCapabilities({ type: 'rowversion' }).rowVersion).toBe(true);
+  });
+});
+
+describe('buildRowEdits', () => {
+  test('updates a row by its key when the changed columns are as they were read', () => {
+    const [update] = buildRowEdits(table, [{ type: 'update', original: { id: 7, name: 'Ann', email: null }, values: { Name: 'Anne' } }]);
+
+    expect(update.sql).toBe(`UPDATE [dbo].[Customers]\nSET [name] = @p2\nWHERE [id] = @p0\n  AND [name] = @p1;\n${checkOneRow}`);
+    expect(update.parameters).toEqual([
+      { name: 'p0', type: 'int', value: 7 },
+      { name: 'p1', type: 'nvarchar(100)', value: 'Ann' },
+      { name: 'p2', type: 'nvarchar(100)', value: 'Anne' }
+    ]);
+  });
+
+  test('inserts the values given and deletes rows still as they were read', () => {
+    const [insert, empty, remove] = buildRowEdits(table, [
+      { type: 'insert', values: { name: 'Bob' } },
+      { type: 'insert', values: {} },
+      { type: 'delete', original: { id: 7, name: 'Ann', email: null, total: 3 } }
+    ]);
+
+    expect(insert.sql).toBe('INSERT INTO [dbo].[Customers] ([name])\nVALUES (@p0);');
+    expect(empty.sql).toBe('INSERT INTO [dbo].[Customers] DEFAULT VALUES;');
+    expect(remove.sql).toBe(`DELETE FROM [dbo].[Customers]\nWHERE [id] = @p0\n  AND [name] = @p1\n  AND [email] IS NULL\n  AND [total] = @p2;\n${checkOneRow}`);
+  });
+
+  test('compares the row version instead of the values when the row has it', () => {
+    const versioned = { ...table, columns: [...table.columns, { name: 'version', type: 'timestamp' }] };
+    const [update] = buildRowEdits(versioned, [{
+      type: 'update',
+      original: { id: 7, name: 'Ann', version: { type: 'Buffer', data: [0, 0, 0, 0, 0, 0, 0x1f, 0xa0] } },
+      values: { name: 'Anne' }
+    }]);
+
+    expect(update.sql).toContain('WHERE [id] = @p0\n  AND [version] = CONVERT(binary(8), @p1, 1);');
+    expect(update.parameters[1]).toEqual({ name: 'p1', type: 'varchar(18)', value: '0x0000000000001fa0' });
+  });
+
+  test('refuses changes it cannot make safely', () => {
+    const build = (change, target = table) => () => buildRowEdits(target, [change]);
+
+    expect(build({ type: 'update', original: { id: 1, total: 2 }, values: { total: 3 } })).toThrow('cannot be set');
+    expect(build({ type: 'update', original: { id: 1 }, values: { 'name]; DROP TABLE t --': 'x' } })).toThrow('Unknown column');
+    expect(build({ type: 'update', original: { id: 1, name: 'a' }, values: {} })).toThrow('at least one changed column');
+    expect(build({ type: 'update', original: { name: 'a' }, values: { name: 'b' } })).toThrow('missing its key column');
+    expect(build({ type: 'update', original: { id: 1 }, values: { name: 'b' } })).toThrow('original value of name');
+    expect(build({ type: 'delete', original: { id: 1 } }, { ...table, primaryKey: null })).toThrow('no primary key');
+
+    const keyed = { ...table, columns: [{ name: 'code', type: 'varchar(5)' }, ...table.columns.slice(1)], primaryKey: { columns: ['code'] } };
+    expect(build({ type: 'update', original: { code: 'a' }, values: { code: 'b' } }, keyed)).toThrow('Key column code cannot be changed');
+  });
+});
@@ -0,0 +1,41 @@
+import { MAX_BATCH_REPEAT, splitBatches } from '../sqlBatches.js';
+
+describe('splitBatches', () => {
+  test('splits on lines holding only GO', () => {
+    expect(splitBatches('SELECT 1\nGO\nSELECT 2\ngo -- next\nSELECT 3')).toEqual([
+      { sql: 'SELECT 1', repeat: 1, startLine: 1 },
+      { sql: 'SELECT 2', repeat: 1, startLine: 3 },
+      { sql: 'SELECT 3', repeat: 1, startLine: 5 }
+    ]);
+  });
+
+  test('reads a repeat count and leaves out blank batches', () => {
+    expect(splitBatches('GO\nINSERT INTO t DEFAULT VALUES\r\n  GO 5  \n\nGO')).toEqual([
+      { sql: 'INSERT INTO t DEFAULT VALUES', repeat: 5, startLine: 2 }
+    ]);
+  });
+
+  test('does not split on GO inside comments, strings or identifiers, or on GO in a statement', () => {
+    const scripts = [
+      'SELECT 1\n/* a\nGO\n/* nested */\nGO\n*/\nSELECT 2',
+      "SELECT 'a\nGO\nb'",
+      'SELECT 1 AS [a\nGO\n]',
+      'SELECT 1 AS "a\nGO\n"',
+      'SELECT 1 GO'
+    ];
+
+    for (const script of scripts) {
+      expect(splitBatches(script)).toHaveLength(1);
+    }
+  });
+
+  test('splits again once a string, comment or line comment has ended', () => {
+    expect(splitBatches("SELECT 'it''s' -- it's\nGO\nSELECT 2")).toHaveLength(2);
+    expect(splitBatches('SELECT 1 /* a */\nGO\nSELECT 2')).toHaveLength(2);
+  });
+
+  test('refuses repeat counts out of range', () => {
+    expect(() => splitBatches('SELECT 1\nGO 0')).toThrow('line 2');
+    expect(() => splitBatches(`SELECT 1\nGO ${MAX_BATCH_REPEAT + 1}`)).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+  });
+});
@@ -0,0 +1,76 @@
+import { findObjectReferences } from '../sqlObjects.js';
+import { checkObjectAccess } from '../objectPolicies.js';
+
+const names = (sql) => findObjectReferences(sql).references.map(reference =>
+  `${reference.kind}:${reference.schema ? `${reference.schema}.` : ''}${reference.name}`);
+
+describe('findObjectReferences', () => {
+  test('reads table sources, targets and procedures', () => {
+    expect(names('SELECT * FROM dbo.a x JOIN b ON x.id = b.id, hr.c')).toEqual(['relation:dbo.a', 'relation:b', 'relation:hr.c']);
+    expect(names('INSERT INTO dbo.t (a) SELECT a FROM s')).toEqual(['relation:dbo.t', 'relation:s']);
+    expect(names('UPDATE x SET a = 1 FROM dbo.t x')).toEqual(['relation:dbo.t']);
+    expect(names('EXEC hr.usp_report 1')).toEqual(['procedure:hr.usp_report']);
+    expect(names('sp_who')).toEqual(['procedure:sp_who']);
+    expect(names('DROP TABLE IF EXISTS dbo.old')).toEqual(['relation:dbo.old']);
+  });
+
+  test('leaves out temp tables, table variables and CTEs', () => {
+    expect(names('WITH c AS (SELECT 1 AS a) SELECT * FROM c JOIN #t ON 1 = 1 JOIN @v v ON 1 = 1')).toEqual([]);
+    expect(names('WITH c AS (SELECT 1 AS n UNION ALL SELECT n + 1 FROM c WHERE n < 5) SELECT * FROM c')).toEqual([]);
+  });
+
+  test('reads tables named in CTEs declared before a CTE of the same name', () => {
+    expect(names('WITH a AS (SELECT * FROM PaymentCards), PaymentCards AS (SELECT 1 x) SELECT * FROM a')).toEqual(['relation:PaymentCards']);
+    expect(names('WITH PaymentCards AS (SELECT 1 x), a AS (SELECT * FROM PaymentCards) SELECT * FROM a')).toEqual([]);
+  });
+
+  test('reads functions called with a schema', () => {
+    expect(names('SELECT hr.fn_salary(1)')).toEqual(['relation:hr.fn_salary']);
+    expect(names('SELECT [hr].[fn_salary](e.id) FROM hr.employees e')).toEqual(['relation:hr.fn_salary', 'relation:hr.employees']);
+    expect(names('SELECT UPPER(name), GETDATE() FROM t')).toEqual(['relation:t']);
+  });
+
+  test('does not take methods of columns for functions', () => {
+    expect(names("SELECT c.doc.value('(/a)[1]', 'int'), shape.STAsText() FROM dbo.t c")).toEqual(['relation:dbo.t']);
+    expect(names('SELECT c.location.Distance(@p) FROM dbo.t c')).toEqual(['relation:dbo.t']);
+  });
+
+  test('reads a function qualified by a name that is also an alias as a function of that schema', () => {
+    expect(names('SELECT hr.fn_salary(1) FROM dbo.t hr')).toEqual(['relation:hr.fn_salary', 'relation:dbo.t']);
+  });
+
+  test('reads the table of CHANGETABLE', () => {
+    expect(names('SELECT * FROM CHANGETABLE(CHANGES hr.b, 0) AS c')).toEqual(['relation:hr.b']);
+    expect(names('SELECT * FROM hr.b JOIN CHANGETABLE(VERSION hr.b, (id), (b.id)) AS v ON 1 = 1')).toEqual(['relation:hr.b']);
+  });
+
+  test('flags dynamic SQL', () => {
+    expect(findObjectReferences("EXEC ('SELECT * FROM hr.b')").hasDynamicSql).toBe(true);
+    expect(findObjectReferences('EXEC @procedure').hasDynamicSql).toBe(true);
+    expect(findObjectReferences('SELECT 1').hasDynamicSql).toBe(false);
+  });
+});
+
+describe('checkObjectAccess', () => {
+  const deny = (schemaName, objectName) => ({ effect: 'DENY', objectType: 'TABLE', schemaName, objectName });
+
+  test('applies DENY policies to functions called in expressions and to CHANGETABLE', () => {
+    expect(checkObjectAccess([deny('hr', 'fn_salary')], 'VIEWER', 'SELECT hr.fn_salary(1)').allowed).toBe(false);
+    expect(checkObjectAccess([deny('hr', 'b')], 'VIEWER', 'SELECT * FROM CHANGETABLE(CHANGES hr.b, 0) AS c').allowed).toBe(false);
+    expect(checkObjectAccess([deny('hr', 'b')], 'VIEWER', 'SELECT * FROM hr.a').allowed).toBe(true);
+  });
+
+  test('sees through CTE names and aliases that shadow a denied object', () => {
+    const cards = [deny('dbo', 'PaymentCards')];
+    expect(checkObjectAccess(cards, 'VIEWER', 'WITH a AS (SELECT * FROM PaymentCards), PaymentCards AS (SELECT 1 x) SELECT * FROM a').allowed).toBe(false);
+
+    const schema = [{ effect: 'DENY', objectType: 'SCHEMA', schemaName: 'hr', objectName: null }];
+    expect(checkObjectAccess(schema, 'VIEWER', 'SELECT hr.fn_salary(1) FROM dbo.t hr').allowed).toBe(false);
+  });
+
+  test('treats ALLOW policies as an allow list', () => {
+    const policies = [{ effect: 'ALLOW', objectType: 'SCHEMA', schemaName: 'sales', objectName: null }];
+    expect(checkObjectAccess(policies, 'VIEWER', 'SELECT * FROM sales.orders').allowed).toBe(true);
+    expect(checkObjectAccess(policies, 'VIEWER', 'SELECT * FROM sales.orders WHERE hr.fn_x(1) = 1').allowed).toBe(false);
+  });
+});
@@ -0,0 +1,117 @@
+import { classifyStatements } from '../sqlStatements.js';
+
+const types = (sql) => classifyStatements(sql).map(statement => statement.type);
+
+describe('classifyStatements', () => {
+  test('splits statements without semicolons', () => {
+    expect(types('SELECT 1 SELECT 2')).toEqual(['SELECT', 'SELECT']);
+    expect(types('DECLARE @x int SET @x = 1 PRINT @x')).toEqual(['DECLARE', 'SET', 'PRINT']);
+    expect(types('SELECT 1; UPDATE t SET a = 1')).toEqual(['SELECT', 'UPDATE']);
+  });
+
+  test('keeps the clauses of a statement together', () => {
+    expect(types('UPDATE t SET a = 1 WHERE b = 2')).toEqual(['UPDATE']);
+    expect(types('INSERT INTO t (a) SELECT a FROM u')).toEqual(['INSERT']);
+    expect(types('SELECT a FROM t UNION ALL SELECT a FROM u')).toEqual(['SELECT']);
+    expect(types('WITH c AS (SELECT 1 AS a) DELETE FROM t WHERE a IN (SELECT a FROM c)')).toEqual(['DELETE']);
+    expect(types('ALTER TABLE dbo.t DROP COLUMN c')).toEqual(['ALTER']);
+    expect(types('ALTER DATABASE d SET READ_ONLY')).toEqual(['ALTER']);
+  });
+
+  test('reads aliases, TOP and clause words as part of the statement', () => {
+    expect(types('SELECT TOP 5 name n, id FROM dbo.t x WHERE id > 1 ORDER BY n DESC')).toEqual(['SELECT']);
+    expect(types('SELECT TOP (@n) name n FROM t')).toEqual(['SELECT']);
+    expect(types('SELECT a FROM t ORDER BY a OFFSET 10 ROWS FETCH NEXT 5 ROWS ONLY')).toEqual(['SELECT']);
+    expect(types("SELECT d AT TIME ZONE 'UTC' AS utc FROM t")).toEqual(['SELECT']);
+    expect(types('SELECT CASE WHEN a = 1 THEN b ELSE c END d FROM t')).toEqual(['SELECT']);
+    expect(types('SELECT a FROM t FOR XML PATH, ROOT')).toEqual(['SELECT']);
+  });
+
+  test('lists DML nested in parentheses as statements of their own', () => {
+    const statements = classifyStatements('INSERT INTO t (a) SELECT a FROM (DELETE FROM u OUTPUT deleted.a) AS d');
+    expect(statements.map(statement => [statement.type, statement.nested])).toEqual([['INSERT', false], ['DELETE', true]]);
+  });
+
+  test('flags dynamic SQL', () => {
+    expect(classifyStatements("EXEC ('DROP TABLE t')")[0].dynamicSql).toBe(true);
+    expect(classifyStatements("EXEC sp_executesql N'SELECT 1'")[0].dynamicSql).toBe(true);
+    expect(classifyStatements("SELECT * FROM OPENQUERY(srv, 'SELECT 1')")[0].dynamicSql).toBe(true);
+    expect(classifyStatements('EXEC dbo.p 1')[0].dynamicSql).toBe(false);
+  });
+
+  test('marks statements on temp tables only', () => {
+    const temporary = (sql) => classifyStatements(sql).map(statement => statement.temporary);
+    expect(temporary('CREATE TABLE #t (a int)')).toEqual([true]);
+    expect(temporary('SELECT a INTO #t FROM u')).toEqual([true]);
+    expect(temporary('DROP TABLE IF EXISTS #a, #b')).toEqual([true]);
+    expect(temporary('DROP TABLE #a, dbo.Customers')).toEqual([false]);
+    expect(temporary('DROP TABLE dbo.Customers, #a')).toEqual([false]);
+    expect(temporary('SELECT a INTO dbo.t FROM u')).toEqual([false]);
+  });
+
+  test('marks DML that only writes to a temp table', () => {
+    const temporary = (sql) => classifyStatements(sql).map(statement => statement.temporary);
+    expect(temporary('INSERT INTO #t (a) SELECT a FROM dbo.u')).toEqual([true]);
+    expect(temporary('UPDATE TOP (5) ##t SET a = 1 WHERE b = 2')).toEqual([true]);
+    expect(temporary('DELETE FROM #t WHERE a = 1')).toEqual([true]);
+    expect(temporary('MERGE INTO #t AS t USING dbo.u AS s ON t.id = s.id WHEN MATCHED THEN UPDATE SET a = s.a;')).toEqual([true]);
+    expect(temporary('WITH c AS (SELECT 1 AS a) INSERT INTO #t SELECT a FROM c')).toEqual([true]);
+    expect(temporary('UPDATE dbo.t SET a = 1')).toEqual([false]);
+    expect(temporary('UPDATE #t SET a = 1 FROM dbo.Customers #t')).toEqual([false]);
+    expect(temporary('DELETE FROM #t OUTPUT deleted.a INTO dbo.Archive')).toEqual([false]);
+    expect(temporary('DELETE FROM #t OUTPUT deleted.a INTO #archive')).toEqual([true]);
+  });
+
+  test('lists the session options a SET sets', () => {
+    const options = (sql) => classifyStatements(sql).map(statement => statement.options);
+    expect(options('SET NOCOUNT ON SELECT 1')).toEqual([['NOCOUNT'], []]);
+    expect(options('SET ANSI_NULLS, QUOTED_IDENTIFIER ON')).toEqual([['ANSI_NULLS', 'QUOTED_IDENTIFIER']]);
+    expect(options('SET IDENTITY_INSERT dbo.t ON')).toEqual([['IDENTITY_INSERT']]);
+  });
+
+  test('ends a GRANT, REVOKE or DENY at the next statement after its permissions', () => {
+    expect(types('GRANT SELECT, INSERT ON dbo.t TO u SELECT 1')).toEqual(['GRANT', 'SELECT']);
+    expect(types('DENY UPDATE ON dbo.t TO u DROP TABLE dbo.t')).toEqual(['DENY', 'DROP']);
+    expect(types('REVOKE GRANT OPTION FOR DELETE ON dbo.t FROM u CASCADE DELETE FROM dbo.t')).toEqual(['REVOKE', 'DELETE']);
+    expect(types('GRANT CREATE TABLE, ALTER TO u')).toEqual(['GRANT']);
+  });
+
+  test('does not let CREATE or ALTER run on into other statements', () => {
+    expect(types('CREATE TABLE #t (a int) ALTER TABLE dbo.x DROP COLUMN y')).toEqual(['CREATE', 'ALTER']);
+    expect(types('ALTER TABLE #t ADD b int DROP TABLE dbo.x')).toEqual(['ALTER', 'DROP']);
+    expect(types('ALTER TABLE #t ADD b int SET @x = 1')).toEqual(['ALTER', 'SET']);
+  });
+
+  test('starts statements at trigger, text, context and broker statements', () => {
+    expect(types('SELECT 1 DISABLE TRIGGER trg ON dbo.Orders')).toEqual(['SELECT', 'DISABLE TRIGGER']);
+    expect(types('ENABLE TRIGGER ALL ON DATABASE')).toEqual(['ENABLE TRIGGER']);
+    expect(types('SELECT 1 WRITETEXT t.c @p 0x00')).toEqual(['SELECT', 'WRITETEXT']);
+    expect(types("SELECT 1 UPDATETEXT t.c @p 0 NULL 'x'")).toEqual(['SELECT', 'UPDATETEXT']);
+    expect(types('SELECT 1 REVERT')).toEqual(['SELECT', 'REVERT']);
+    expect(types("SELECT 1 SETUSER 'dbo'")).toEqual(['SELECT', 'SETUSER']);
+    expect(types("SELECT 1 SEND ON CONVERSATION @h (N'x')")).toEqual(['SELECT', 'SEND']);
+    expect(types('SELECT 1 MOVE CONVERSATION @h TO @g')).toEqual(['SELECT', 'MOVE CONVERSATION']);
+    expect(types('WAITFOR (RECEIVE TOP (1) * FROM q), TIMEOUT 100')).toEqual(['RECEIVE']);
+    expect(types("WAITFOR DELAY '00:00:01'")).toEqual(['WAITFOR']);
+    expect(types('OPEN SYMMETRIC KEY k DECRYPTION BY CERTIFICATE c')).toEqual(['OPEN KEY']);
+    expect(types('OPEN c FETCH NEXT FROM c INTO @x')).toEqual(['OPEN', 'FETCH']);
+  });
+
+  test('does not take column names for statements', () => {
+    expect(types('SELECT move, send, enable FROM t')).toEqual(['SELECT']);
+  });
+
+  test('starts an UNKNOWN statement at a word that cannot belong to the one before', () => {
+    expect(types('SELECT 1 FOO BAR baz')).toEqual(['SELECT', 'UNKNOWN']);
+    expect(types('SELECT a b c FROM t')).toEqual(['SELECT', 'UNKNOWN']);
+    expect(types('SET @x = 1 FOO BAR')).toEqual(['SET', 'UNKNOWN']);
+  });
+
+  test('reports where each statement is in the batch', () => {
+    const sql = 'SELECT 1\nUPDATE t SET a = 1';
+    const [select, update] = classifyStatements(sql);
+    expect(sql.slice(select.start, select.end)).toBe('SELECT 1');
+    expect(update.text).toBe('UPDATE t SET a = 1');
+    expect([select.index, update.index]).toEqual([0, 1]);
+  });
+});
@@ -0,0 +1,91 @@
+import { buildBrowseQuery, BROWSE_COUNT_RESULT_SET } from '../tableBrowse.js';
+import { createResultMasker } from '../dataMasking.js';
+
+const table = {
+  schema: 'dbo',
+  name: 'Order Lines',
+  columns: [
+    { name: 'id', type: 'int' },
+    { name: 'name', type: 'nvarchar(100)' },
+    { name: 'code', type: 'varchar(20)' },
+    { name: 'shape', type: 'geography' }
+  ],
+  primaryKey: { columns: ['id'] }
+};
+
+describe('buildBrowseQuery', () => {
+  test('pages the table ordered by its primary key and counts its rows', () => {
+    const { sql, parameters } = buildBrowseQuery(table, { offset: 100, limit: 50 });
+
+    expect(sql).toBe([
+      'SELECT [id], [name], [code], [shape]',
+      'FROM [dbo].[Order Lines]',
+      'ORDER BY [id] ASC',
+      'OFFSET @p0 ROWS FETCH NEXT @p1 ROWS ONLY;',
+      '',
+      'SELECT COUNT_BIG(*) AS total',
+      'FROM [dbo].[Order Lines];'
+    ].join('\n'));
+    expect(parameters).toEqual([{ name: 'p0', type: 'int', value: 100 }, { name: 'p1', type: 'int', value: 50 }]);
+  });
+
+  test('binds filter values as parameters of the column type', () => {
+    const { sql, parameters } = buildBrowseQuery(table, {
+      filters: [
+        { column: 'ID', operator: 'in', values: [1, 2] },
+        { column: 'name', operator: 'ne', value: "x'; DROP TABLE t --" },
+        { column: 'code', operator: 'isNull' }
+      ],
+      limit: 10
+    });
+
+    // The count uses the same filters
+    expect(sql).toContain('FROM [dbo].[Order Lines]\nWHERE [id] IN (@p0, @p1)\n  AND [name] <> @p2\n  AND [code] IS NULL;');
+    expect(parameters.slice(0, 3)).toEqual([
+      { name: 'p0', type: 'int', value: 1 },
+      { name: 'p1', type: 'int', value: 2 },
+      { name: 'p2', type: 'nvarchar(100)', value: "x'; DROP TABLE t --" }
+    ]);
+  });
+
+  test('escapes LIKE wildcards and compares patterns as text', () => {
+    const { parameters } = buildBrowseQuery(table, {
+      filters: [
+        { column: 'code', operator: 'contains', value: '50%_[a]' },
+        { column: 'shape', operator: 'startsWith', value: 'POINT' }
+      ],
+      limit: 10
+    });
+
+    expect(parameters.slice(0, 2)).toEqual([
+      { name: 'p0', type: 'varchar(8000)', value: '%50[%][_][[]a]%' },
+      { name: 'p1', type: 'nvarchar(4000)', value: 'POINT%' }
+    ]);
+  });
+
+  test('sorts by the chosen columns before the rest of the key', () => {
+    const keyed = { ...table, primaryKey: { columns: ['id', 'code'] } };
+    const { sql } = buildBrowseQuery(keyed, { sort: [{ column: 'name', direction: 'DESC' }, { column: 'id', direction: 'DESC' }], limit: 10 });
+
+    expect(sql).toContain('ORDER BY [name] DESC, [id] DESC, [code] ASC');
+    expect(buildBrowseQuery({ ...table, primaryKey: null }, { limit: 10 }).sql).toContain('ORDER BY (SELECT NULL)');
+  });
+
+  test('refuses unknown columns, missing values and comparisons the column type cannot take', () => {
+    const build = (filter) => () => buildBrowseQuery(table, { filters: [filter], limit: 10 });
+
+    expect(() => buildBrowseQuery(table, { sort: [{ column: 'name]; --', direction: 'ASC' }], limit: 10 })).toThrow('Unknown column');
+    expect(build({ column: 'name', operator: 'eq', value: null })).toThrow('needs a value');
+    expect(build({ column: 'id', operator: 'in', values: [] })).toThrow('at least one value');
+    expect(build({ column: 'shape', operator: 'eq', value: 'x' })).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+  });
+
+  test('leaves the count of a table with masked columns unmasked', () => {
+    const { sql } = buildBrowseQuery(table, { filters: [{ column: 'name', operator: 'contains', value: 'a' }], limit: 10 });
+    const rules = [{ matchType: 'COLUMN', pattern: 'dbo.Order Lines.name', strategy: 'FULL', exemptRoles: ['ADMIN'] }];
+    const masker = createResultMasker(rules, { role: 'VIEWER', sql, unmasked: [BROWSE_COUNT_RESULT_SET] });
+
+    expect(masker.columnsFor([{ name: 'total' }], BROWSE_COUNT_RESULT_SET)).toBeNull();
+    expect([...masker.columnsFor(table.columns.map(({ name }) => ({ name })), { batch: 0, resultSet: 0 }).keys()]).toContain('name');
+  });
+});
@@ -0,0 +1,206 @@
+import { keyedHash } from './encryption.js';
+import { findObjectReferences } from './sqlObjects.js';
+import { tokenize } from './sqlTokenizer.js';
+
+/**
+ * Dynamic data masking
+ *
+ * Masking rules belong to a connection and hide the values of matching
+ * result columns from every role the rule does not exempt. A PATTERN rule
+ * matches column names (`*email*`, `phone?`); a COLUMN rule names
+ * schema.table.column.
+ *
+ * A result column is masked when its name matches a rule, or when it was
+ * traced to a table column a rule matches (so `email AS contact` is caught).
+ * Each statement that returns rows is traced on its own, and a result set is
+ * held against every traced statement of its batch it could have come from.
+ * Columns that could not be traced, such as UPPER(email) or email + '', are
+ * masked whenever the script names a column a rule matches, since they may
+ * be made from it; so is every column of a batch with a statement that
+ * returns rows but could not be traced.
+ *
+ * Values also reach the user through server messages (PRINT @email, a
+ * RAISERROR or THROW with it, a conversion error quoting it), so when the
+ * script names a masked column, message text is redacted too.
+ */
+
+export const MASKING_STRATEGIES = ['FULL', 'PARTIAL', 'HASH', 'NULL'];
+
+const FULL_MASK = '****';
+
+// Shorter values are masked in full, since their last four characters give away too much
+const PARTIAL_MIN_LENGTH = 8;
+
+function toText(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return value.toString('hex');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Mask a single value; NULL stays NULL whatever the strategy
+ */
+export function maskValue(value, strategy) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  switch (strategy) {
+    case 'NULL':
+      return null;
+    case 'HASH':
+      return keyedHash(toText(value)).slice(0, 16);
+    case 'PARTIAL': {
+      const text = toText(value);
+      return text.length >= PARTIAL_MIN_LENGTH ? `${FULL_MASK}${text.slice(-4)}` : FULL_MASK;
+    }
+    default:
+      return FULL_MASK;
+  }
+}
+
+/**
+ * Turn a column name pattern with * and ? wildcards into a case-insensitive expression
+ */
+function patternExpression(pattern) {
+  const source = [...pattern].map((char) => {
+    if (char === '*') return '.*';
+    if (char === '?') return '.';
+    return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// Text put in place of a message, or of a value quoted in one
+const REDACTED = '[redacted: the script reads masked columns]';
+
+// Message numbers whose whole text comes from the script: PRINT (0), and RAISERROR or THROW (50000 and up)
+const isScriptMessage = (number) => number === 0 || number >= 50000;
+
+/**
+ * Prepare the masking a role gets for a script
+ * @param {Array} sources - Per batch, one entry per statement that returns rows: its columns traced to what
+ *   they read, [{ name, schema, table, column }] with column null for expressions, or null when it could not
+ *   be traced. A batch that could not be traced at all is null.
+ * @param {Array} unmasked - Result sets ({ batch, resultSet }) the caller generated and that hold no column
+ *   values, such as a row count, so they are left alone
+ * @returns {object|null} - { columnsFor(columns, position), redactMessage(text, number) }, or null when no rule applies to the role
+ */
+export function createResultMasker(rules, { role, sql, sources = [], unmasked = [] }) {
+  const applicable = rules.filter(rule => !rule.exemptRoles.includes(role));
+  if (applicable.length === 0) {
+    return null;
+  }
+
+  // Tables the script references, read only if a column rule needs them
+  let tables = null;
+  const referencedTables = () => {
+    tables = tables || new Set(findObjectReferences(sql).references
+      .filter(reference => reference.kind === 'relation')
+      .map(reference => `${reference.schema || 'dbo'}.${reference.name}`.toLowerCase()));
+    return tables;
+  };
+
+  // Names the script uses, read only if a column cannot be traced
+  let names = null;
+  const namesUsed = () => {
+    names = names || [...new Set(tokenize(sql)
+      .filter(token => token.type === 'word' || token.type === 'identifier')
+      .map(token => (token.type === 'identifier' ? token.value.slice(1, -1) : token.value).toLowerCase()))];
+    return names;
+  };
+
+  // Column rules are more specific, so they win over patterns
+  const matchers = applicable
+    .sort((a, b) => (a.matchType === 'COLUMN' ? 0 : 1) - (b.matchType === 'COLUMN' ? 0 : 1))
+    .map((rule) => {
+      if (rule.matchType === 'PATTERN') {
+        const expression = patternExpression(rule.pattern);
+        return {
+          rule,
+          matches: name => expression.test(name),
+          matchesSource: source => expression.test(source.column),
+          usedBy: () => namesUsed().some(name => expression.test(name))
+        };
+      }
+      const [schema, table, column] = rule.pattern.toLowerCase().split('.');
+      return {
+        rule,
+        matches: name => name.toLowerCase() === column && referencedTables().has(`${schema}.${table}`),
+        matchesSource: source => `${source.schema || 'dbo'}.${source.table}.${source.column}`.toLowerCase() === `${schema}.${table}.${column}`,
+        usedBy: () => namesUsed().includes(column) && referencedTables().has(`${schema}.${table}`)
+      };
+    });
+
+  // The traced statements a result set's columns could have come from, and whether it could also
+  // have come from one that was not traced
+  const tracesOf = (columns, batch) => {
+    const statements = sources?.[batch];
+    const traces = (statements || []).filter(traced => traced?.length === columns.length &&
+      traced.every((source, index) => source.name.toLowerCase() === columns[index].name.toLowerCase()));
+    return { traces, uncertain: traces.length === 0 || !statements || statements.includes(null) };
+  };
+
+  // Whether the script reads a masked column at all, worked out on the first message
+  let readsMasked = null;
+
+  return {
+    /**
+     * Strategy per masked column of a result set
+     * @param {object} position - { batch, resultSet }: the batch that returned it, and which of its result sets it is
+     * @returns {Map|null} - column name => strategy, or null when nothing is masked
+     */
+    columnsFor(columns, { batch = 0, resultSet = 0 } = {}) {
+      if (unmasked.some(position => position.batch === batch && position.resultSet === resultSet)) {
+        return null;
+      }
+
+      const { traces, uncertain } = tracesOf(columns, batch);
+      const masks = new Map();
+
+      for (const [index, column] of columns.entries()) {
+        const fromSource = (matcher) => traces.some(trace => (trace[index].column
+          ? matcher.matchesSource(trace[index])
+          : matcher.usedBy()));
+        const match = matchers.find(matcher => matcher.matches(column.name))
+          || matchers.find(matcher => fromSource(matcher) || (uncertain && matcher.usedBy()));
+        if (match) {
+          masks.set(column.name, match.rule.strategy);
+        }
+      }
+      return masks.size > 0 ? masks : null;
+    },
+
+    /**
+     * Text of a server message that may carry a masked value: messages the script wrote are
+     * redacted whole, and values quoted in the server's own messages are replaced
+     * @param {number} number - The message or error number
+     */
+    redactMessage(text, number) {
+      readsMasked = readsMasked ?? matchers.some(matcher => matcher.usedBy());
+      if (!readsMasked || typeof text !== 'string') {
+        return text;
+      }
+      if (isScriptMessage(number)) {
+        return REDACTED;
+      }
+      return text.replace(/'(?:[^']|'')*'/g, `'${REDACTED}'`).replace(/\((?:[^()])*\)/g, `(${REDACTED})`);
+    }
+  };
+}
+
+/**
+ * Copy of a row with its masked columns masked
+ */
+export function maskRow(row, masks) {
+  const masked = { ...row };
+  for (const [name, strategy] of masks) {
+    const value = masked[name];
+    // Columns sharing a name arrive as an array of values
+    masked[name] = Array.isArray(value)
+      ? value.map(item => maskValue(item, strategy))
+      : maskValue(value, strategy);
+  }
+  return masked;
+}
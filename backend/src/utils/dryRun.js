@@ -0,0 +1,152 @@
+import { tokenize, splitStatements } from './sqlTokenizer.js';
+
+/**
+ * Dry-run helpers
+ *
+ * A dry run executes DML inside a transaction that is always rolled back.
+ * To show what would change, an OUTPUT clause is added to each INSERT,
+ * UPDATE, DELETE and MERGE that starts a statement. The first output column
+ * is a marker holding the statement type (or the MERGE $action) so those
+ * result sets can be told apart from the script's own SELECTs.
+ */
+
+export const DRY_RUN_MARKER = '__dry_run';
+
+// Savepoint taken before each rewritten batch so a failed attempt can be undone
+export const DRY_RUN_SAVEPOINT = 'dry_run_batch';
+
+// Words that start another statement; an added OUTPUT clause never goes past them
+const STATEMENT_STARTS = new Set([
+  'SELECT', 'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'DECLARE', 'SET', 'PRINT',
+  'IF', 'ELSE', 'WHILE', 'BEGIN', 'END', 'EXEC', 'EXECUTE', 'RETURN',
+  'RAISERROR', 'THROW', 'TRUNCATE', 'CREATE', 'ALTER', 'DROP', 'USE'
+]);
+
+// Clauses an OUTPUT clause goes in front of
+const UPDATE_DELETE_TAIL = new Set(['FROM', 'WHERE', 'OPTION']);
+const INSERT_SOURCES = new Set(['VALUES', 'SELECT', 'DEFAULT']);
+
+const isWord = (token, ...words) => token?.type === 'word' && words.includes(token.upper);
+
+/**
+ * Find a statement that would end or escape the dry-run transaction
+ * @returns {string|null} - The offending keyword, or null if the batch is safe
+ */
+export function findDryRunBlocker(sql) {
+  const tokens = tokenize(sql);
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (isWord(token, 'COMMIT', 'ROLLBACK', 'EXEC', 'EXECUTE', 'SP_EXECUTESQL')) {
+      return token.upper;
+    }
+    if (isWord(token, 'BEGIN') && isWord(tokens[i + 1], 'TRAN', 'TRANSACTION', 'DISTRIBUTED')) {
+      return `BEGIN ${tokens[i + 1].upper}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Index of the first top-level token from `from` on that ends the clause
+ */
+function findClauseEnd(tokens, from, stopWords) {
+  for (let i = from; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.depth === 0 && token.type === 'word' && (stopWords.has(token.upper) || STATEMENT_STARTS.has(token.upper))) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Skip an optional TOP (n) [PERCENT] clause
+ */
+function skipTop(tokens, index) {
+  if (!isWord(tokens[index], 'TOP')) {
+    return index;
+  }
+
+  let i = index + 1;
+  if (tokens[i]?.value === '(') {
+    while (i < tokens.length && !(tokens[i].value === ')' && tokens[i].depth === 0)) i++;
+  }
+  i++;
+
+  return isWord(tokens[i], 'PERCENT') ? i + 1 : i;
+}
+
+/**
+ * Work out where an OUTPUT clause goes in one statement
+ * @returns {object|null} - { statement, position, text } or null if the statement is left alone
+ */
+function planOutput(tokens) {
+  const [first] = tokens;
+
+  if (!isWord(first, 'INSERT', 'UPDATE', 'DELETE', 'MERGE')) {
+    return null;
+  }
+  if (tokens.some(token => token.depth === 0 && isWord(token, 'OUTPUT'))) {
+    return null;
+  }
+
+  const statement = first.upper;
+  const last = tokens[tokens.length - 1];
+
+  // Put the clause in front of tokens[index], or after the statement when index is -1
+  const at = (index, columns) => {
+    const clause = `OUTPUT ${columns}`;
+    return index === -1
+      ? { statement, position: last.end, text: ` ${clause}` }
+      : { statement, position: tokens[index].start, text: `${clause} ` };
+  };
+
+  switch (statement) {
+    case 'UPDATE': {
+      const setIndex = tokens.findIndex((token, i) => i > 0 && token.depth === 0 && isWord(token, 'SET'));
+      if (setIndex === -1) return null;
+      return at(findClauseEnd(tokens, setIndex + 1, UPDATE_DELETE_TAIL), `'UPDATE' AS [${DRY_RUN_MARKER}], inserted.*`);
+    }
+
+    case 'DELETE': {
+      let index = skipTop(tokens, 1);
+      if (isWord(tokens[index], 'FROM')) index++;
+      // The target itself is never a clause keyword, so start looking after it
+      return at(findClauseEnd(tokens, index + 1, UPDATE_DELETE_TAIL), `'DELETE' AS [${DRY_RUN_MARKER}], deleted.*`);
+    }
+
+    case 'INSERT': {
+      const index = tokens.findIndex((token, i) => i > 0 && token.depth === 0 && token.type === 'word' && INSERT_SOURCES.has(token.upper));
+      if (index === -1) return null;
+      return at(index, `'INSERT' AS [${DRY_RUN_MARKER}], inserted.*`);
+    }
+
+    case 'MERGE': {
+      const optionIndex = tokens.findIndex(token => token.depth === 0 && isWord(token, 'OPTION'));
+      return at(optionIndex, `$action AS [${DRY_RUN_MARKER}], inserted.*`);
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Add OUTPUT clauses to the DML statements of a batch
+ * @returns {object} - { sql, statements } where statements lists the types that got a clause
+ */
+export function addOutputClauses(sql) {
+  const plans = splitStatements(tokenize(sql))
+    .map(planOutput)
+    .filter(Boolean);
+
+  let result = sql;
+  for (const { position, text } of [...plans].sort((a, b) => b.position - a.position)) {
+    result = result.slice(0, position) + text + result.slice(position);
+  }
+
+  return { sql: result, statements: plans.map(plan => plan.statement) };
+}
@@ -6,7 +6,6 @@ dotenv.config();
 const ALGORITHM = 'aes-256-gcm';
 const IV_LENGTH = 16;
 const SALT_LENGTH = 64;
-const TAG_LENGTH = 16;
 const KEY_LENGTH = 32;
 
 // Derive key from environment encryption key
@@ -95,3 +94,17 @@ export function verifyPassword(password, storedHash) {
   const passwordHash = crypto.pbkdf2Sync(password, salt, 100000, 64, 'sha512').toString('hex');
   return hash === passwordHash;
 }
+
+// Derived once: scrypt is too slow to run for every hashed value
+let hashKey = null;
+
+/**
+ * Keyed hash (HMAC-SHA256) of a value, so equal values hash alike without
+ * short values such as phone numbers being recoverable by guessing
+ * @param {string} text - Value to hash
+ * @returns {string} - Hex digest
+ */
+export function keyedHash(text) {
+  hashKey = hashKey || getKey();
+  return crypto.createHmac('sha256', hashKey).update(text, 'utf8').digest('hex');
+}
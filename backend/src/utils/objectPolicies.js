@@ -0,0 +1,94 @@
+import { findObjectReferences } from './sqlObjects.js';
+
+/**
+ * Object policy evaluation
+ *
+ * Policies allow or deny a role a schema, or a single table, view or stored
+ * procedure, on one connection. A DENY always wins. Once a role has any
+ * ALLOW policy on a connection, those policies become an allow list: every
+ * object a script references must be covered by one of them. Names without
+ * a schema are taken to be in dbo, and names compare case-insensitively.
+ */
+
+const DEFAULT_SCHEMA = 'dbo';
+
+const same = (a, b) => (a || '').toLowerCase() === (b || '').toLowerCase();
+
+/**
+ * Whether a policy covers a referenced object
+ */
+function covers(policy, reference) {
+  const schema = reference.schema || DEFAULT_SCHEMA;
+
+  if (!same(policy.schemaName, schema)) return false;
+  if (policy.objectType === 'SCHEMA') return true;
+  if (!same(policy.objectName, reference.name)) return false;
+
+  return policy.objectType === 'PROCEDURE'
+    ? reference.kind === 'procedure'
+    : reference.kind === 'relation';
+}
+
+function describe(policy) {
+  const target = policy.objectType === 'SCHEMA'
+    ? `schema ${policy.schemaName}`
+    : `${policy.objectType.toLowerCase()} ${policy.schemaName}.${policy.objectName}`;
+  return `${policy.effect} ${target}`;
+}
+
+/**
+ * Check the objects a batch references against a role's policies on a connection
+ * @returns {object} - { allowed, reason, object, policy }
+ */
+export function checkObjectAccess(policies, role, sql) {
+  if (policies.length === 0) {
+    return { allowed: true };
+  }
+
+  const { references, hasDynamicSql } = findObjectReferences(sql);
+
+  if (hasDynamicSql) {
+    return {
+      allowed: false,
+      reason: `Role ${role} cannot run dynamic SQL on this connection: the objects it uses cannot be checked against the access policies`
+    };
+  }
+
+  const allows = policies.filter(policy => policy.effect === 'ALLOW');
+
+  for (const reference of references) {
+    const object = `${reference.schema || DEFAULT_SCHEMA}.${reference.name}`;
+
+    const denied = policies.find(policy => policy.effect === 'DENY' && covers(policy, reference));
+    if (denied) {
+      return {
+        allowed: false,
+        reason: `Access to ${object} is denied for role ${role} on this connection`,
+        object,
+        policy: describe(denied)
+      };
+    }
+
+    if (allows.length > 0 && !allows.some(policy => covers(policy, reference))) {
+      return {
+        allowed: false,
+        reason: `${object} is not among the objects role ${role} may use on this connection`,
+        object
+      };
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Whether a role's policies let it use an object, as { schema, name, kind }
+ */
+export function isObjectAllowed(policies, reference) {
+  if (policies.some(policy => policy.effect === 'DENY' && covers(policy, reference))) {
+    return false;
+  }
+
+  const allows = policies.filter(policy => policy.effect === 'ALLOW');
+  return allows.length === 0 || allows.some(policy => covers(policy, reference));
+}
@@ -0,0 +1,267 @@
+import { parseSqlType } from './sqlParameters.js';
+import { classifyStatements } from './sqlStatements.js';
+import { findObjectReferences } from './sqlObjects.js';
+import { tokenize } from './sqlTokenizer.js';
+
+/**
+ * Row edits from result grids
+ *
+ * A result can be edited when it comes from a batch with one plain SELECT
+ * of columns of a single table, and has the table's whole primary key.
+ * Edited cells, added rows and deleted rows are turned into one
+ * parameterized UPDATE, INSERT or DELETE per row, keyed by the primary key.
+ *
+ * UPDATE and DELETE only apply if the row is still as it was read: if the
+ * result has the table's rowversion column that is compared, otherwise the
+ * original values of the changed columns (of all columns for a delete).
+ * Each statement fails with an error unless it touched exactly one row, so
+ * a row changed or deleted by someone else since it was read is never
+ * overwritten.
+ */
+
+// Words that make a SELECT's rows something other than rows of its table
+const NOT_TABLE_ROWS = new Set([
+  'JOIN', 'APPLY', 'GROUP', 'HAVING', 'UNION', 'INTERSECT', 'EXCEPT', 'PIVOT', 'UNPIVOT', 'FOR', 'INTO'
+]);
+
+// Error raised by a statement that did not touch exactly one row
+export const ROW_CONFLICT_ERROR = 50000;
+const ROW_CONFLICT_MESSAGE = 'The row was changed or deleted by someone else since it was read';
+
+const quoteName = (name) => `[${name.replace(/]/g, ']]')}]`;
+
+function editError(message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+}
+
+/**
+ * Whether the select list is only column names and stars, without DISTINCT or aliases
+ */
+function isPlainSelect(tokens) {
+  if (tokens[0]?.upper !== 'SELECT') return false;
+
+  let i = 1;
+
+  if (tokens[i]?.upper === 'ALL') i++;
+  if (tokens[i]?.upper === 'DISTINCT') return false;
+  if (tokens[i]?.upper === 'TOP') {
+    i++;
+    if (tokens[i]?.value === '(') {
+      while (i < tokens.length && !(tokens[i].value === ')' && tokens[i].depth === 0)) i++;
+    }
+    i++;
+    if (tokens[i]?.upper === 'PERCENT') i++;
+    if (tokens[i]?.upper === 'WITH' && tokens[i + 1]?.upper === 'TIES') i += 2;
+  }
+
+  // Each item alternates name, '.', name ... and may end in '*'
+  let expectName = true;
+  for (; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token.upper === 'FROM') {
+      return !expectName;
+    }
+
+    if (expectName) {
+      if (token.type !== 'identifier' && token.type !== 'word' && token.value !== '*') return false;
+      expectName = false;
+    } else if (token.value === '.' || token.value === ',') {
+      expectName = true;
+    } else {
+      return false;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Find the table a result set was read from
+ * @param {string} sql - The batch the result set came from
+ * @returns {object} - { table: { schema, name } } or { reason } when its rows cannot be edited
+ */
+export function findEditableSource(sql) {
+  const statements = classifyStatements(sql).filter(statement => !statement.nested);
+
+  if (statements.length !== 1 || statements[0].type !== 'SELECT') {
+    return { reason: 'Only the result of a batch with a single SELECT can be edited' };
+  }
+
+  const tokens = tokenize(statements[0].text);
+
+  if (tokens.some(token => token.depth === 0 && NOT_TABLE_ROWS.has(token.upper)) || !isPlainSelect(tokens)) {
+    return { reason: 'Only a SELECT of plain columns from one table, without joins, grouping or aliases, can be edited' };
+  }
+
+  const { references, hasDynamicSql } = findObjectReferences(statements[0].text);
+
+  if (hasDynamicSql || references.length !== 1 || references[0].kind !== 'relation') {
+    return { reason: 'The result must come from a single table' };
+  }
+
+  return { table: { schema: references[0].schema || 'dbo', name: references[0].name } };
+}
+
+/**
+ * How a column of the table can be used by an edit
+ * @returns {object} - { editable, comparable, rowVersion }
+ */
+export function columnCapabilities(column) {
+  if (column.type === 'timestamp' || column.type === 'rowversion') {
+    return { editable: false, comparable: false, rowVersion: true };
+  }
+
+  let parsed;
+  try {
+    parsed = parseSqlType(column.type);
+  } catch (error) {
+    // Types that cannot be parameters (xml, binary, spatial...) are left alone
+    return { editable: false, comparable: false, rowVersion: false };
+  }
+
+  // Values come back as JavaScript dates, which stop at milliseconds
+  const scale = parseInt(/\((\d+)\)/.exec(column.type)?.[1] ?? '7', 10);
+  const fractional = ['time', 'datetime2', 'datetimeoffset'].includes(parsed.name);
+
+  return {
+    editable: !column.identity && !column.computed,
+    comparable: !fractional || scale <= 3,
+    rowVersion: false
+  };
+}
+
+/**
+ * A value read from the database, as a parameter of its column's type
+ */
+function parameterValue(column, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  // time values are read as dates on 1 January 1970
+  if (/^time\b/.test(column.type) && typeof value === 'string') {
+    return /^1970-01-01T([\d:.]+)Z$/.exec(value)?.[1] ?? value;
+  }
+  return value;
+}
+
+/**
+ * A rowversion read from the database (a Buffer, sent as JSON) as 0x hex
+ */
+function rowVersionHex(value) {
+  const bytes = value?.type === 'Buffer' ? value.data : value;
+  if (!Array.isArray(bytes) || bytes.length !== 8 || bytes.some(byte => !Number.isInteger(byte) || byte < 0 || byte > 255)) {
+    throw editError('The row version of a row is missing or invalid');
+  }
+  return `0x${bytes.map(byte => byte.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Build the statements that apply a set of row changes
+ * @param {object} table - { schema, name, columns: [{ name, type, identity, computed }], primaryKey: { columns } }
+ * @param {Array} changes - [{ type: 'update', original, values } | { type: 'insert', values } | { type: 'delete', original }];
+ *   original is the row as it was read, values the new value by column name
+ * @returns {Array} - [{ type, sql, parameters: [{ name, type, value }] }], one per change
+ */
+export function buildRowEdits(table, changes) {
+  if (!table.primaryKey) {
+    throw editError(`${table.schema}.${table.name} has no primary key, so its rows cannot be edited`);
+  }
+
+  const columns = new Map(table.columns.map(column => [column.name.toLowerCase(), column]));
+  const findColumn = (name) => {
+    const column = columns.get(name.toLowerCase());
+    if (!column) {
+      throw editError(`Unknown column: ${name}`);
+    }
+    return column;
+  };
+
+  const keyColumns = table.primaryKey.columns.map(findColumn);
+  const rowVersion = table.columns.find(column => columnCapabilities(column).rowVersion) || null;
+  const target = `${quoteName(table.schema)}.${quoteName(table.name)}`;
+  // Each statement throws unless it touched the one row it was meant to
+  const checkOneRow = `IF @@ROWCOUNT <> 1 THROW ${ROW_CONFLICT_ERROR}, N'${ROW_CONFLICT_MESSAGE}', 1;`;
+
+  // Original row values by lower-cased column name
+  const originalValues = (original = {}) => new Map(Object.entries(original).map(([name, value]) => [name.toLowerCase(), value]));
+
+  // New values by column, checked to be columns the edit may set
+  const newValues = (values = {}, { insert }) => Object.entries(values).map(([name, value]) => {
+    const column = findColumn(name);
+    if (!columnCapabilities(column).editable) {
+      throw editError(`Column ${column.name} cannot be set`);
+    }
+    if (!insert && keyColumns.includes(column)) {
+      throw editError(`Key column ${column.name} cannot be changed; delete the row and add it again instead`);
+    }
+    return { column, value };
+  });
+
+  return changes.map(change => {
+    const parameters = [];
+    const addParameter = (type, value) => {
+      const name = `p${parameters.length}`;
+      parameters.push({ name, type, value });
+      return `@${name}`;
+    };
+
+    if (change.type === 'insert') {
+      const assignments = newValues(change.values, { insert: true });
+      const sql = assignments.length > 0
+        ? `INSERT INTO ${target} (${assignments.map(({ column }) => quoteName(column.name)).join(', ')})\n` +
+          `VALUES (${assignments.map(({ column, value }) => addParameter(column.type, value)).join(', ')});`
+        : `INSERT INTO ${target} DEFAULT VALUES;`;
+      return { type: 'insert', sql, parameters };
+    }
+
+    const original = originalValues(change.original);
+    const conditions = keyColumns.map(column => {
+      const value = original.get(column.name.toLowerCase());
+      if (value === null || value === undefined) {
+        throw editError(`The row is missing its key column ${column.name}`);
+      }
+      return `${quoteName(column.name)} = ${addParameter(column.type, parameterValue(column, value))}`;
+    });
+
+    // Compare the columns about to change (all of them for a delete) with what was read
+    const assignments = change.type === 'update' ? newValues(change.values, { insert: false }) : [];
+    if (change.type === 'update' && assignments.length === 0) {
+      throw editError('An update needs at least one changed column');
+    }
+
+    if (rowVersion && original.has(rowVersion.name.toLowerCase())) {
+      const version = addParameter('varchar(18)', rowVersionHex(original.get(rowVersion.name.toLowerCase())));
+      conditions.push(`${quoteName(rowVersion.name)} = CONVERT(binary(8), ${version}, 1)`);
+    } else {
+      const compared = change.type === 'update'
+        ? assignments.map(({ column }) => column)
+        : table.columns.filter(column => !keyColumns.includes(column) && original.has(column.name.toLowerCase()));
+
+      for (const column of compared) {
+        if (!columnCapabilities(column).comparable) continue;
+        if (!original.has(column.name.toLowerCase())) {
+          throw editError(`The row is missing the original value of ${column.name}`);
+        }
+        const value = parameterValue(column, original.get(column.name.toLowerCase()));
+        const name = quoteName(column.name);
+        conditions.push(value === null
+          ? `${name} IS NULL`
+          : `${name} = ${addParameter(column.type, value)}`);
+      }
+    }
+
+    const where = `WHERE ${conditions.join('\n  AND ')};`;
+
+    if (change.type === 'delete') {
+      return { type: 'delete', sql: `DELETE FROM ${target}\n${where}\n${checkOneRow}`, parameters };
+    }
+
+    const set = assignments
+      .map(({ column, value }) => `${quoteName(column.name)} = ${addParameter(column.type, parameterValue(column, value))}`)
+      .join(', ');
+    return { type: 'update', sql: `UPDATE ${target}\nSET ${set}\n${where}\n${checkOneRow}`, parameters };
+  });
+}
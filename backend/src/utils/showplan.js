@@ -0,0 +1,46 @@
+/**
+ * Showplan XML helpers
+ *
+ * Only the statement-level estimates are needed on the server, and those are
+ * attributes of the StmtSimple elements, so they are read with a pattern
+ * instead of pulling in an XML parser.
+ */
+
+const STATEMENT_TAG = /<StmtSimple\b([^>]*)>/g;
+const ATTRIBUTE = /(\w+)="([^"]*)"/g;
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decode(value) {
+  return value.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|\w+);/g, (match, entity) => {
+    if (entity.startsWith('#x')) return String.fromCodePoint(parseInt(entity.slice(2), 16));
+    if (entity.startsWith('#')) return String.fromCodePoint(parseInt(entity.slice(1), 10));
+    return ENTITIES[entity] ?? match;
+  });
+}
+
+/**
+ * Read the estimated cost and row count of every planned statement
+ * @returns {Array} - [{ text, cost, estimatedRows }]
+ */
+export function readStatementEstimates(xml) {
+  const estimates = [];
+
+  for (const [, attributeText] of xml.matchAll(STATEMENT_TAG)) {
+    const attributes = {};
+    for (const [, name, value] of attributeText.matchAll(ATTRIBUTE)) {
+      attributes[name] = decode(value);
+    }
+
+    // Statements such as SET or DECLARE are listed without a plan or cost
+    if (attributes.StatementSubTreeCost === undefined) continue;
+
+    estimates.push({
+      text: (attributes.StatementText || '').trim(),
+      cost: Number(attributes.StatementSubTreeCost),
+      estimatedRows: Number(attributes.StatementEstRows || 0)
+    });
+  }
+
+  return estimates;
+}
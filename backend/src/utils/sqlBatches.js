@@ -0,0 +1,125 @@
+/**
+ * GO batch separators
+ *
+ * GO is not T-SQL: SSMS and sqlcmd split scripts on it client-side and send
+ * each batch on its own. A separator is a line holding only GO, optionally
+ * followed by a repeat count (GO 5) and a -- comment. GO inside block
+ * comments, string literals and delimited identifiers does not split.
+ */
+
+// Upper bound for GO n, so a typo cannot loop a batch for hours
+export const MAX_BATCH_REPEAT = 1000;
+
+const SEPARATOR = /^\s*GO(?:\s+(\d+))?\s*(?:--.*)?$/i;
+
+function batchError(message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+}
+
+/**
+ * Advance the lexical state over one line
+ * @returns {object} - { state, depth } carried over to the next line
+ */
+function scanLine(line, state, depth) {
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    const next = line[i + 1];
+
+    switch (state) {
+      case 'comment':
+        // Block comments nest in T-SQL
+        if (char === '/' && next === '*') {
+          depth++;
+          i++;
+        } else if (char === '*' && next === '/') {
+          depth--;
+          i++;
+          if (depth === 0) state = null;
+        }
+        break;
+
+      case 'string':
+        if (char === "'") {
+          if (next === "'") i++;
+          else state = null;
+        }
+        break;
+
+      case 'bracket':
+        if (char === ']') {
+          if (next === ']') i++;
+          else state = null;
+        }
+        break;
+
+      case 'quoted':
+        if (char === '"') {
+          if (next === '"') i++;
+          else state = null;
+        }
+        break;
+
+      default:
+        if (char === '-' && next === '-') {
+          return { state, depth };
+        }
+        if (char === '/' && next === '*') {
+          state = 'comment';
+          depth = 1;
+          i++;
+        } else if (char === "'") {
+          state = 'string';
+        } else if (char === '[') {
+          state = 'bracket';
+        } else if (char === '"') {
+          state = 'quoted';
+        }
+    }
+  }
+
+  return { state, depth };
+}
+
+/**
+ * Split a script into batches
+ * @returns {Array} - [{ sql, repeat, startLine }] for every non-blank batch; startLine is 1-based
+ */
+export function splitBatches(script) {
+  const lines = script.split(/\r?\n/);
+  const batches = [];
+  let buffer = [];
+  let startLine = 1;
+  let state = null;
+  let depth = 0;
+
+  const pushBatch = (repeat) => {
+    const text = buffer.join('\n');
+    if (text.trim()) {
+      batches.push({ sql: text, repeat, startLine });
+    }
+  };
+
+  lines.forEach((line, index) => {
+    const separator = state === null ? SEPARATOR.exec(line) : null;
+
+    if (separator) {
+      const repeat = separator[1] ? parseInt(separator[1], 10) : 1;
+      if (repeat < 1 || repeat > MAX_BATCH_REPEAT) {
+        throw batchError(`GO repeat count on line ${index + 1} must be between 1 and ${MAX_BATCH_REPEAT}`);
+      }
+      pushBatch(repeat);
+      buffer = [];
+      startLine = index + 2;
+      return;
+    }
+
+    buffer.push(line);
+    ({ state, depth } = scanLine(line, state, depth));
+  });
+
+  pushBatch(1);
+
+  return batches;
+}
@@ -0,0 +1,371 @@
+import { tokenize } from './sqlTokenizer.js';
+import { classifyStatements } from './sqlStatements.js';
+
+/**
+ * Object references in T-SQL
+ *
+ * Finds the tables, views, functions and procedures a batch names so they
+ * can be checked against object policies. Names are read after the words
+ * that introduce them (FROM, JOIN, APPLY, INTO, UPDATE, DELETE, MERGE,
+ * USING, TRUNCATE TABLE, EXEC and DDL), from CHANGETABLE, and from function
+ * calls with a schema, as in SELECT hr.fn_salary(1); temp tables, table
+ * variables, CTEs and aliases used as UPDATE or DELETE targets are left
+ * out. Objects named inside dynamic SQL cannot be seen, so batches with it
+ * are flagged.
+ */
+
+// Words that can follow a table source; anything else right after one is its alias
+const CLAUSE_WORDS = new Set([
+  'WHERE', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS', 'OUTER', 'ON', 'GROUP', 'ORDER',
+  'HAVING', 'UNION', 'EXCEPT', 'INTERSECT', 'OPTION', 'FOR', 'WITH', 'SET', 'OUTPUT', 'VALUES',
+  'SELECT', 'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'USING', 'INTO', 'FROM', 'WHEN', 'PIVOT',
+  'UNPIVOT', 'TABLESAMPLE', 'DEFAULT', 'EXEC', 'EXECUTE', 'APPLY', 'AS', 'IF', 'ELSE', 'BEGIN',
+  'END', 'DECLARE', 'PRINT', 'RETURN', 'WHILE', 'CREATE', 'ALTER', 'DROP', 'TRUNCATE', 'COMMIT',
+  'ROLLBACK', 'OPEN', 'FETCH', 'CLOSE', 'DEALLOCATE', 'RAISERROR', 'THROW', 'WAITFOR', 'USE'
+]);
+
+// Objects a DDL statement can name, and the kind of reference they make
+const DDL_OBJECTS = {
+  TABLE: 'relation',
+  VIEW: 'relation',
+  FUNCTION: 'relation',
+  PROC: 'procedure',
+  PROCEDURE: 'procedure'
+};
+
+// Words that close a FROM clause, after which commas no longer separate table sources
+const FROM_CLAUSE_END = new Set([
+  'WHERE', 'GROUP', 'ORDER', 'HAVING', 'UNION', 'EXCEPT', 'INTERSECT', 'OPTION', 'FOR', 'WHEN',
+  'SELECT', 'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'SET', 'OUTPUT', 'VALUES', 'EXEC', 'EXECUTE',
+  'DECLARE', 'IF', 'ELSE', 'WHILE', 'BEGIN', 'END', 'PRINT', 'RETURN', 'RAISERROR', 'THROW'
+]);
+
+// FETCH NEXT FROM cursor names a cursor, not a table
+const FETCH_DIRECTIONS = new Set(['FETCH', 'NEXT', 'PRIOR', 'FIRST', 'LAST']);
+
+const SKIPPED_SOURCES = new Set(['OPENQUERY', 'OPENROWSET', 'OPENDATASOURCE', 'OPENJSON', 'OPENXML']);
+
+// Methods of the xml, hierarchyid and spatial types, called on a column as in c.value('...', 'int')
+const TYPE_METHODS = new Set([
+  'value', 'query', 'exist', 'nodes', 'modify', 'getancestor', 'getdescendant', 'getlevel',
+  'getreparentedvalue', 'isdescendantof', 'tostring', 'reduce', 'bufferwithtolerance'
+]);
+const isTypeMethod = (name) => TYPE_METHODS.has(name.toLowerCase()) || /^ST[A-Z]/.test(name);
+
+const upper = (token) => (token?.type === 'word' ? token.upper : null);
+
+function unquote(token) {
+  if (token.type !== 'identifier') {
+    return token.value;
+  }
+  const close = token.value[0] === '[' ? ']' : '"';
+  return token.value.slice(1, -1).split(close + close).join(close);
+}
+
+/**
+ * Read a multi-part name starting at tokens[index]
+ * @returns {object|null} - { parts, end } where end is the index after the name
+ */
+function readName(tokens, index) {
+  const parts = [];
+  let i = index;
+
+  while (tokens[i] && (tokens[i].type === 'word' || tokens[i].type === 'identifier')) {
+    parts.push(unquote(tokens[i]));
+    i++;
+    if (tokens[i]?.value !== '.') break;
+    i++;
+    // database..table leaves the schema out
+    while (tokens[i]?.value === '.') {
+      parts.push('');
+      i++;
+    }
+  }
+
+  return parts.length > 0 ? { parts, end: i } : null;
+}
+
+/**
+ * Index after the parentheses opened at tokens[index]
+ */
+function skipParens(tokens, index) {
+  const depth = tokens[index].depth;
+  for (let i = index + 1; i < tokens.length; i++) {
+    if (tokens[i].value === ')' && tokens[i].depth === depth) {
+      return i + 1;
+    }
+  }
+  return tokens.length;
+}
+
+function skipTop(tokens, index) {
+  if (upper(tokens[index]) !== 'TOP') return index;
+  let i = tokens[index + 1]?.value === '(' ? skipParens(tokens, index + 1) : index + 2;
+  if (upper(tokens[i]) === 'PERCENT') i++;
+  return i;
+}
+
+/**
+ * Whether tokens[index] sits in the arguments of a function such as TRIM(x FROM y)
+ */
+function insideFunctionCall(tokens, index) {
+  const depth = tokens[index].depth;
+  if (depth === 0) return false;
+
+  for (let i = index - 1; i >= 0; i--) {
+    if (tokens[i].value === '(' && tokens[i].depth === depth - 1) {
+      return upper(tokens[i - 1]) === 'TRIM';
+    }
+  }
+  return false;
+}
+
+/**
+ * Find the objects a batch refers to
+ * @returns {object} - { references: [{ schema, name, kind, text }], hasDynamicSql }
+ *   kind is 'relation' (table, view or function) or 'procedure'; schema is
+ *   null when the name does not give one
+ */
+export function findObjectReferences(sql) {
+  const tokens = tokenize(sql);
+  const statements = classifyStatements(sql).filter(statement => !statement.nested);
+  let hasDynamicSql = statements.some(statement => statement.dynamicSql);
+
+  const found = [];
+  const ctes = [];
+  const aliases = [];
+
+  const add = (name, kind, token, { aliasable = false, call = false } = {}) => {
+    const objectName = name.parts[name.parts.length - 1];
+    if (!objectName || objectName.startsWith('#')) return;
+
+    found.push({
+      schema: name.parts.length > 1 ? name.parts[name.parts.length - 2] || null : null,
+      name: objectName,
+      kind,
+      text: name.parts.filter(Boolean).join('.'),
+      position: token.start,
+      partCount: name.parts.length,
+      aliasable,
+      call,
+      qualifier: name.parts[0].toLowerCase()
+    });
+  };
+
+  // Read one table source and its alias
+  const readSource = (index) => {
+    let i = index;
+    const token = tokens[i];
+    if (!token) return;
+
+    if (token.value === '(') {
+      // Derived tables are read through their own FROM
+      i = skipParens(tokens, i);
+    } else if (token.type === 'variable') {
+      i++;
+    } else if (SKIPPED_SOURCES.has(upper(token))) {
+      i = tokens[i + 1]?.value === '(' ? skipParens(tokens, i + 1) : i + 1;
+    } else if (upper(token) === 'CHANGETABLE' && tokens[i + 1]?.value === '(') {
+      // CHANGETABLE(CHANGES table, version) and CHANGETABLE(VERSION table, ...) read the table's changes
+      const name = readName(tokens, i + 3);
+      if (name && ['CHANGES', 'VERSION'].includes(upper(tokens[i + 2]))) add(name, 'relation', tokens[i + 3]);
+      i = skipParens(tokens, i + 1);
+    } else {
+      const name = readName(tokens, i);
+      if (!name || CLAUSE_WORDS.has(upper(token))) return;
+      add(name, 'relation', token);
+      i = name.end;
+      // Table-valued function arguments
+      if (tokens[i]?.value === '(') i = skipParens(tokens, i);
+    }
+
+    if (upper(tokens[i]) === 'AS') i++;
+    if (tokens[i] && (tokens[i].type === 'identifier' || (tokens[i].type === 'word' && !CLAUSE_WORDS.has(tokens[i].upper)))) {
+      aliases.push({ name: unquote(tokens[i]).toLowerCase(), position: tokens[i].start });
+    }
+  };
+
+  const readTarget = (index, kind, options) => {
+    let i = skipTop(tokens, index);
+    if (upper(tokens[i]) === 'INTO') i++;
+    const name = readName(tokens, i);
+    if (name) add(name, kind, tokens[i], options);
+    return name ? name.end : i;
+  };
+
+  const readProcedure = (index) => {
+    let i = index;
+    if (tokens[i]?.type === 'variable') {
+      // EXEC @status = procedure; EXEC @name runs whatever procedure the variable names
+      if (tokens[i + 1]?.value !== '=') {
+        hasDynamicSql = true;
+        return;
+      }
+      i += 2;
+    }
+    if (tokens[i]?.value === '(' || upper(tokens[i]) === 'AS') return;
+    const name = readName(tokens, i);
+    if (name) add(name, 'procedure', tokens[i]);
+  };
+
+  // A batch that starts with a bare name calls that procedure
+  if (statements[0]?.type === 'EXEC' && !['EXEC', 'EXECUTE'].includes(upper(tokens[0]))) {
+    readProcedure(0);
+  }
+
+  // Parenthesis depths that are inside a FROM clause, where commas separate table sources
+  const fromDepths = new Set();
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const prev = tokens[i - 1];
+
+    if (token.type === 'symbol') {
+      if (token.value === ',' && fromDepths.has(token.depth)) {
+        readSource(i + 1);
+      } else if (token.value === ';') {
+        fromDepths.clear();
+      } else if (token.value === ')') {
+        for (const depth of fromDepths) {
+          if (depth > token.depth) fromDepths.delete(depth);
+        }
+      }
+      continue;
+    }
+
+    if (token.type === 'word' && FROM_CLAUSE_END.has(token.upper)) {
+      fromDepths.delete(token.depth);
+    }
+
+    if (token.type !== 'word' && token.type !== 'identifier') continue;
+    if (prev?.value === '.') continue;
+
+    // CTE names: WITH name [(columns)] AS ( and , name [(columns)] AS (
+    if (upper(prev) === 'WITH' || prev?.value === ',') {
+      let j = i + 1;
+      if (tokens[j]?.value === '(') j = skipParens(tokens, j);
+      if (upper(tokens[j]) === 'AS' && tokens[j + 1]?.value === '(') {
+        ctes.push({ name: unquote(token).toLowerCase(), position: token.start });
+        continue;
+      }
+    }
+
+    // Functions called with a schema; a name without one followed by ( is a built-in
+    const call = readName(tokens, i);
+    if (call?.parts.length > 1 && tokens[call.end]?.value === '(' && !DDL_OBJECTS[upper(prev)]) {
+      const functionName = call.parts[call.parts.length - 1];
+      if (!isTypeMethod(functionName)) add(call, 'relation', token, { call: true });
+    }
+
+    if (token.type !== 'word') continue;
+
+    switch (token.upper) {
+      case 'FROM':
+        if (FETCH_DIRECTIONS.has(upper(prev)) || insideFunctionCall(tokens, i)) break;
+        fromDepths.add(token.depth);
+        readSource(i + 1);
+        break;
+
+      case 'JOIN':
+      case 'APPLY':
+      case 'USING':
+        readSource(i + 1);
+        break;
+
+      case 'INTO':
+        // INSERT INTO, SELECT ... INTO and OUTPUT ... INTO; FETCH ... INTO lists variables
+        readTarget(i + 1, 'relation');
+        break;
+
+      case 'MERGE':
+        readTarget(i + 1, 'relation');
+        break;
+
+      case 'INSERT':
+        if (upper(tokens[i + 1]) !== 'INTO' && upper(prev) !== 'BULK' && !['ON', 'FOR', 'THEN'].includes(upper(prev))) {
+          readTarget(i + 1, 'relation');
+        }
+        break;
+
+      case 'UPDATE':
+        if (['ON', 'FOR', 'THEN'].includes(upper(prev)) || tokens[i + 1]?.value === '(') break;
+        readTarget(upper(tokens[i + 1]) === 'STATISTICS' ? i + 2 : i + 1, 'relation', { aliasable: true });
+        break;
+
+      case 'DELETE': {
+        if (['ON', 'FOR', 'THEN'].includes(upper(prev))) break;
+        let j = skipTop(tokens, i + 1);
+        if (upper(tokens[j]) === 'FROM') j++;
+        // The target may be an alias from the FROM clause that follows; skip past it so
+        // that clause is read as usual
+        i = readTarget(j, 'relation', { aliasable: true }) - 1;
+        break;
+      }
+
+      case 'TRUNCATE':
+        if (upper(tokens[i + 1]) === 'TABLE') readTarget(i + 2, 'relation');
+        break;
+
+      case 'CREATE':
+      case 'ALTER':
+      case 'DROP': {
+        let j = i + 1;
+        if (upper(tokens[j]) === 'OR' && upper(tokens[j + 1]) === 'ALTER') j += 2;
+        const kind = DDL_OBJECTS[upper(tokens[j])];
+        if (!kind) break;
+        j++;
+        if (upper(tokens[j]) === 'IF' && upper(tokens[j + 1]) === 'EXISTS') j += 2;
+        readTarget(j, kind);
+        break;
+      }
+
+      case 'EXEC':
+      case 'EXECUTE':
+        readProcedure(i + 1);
+        break;
+    }
+  }
+
+  // CTEs and aliases only hide a name within the statement that declares them. A CTE
+  // also only hides it from its own declaration on: in the bodies of CTEs declared
+  // before it, the name is still the table.
+  const statementAt = (position) => statements.find(statement => position >= statement.start && position < statement.end);
+  const declaredIn = (declarations, reference, { before = false } = {}) => {
+    const statement = statementAt(reference.position);
+    return declarations.some(declaration =>
+      declaration.name === reference.name.toLowerCase() && statementAt(declaration.position) === statement &&
+      (!before || declaration.position < reference.position)
+    );
+  };
+
+  const seen = new Set();
+  const references = [];
+
+  // alias.column.method(...) calls a method of a column; a table alias has no methods of its
+  // own, so alias.name(...) is a function of the schema with that name
+  const isColumnMethod = (reference) => declaredIn(aliases, { ...reference, name: reference.qualifier })
+    || found.some(other => !other.call && other.name.toLowerCase() === reference.qualifier
+      && statementAt(other.position) === statementAt(reference.position));
+
+  for (const reference of found) {
+    if (reference.call && reference.partCount > 2 && isColumnMethod(reference)) continue;
+
+    if (reference.partCount === 1 && reference.kind === 'relation') {
+      if (declaredIn(ctes, reference, { before: true })) continue;
+      if (reference.aliasable && declaredIn(aliases, reference)) continue;
+    }
+
+    const key = `${reference.kind}:${(reference.schema || '').toLowerCase()}.${reference.name.toLowerCase()}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    references.push({
+      schema: reference.schema,
+      name: reference.name,
+      kind: reference.kind,
+      text: reference.text
+    });
+  }
+
+  return { references, hasDynamicSql };
+}
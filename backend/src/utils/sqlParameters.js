@@ -0,0 +1,245 @@
+import sql from 'mssql';
+
+/**
+ * Typed query parameters
+ *
+ * Parameters arrive as { name, type, value } where type is a T-SQL type
+ * declaration such as 'int', 'nvarchar(100)' or 'decimal(18, 2)'. Declarations
+ * are parsed into mssql types and values are coerced and checked before they
+ * are bound with request.input(), so no parameter value is ever spliced into
+ * the SQL text.
+ */
+
+const INTEGER_RANGES = {
+  tinyint: [0, 255],
+  smallint: [-32768, 32767],
+  int: [-2147483648, 2147483647]
+};
+
+// type name -> { factory, kind, args: allowed argument count range }
+const SQL_TYPES = {
+  bit: { factory: () => sql.Bit, kind: 'boolean' },
+  tinyint: { factory: () => sql.TinyInt, kind: 'integer' },
+  smallint: { factory: () => sql.SmallInt, kind: 'integer' },
+  int: { factory: () => sql.Int, kind: 'integer' },
+  bigint: { factory: () => sql.BigInt, kind: 'bigint' },
+  decimal: { factory: (p = 18, s = 0) => sql.Decimal(p, s), kind: 'number', args: [0, 2] },
+  numeric: { factory: (p = 18, s = 0) => sql.Numeric(p, s), kind: 'number', args: [0, 2] },
+  money: { factory: () => sql.Money, kind: 'number' },
+  smallmoney: { factory: () => sql.SmallMoney, kind: 'number' },
+  float: { factory: () => sql.Float, kind: 'number' },
+  real: { factory: () => sql.Real, kind: 'number' },
+  date: { factory: () => sql.Date, kind: 'datetime' },
+  time: { factory: (scale = 7) => sql.Time(scale), kind: 'time', args: [0, 1] },
+  datetime: { factory: () => sql.DateTime, kind: 'datetime' },
+  smalldatetime: { factory: () => sql.SmallDateTime, kind: 'datetime' },
+  datetime2: { factory: (scale = 7) => sql.DateTime2(scale), kind: 'datetime', args: [0, 1] },
+  datetimeoffset: { factory: (scale = 7) => sql.DateTimeOffset(scale), kind: 'datetime', args: [0, 1] },
+  char: { factory: (length = 1) => sql.Char(length), kind: 'string', args: [0, 1], maxLength: 8000 },
+  varchar: { factory: (length = 1) => sql.VarChar(length), kind: 'string', args: [0, 1], maxLength: 8000 },
+  nchar: { factory: (length = 1) => sql.NChar(length), kind: 'string', args: [0, 1], maxLength: 4000 },
+  nvarchar: { factory: (length = 1) => sql.NVarChar(length), kind: 'string', args: [0, 1], maxLength: 4000 },
+  uniqueidentifier: { factory: () => sql.UniqueIdentifier, kind: 'guid' }
+};
+
+export const SUPPORTED_SQL_TYPES = Object.keys(SQL_TYPES);
+
+const TYPE_PATTERN = /^\s*([a-z0-9]+)\s*(?:\(\s*([^)]*?)\s*\))?\s*$/i;
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,7}))?)?$/;
+
+function parameterError(message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+}
+
+/**
+ * Parse a T-SQL type declaration into { name, type, length }
+ * @param {string} declaration - e.g. 'nvarchar(max)' or 'decimal(18,2)'
+ * @returns {object} - Parsed type with the mssql type instance
+ */
+export function parseSqlType(declaration) {
+  const match = TYPE_PATTERN.exec(String(declaration || ''));
+  if (!match) {
+    throw parameterError(`Invalid type declaration: ${declaration}`);
+  }
+
+  const name = match[1].toLowerCase();
+  const definition = SQL_TYPES[name];
+  if (!definition) {
+    throw parameterError(`Unsupported parameter type: ${name}`);
+  }
+
+  const rawArgs = match[2] !== undefined && match[2] !== ''
+    ? match[2].split(',').map(arg => arg.trim())
+    : [];
+  const [minArgs, maxArgs] = definition.args || [0, 0];
+
+  if (rawArgs.length < minArgs || rawArgs.length > maxArgs) {
+    throw parameterError(`Invalid arguments for type ${name}: ${declaration}`);
+  }
+
+  let length = null;
+  const args = rawArgs.map(arg => {
+    if (definition.kind === 'string' && arg.toLowerCase() === 'max') {
+      if (name === 'char' || name === 'nchar') {
+        throw parameterError(`Type ${name} does not support MAX length`);
+      }
+      return sql.MAX;
+    }
+    if (!/^\d+$/.test(arg)) {
+      throw parameterError(`Invalid argument "${arg}" for type ${name}`);
+    }
+    return parseInt(arg, 10);
+  });
+
+  if (definition.kind === 'string' && args.length > 0) {
+    length = args[0] === sql.MAX ? null : args[0];
+    if (length !== null && (length < 1 || length > definition.maxLength)) {
+      throw parameterError(`Length of ${name} must be between 1 and ${definition.maxLength}, or MAX`);
+    }
+  }
+
+  if ((name === 'decimal' || name === 'numeric') && args.length > 0) {
+    const [precision, scale = 0] = args;
+    if (precision < 1 || precision > 38 || scale > precision) {
+      throw parameterError(`Invalid precision or scale for ${name}: ${declaration}`);
+    }
+  }
+
+  if (definition.kind === 'time' || name === 'datetime2' || name === 'datetimeoffset') {
+    if (args.length > 0 && args[0] > 7) {
+      throw parameterError(`Fractional seconds precision of ${name} must be between 0 and 7`);
+    }
+  }
+
+  return {
+    name,
+    kind: definition.kind,
+    length,
+    type: definition.factory(...args)
+  };
+}
+
+/**
+ * Check whether a type declaration is supported (for request validation)
+ */
+export function isSupportedSqlType(declaration) {
+  try {
+    parseSqlType(declaration);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Coerce a parameter value to what the driver expects for the parsed type
+ */
+function coerceValue(parameterName, parsedType, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const invalid = () => parameterError(`Invalid value for @${parameterName} (${parsedType.name}): ${value}`);
+
+  switch (parsedType.kind) {
+    case 'boolean': {
+      const normalized = String(value).trim().toLowerCase();
+      if (value === true || normalized === 'true' || normalized === '1') return true;
+      if (value === false || normalized === 'false' || normalized === '0') return false;
+      throw invalid();
+    }
+
+    case 'integer': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      const [min, max] = INTEGER_RANGES[parsedType.name];
+      if (!Number.isInteger(number) || number < min || number > max) throw invalid();
+      return number;
+    }
+
+    case 'bigint': {
+      // Kept as a string so values beyond Number.MAX_SAFE_INTEGER stay exact
+      const text = String(value).trim();
+      if (!/^-?\d{1,19}$/.test(text)) throw invalid();
+      return text;
+    }
+
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (String(value).trim() === '' || !Number.isFinite(number)) throw invalid();
+      return number;
+    }
+
+    case 'datetime': {
+      const date = new Date(value);
+      if (String(value).trim() === '' || Number.isNaN(date.getTime())) throw invalid();
+      return date;
+    }
+
+    case 'time': {
+      const match = TIME_PATTERN.exec(String(value).trim());
+      if (!match) throw invalid();
+      const [, hours, minutes, seconds = '0', fraction = '0'] = match;
+      if (Number(hours) > 23 || Number(minutes) > 59 || Number(seconds) > 59) throw invalid();
+      const milliseconds = Math.round(Number(`0.${fraction}`) * 1000);
+      return new Date(Date.UTC(1970, 0, 1, Number(hours), Number(minutes), Number(seconds), milliseconds));
+    }
+
+    case 'guid': {
+      const text = String(value).trim();
+      if (!GUID_PATTERN.test(text)) throw invalid();
+      return text;
+    }
+
+    case 'string': {
+      const text = String(value);
+      if (parsedType.length !== null && text.length > parsedType.length) {
+        throw parameterError(`Value for @${parameterName} exceeds ${parsedType.name}(${parsedType.length})`);
+      }
+      return text;
+    }
+
+    default:
+      throw invalid();
+  }
+}
+
+/**
+ * Validate and normalize request parameters before execution
+ * @param {Array} parameters - [{ name, type, value }]
+ * @returns {Array} - [{ name, type (mssql type), declaration, value }]
+ */
+export function prepareParameters(parameters = []) {
+  const seen = new Set();
+
+  return parameters.map(({ name, type, value }) => {
+    const parameterName = String(name).replace(/^@/, '');
+    const key = parameterName.toLowerCase();
+
+    if (seen.has(key)) {
+      throw parameterError(`Duplicate parameter: @${parameterName}`);
+    }
+    seen.add(key);
+
+    const parsedType = parseSqlType(type);
+
+    return {
+      name: parameterName,
+      type: parsedType.type,
+      declaration: type,
+      value: coerceValue(parameterName, parsedType, value)
+    };
+  });
+}
+
+/**
+ * Bind prepared parameters to an mssql request
+ */
+export function bindParameters(request, preparedParameters = []) {
+  for (const parameter of preparedParameters) {
+    request.input(parameter.name, parameter.type, parameter.value);
+  }
+  return request;
+}
@@ -0,0 +1,542 @@
+import { tokenize } from './sqlTokenizer.js';
+
+/**
+ * T-SQL statement classification
+ *
+ * Splits a batch into statements and names the kind of each one, so every
+ * statement of a script can be checked against a role instead of only the
+ * first word. T-SQL does not need semicolons between statements, so a new
+ * statement starts at any statement keyword unless that keyword belongs to
+ * the current statement: the SET of an UPDATE, the SELECT of an
+ * INSERT ... SELECT or a UNION, the DML after a CTE, and so on.
+ *
+ * A word the classifier does not know where a statement could have ended,
+ * as in `SELECT 1 FOO BAR ...`, starts an UNKNOWN statement rather than
+ * being read as part of the one before, so anything it misses fails closed.
+ *
+ * DML and EXEC nested in parentheses (composable DML such as
+ * INSERT ... SELECT FROM (DELETE ... OUTPUT ...)) are listed as statements of
+ * their own, and statements that reach other servers through OPENQUERY,
+ * OPENROWSET or OPENDATASOURCE are flagged as dynamic SQL.
+ */
+
+// Words that start a statement
+const STATEMENT_KEYWORDS = new Set([
+  'SELECT', 'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'WITH', 'EXEC', 'EXECUTE',
+  'CREATE', 'ALTER', 'DROP', 'TRUNCATE', 'GRANT', 'REVOKE', 'DENY',
+  'DECLARE', 'SET', 'PRINT', 'RAISERROR', 'THROW', 'WAITFOR',
+  'IF', 'ELSE', 'WHILE', 'BEGIN', 'END', 'RETURN', 'BREAK', 'CONTINUE', 'GOTO',
+  'COMMIT', 'ROLLBACK', 'SAVE', 'USE', 'OPEN', 'FETCH', 'CLOSE', 'DEALLOCATE',
+  'BULK', 'BACKUP', 'RESTORE', 'DBCC', 'KILL', 'SHUTDOWN', 'RECONFIGURE', 'CHECKPOINT',
+  'READTEXT', 'WRITETEXT', 'UPDATETEXT', 'REVERT', 'SETUSER', 'RECEIVE'
+]);
+
+// Words that only start a statement when followed by the given word, as they are common names otherwise
+const TWO_WORD_STATEMENTS = new Map([
+  ['DISABLE', { second: 'TRIGGER', type: 'DISABLE TRIGGER' }],
+  ['ENABLE', { second: 'TRIGGER', type: 'ENABLE TRIGGER' }],
+  ['SEND', { second: 'ON', type: 'SEND' }],
+  ['MOVE', { second: 'CONVERSATION', type: 'MOVE CONVERSATION' }],
+  ['GET', { second: 'CONVERSATION', type: 'GET CONVERSATION GROUP' }]
+]);
+
+const DML = new Set(['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'MERGE']);
+
+// Keywords that are statements even inside parentheses
+const NESTED_KEYWORDS = new Set(['INSERT', 'UPDATE', 'DELETE', 'MERGE', 'EXEC', 'EXECUTE']);
+
+// Flow control; a WITH right after one of these starts a CTE rather than adding table hints
+const CONTROL_FLOW = new Set(['IF', 'ELSE', 'WHILE', 'BEGIN', 'END', 'RETURN', 'BREAK', 'CONTINUE', 'GOTO']);
+
+// Objects whose definition takes the rest of the batch as its body
+const BODY_OBJECTS = new Set(['PROC', 'PROCEDURE', 'FUNCTION', 'TRIGGER', 'VIEW']);
+
+// In these, statement keywords are permission names up to the ON, TO or FROM that follows them
+const PERMISSION_STATEMENTS = new Set(['GRANT', 'REVOKE', 'DENY']);
+
+const DYNAMIC_SQL_FUNCTIONS = new Set(['OPENQUERY', 'OPENROWSET', 'OPENDATASOURCE']);
+
+const SET_OPERATORS = new Set(['UNION', 'ALL', 'EXCEPT', 'INTERSECT']);
+
+// Objects named right after DROP or ALTER when they start a statement of their own
+const STATEMENT_OBJECTS = new Set([
+  'TABLE', 'VIEW', 'PROC', 'PROCEDURE', 'FUNCTION', 'TRIGGER', 'INDEX', 'DATABASE', 'SCHEMA',
+  'USER', 'LOGIN', 'ROLE', 'TYPE', 'SYNONYM', 'SEQUENCE', 'ASSEMBLY', 'CERTIFICATE', 'SYMMETRIC',
+  'ASYMMETRIC', 'MASTER', 'CREDENTIAL', 'QUEUE', 'SERVICE', 'CONTRACT', 'ROUTE', 'ENDPOINT',
+  'PARTITION', 'FULLTEXT', 'XML', 'EVENT', 'SERVER', 'APPLICATION', 'AVAILABILITY', 'STATISTICS',
+  'RULE', 'DEFAULT', 'RESOURCE', 'WORKLOAD', 'EXTERNAL', 'SECURITY', 'SEARCH', 'MESSAGE',
+  'REMOTE', 'BROKER', 'SIGNATURE', 'COUNTERSIGNATURE'
+]);
+
+// Statements made of expressions, where a word the classifier does not know can be told from an alias
+const EXPRESSION_STATEMENTS = new Set([
+  'SELECT', 'SELECT INTO', 'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'WITH', 'EXEC', 'SET', 'PRINT', 'IF', 'WHILE'
+]);
+
+// Words that may follow an expression or an alias in those statements
+const CLAUSE_WORDS = new Set([
+  'FROM', 'WHERE', 'GROUP', 'BY', 'HAVING', 'ORDER', 'ASC', 'DESC', 'UNION', 'ALL', 'EXCEPT', 'INTERSECT',
+  'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'APPLY', 'ON', 'USING', 'AS', 'WITH',
+  'AND', 'OR', 'NOT', 'IS', 'NULL', 'IN', 'LIKE', 'ESCAPE', 'BETWEEN', 'EXISTS', 'SOME', 'ANY',
+  'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'COLLATE', 'AT', 'TIME', 'ZONE', 'OVER', 'WITHIN', 'WINDOW',
+  'PARTITION', 'ROWS', 'ROW', 'RANGE', 'OFFSET', 'FETCH', 'NEXT', 'FIRST', 'ONLY', 'TOP', 'PERCENT',
+  'TIES', 'DISTINCT', 'PIVOT', 'UNPIVOT', 'TABLESAMPLE', 'REPEATABLE', 'INTO', 'VALUES', 'DEFAULT',
+  'OUTPUT', 'OUT', 'MATCHED', 'TARGET', 'SOURCE', 'OPTION', 'FOR', 'OF', 'TO', 'CONTAINED', 'BROWSE',
+  'SYSTEM_TIME', 'XML', 'JSON', 'READONLY', 'RECOMPILE', 'RESULT', 'HASH', 'LOOP', 'REMOTE'
+]);
+
+const upper = (token) => (token?.type === 'word' ? token.upper : null);
+
+/**
+ * Whether the word at tokens[index] starts a statement
+ */
+function isStatementKeyword(tokens, index) {
+  const word = tokens[index].upper;
+  return STATEMENT_KEYWORDS.has(word) || TWO_WORD_STATEMENTS.get(word)?.second === upper(tokens[index + 1]);
+}
+
+/**
+ * Name the statement that starts with tokens[index]
+ */
+function statementType(tokens, index, isFirst) {
+  const token = tokens[index];
+  const next = tokens[index + 1];
+
+  if (!isStatementKeyword(tokens, index)) {
+    if (next?.value === ':') return 'LABEL';
+    // A bare name first in a batch is a procedure call, as in `sp_who`
+    return isFirst ? 'EXEC' : 'UNKNOWN';
+  }
+
+  if (TWO_WORD_STATEMENTS.has(token.upper)) {
+    return TWO_WORD_STATEMENTS.get(token.upper).type;
+  }
+
+  switch (token.upper) {
+    case 'EXECUTE':
+      return 'EXEC';
+    case 'BEGIN':
+      if (['DIALOG', 'CONVERSATION'].includes(upper(next))) return `BEGIN ${upper(next)}`;
+      return ['TRAN', 'TRANSACTION', 'DISTRIBUTED'].includes(upper(next)) ? 'BEGIN TRANSACTION' : 'BEGIN';
+    case 'END':
+      return upper(next) === 'CONVERSATION' ? 'END CONVERSATION' : 'END';
+    case 'OPEN':
+      // Opening a key makes what it encrypts readable; OPEN of a cursor is procedural
+      return ['SYMMETRIC', 'MASTER'].includes(upper(next)) ? 'OPEN KEY' : 'OPEN';
+    case 'WAITFOR':
+      // WAITFOR (RECEIVE ...) and WAITFOR (GET CONVERSATION GROUP ...) are the statement they wrap
+      return next?.value === '(' && tokens[index + 2]?.type === 'word' && isStatementKeyword(tokens, index + 2)
+        ? statementType(tokens, index + 2, false)
+        : 'WAITFOR';
+    case 'SET':
+      return next?.type === 'variable' ? 'SET' : 'SET OPTION';
+    case 'BULK':
+      return 'BULK INSERT';
+    case 'UPDATE':
+      return upper(next) === 'STATISTICS' ? 'UPDATE STATISTICS' : 'UPDATE';
+    default:
+      return token.upper;
+  }
+}
+
+/**
+ * Whether an EXEC at tokens[index] runs SQL text or switches the security context
+ */
+function isDynamicExec(tokens, index) {
+  const following = tokens.slice(index + 1, index + 4);
+  return following[0]?.value === '('
+    || upper(following[0]) === 'AS'
+    || following.some(token => upper(token) === 'SP_EXECUTESQL');
+}
+
+/**
+ * The tables named at tokens[index], as in DROP TABLE a, b.c, skipping IF EXISTS
+ */
+function targetNames(tokens, index) {
+  let i = index;
+  if (upper(tokens[i]) === 'IF' && upper(tokens[i + 1]) === 'EXISTS') i += 2;
+
+  const names = [];
+  while (tokens[i] && tokens[i].type !== 'symbol') {
+    let name = tokens[i].value;
+    while (tokens[i + 1]?.value === '.' && tokens[i + 2]) {
+      name += `.${tokens[i + 2].value}`;
+      i += 2;
+    }
+    names.push(name);
+
+    if (tokens[i + 1]?.value !== ',') break;
+    i += 2;
+  }
+  return names;
+}
+
+/**
+ * Whether the tables named at tokens[index] are all temp tables
+ */
+function isTemporaryTarget(tokens, index) {
+  const names = targetNames(tokens, index);
+  return names.length > 0 && names.every(name => name.startsWith('#'));
+}
+
+/**
+ * The one table an INSERT, UPDATE, DELETE or MERGE at tokens[index] writes to, skipping TOP (n) and INTO or FROM
+ */
+function dmlTarget(tokens, index) {
+  let i = index + 1;
+  if (upper(tokens[i]) === 'TOP' && tokens[i + 1]?.value === '(') {
+    i = closingParen(tokens, i + 2) + 1;
+    if (upper(tokens[i]) === 'PERCENT') i++;
+  }
+  if (upper(tokens[i]) === 'INTO' || upper(tokens[i]) === 'FROM') i++;
+
+  const names = targetNames(tokens, i);
+  return names.length === 1 ? names[0] : null;
+}
+
+/**
+ * Whether a DML statement writes to its temp table only: no other table is
+ * aliased with the temp table's name, and OUTPUT ... INTO goes to temp tables too
+ */
+function writesTemporaryOnly(tokens, statement) {
+  const target = statement.target?.toLowerCase();
+  if (!target?.startsWith('#')) return false;
+
+  let outputSeen = false;
+  for (let i = statement.first + 1; i <= statement.last; i++) {
+    const token = tokens[i];
+    const prev = tokens[i - 1];
+
+    if (token.type !== 'word') continue;
+
+    if (token.value.toLowerCase() === target && prev.value !== '.') {
+      const aliasing = prev.type === 'identifier' || upper(prev) === 'AS'
+        || (prev.type === 'word' && !CLAUSE_WORDS.has(prev.upper) && !isStatementKeyword(tokens, i - 1));
+      if (aliasing) return false;
+    }
+
+    if (token.upper === 'OUTPUT') outputSeen = true;
+    if (token.upper === 'INTO' && outputSeen && !isTemporaryTarget(tokens, i + 1)) return false;
+  }
+  return true;
+}
+
+/**
+ * The session options a SET sets, as in SET NOCOUNT, XACT_ABORT ON
+ */
+function setOptions(tokens, index) {
+  const options = [];
+  for (let i = index + 1; tokens[i]?.type === 'word'; i += 2) {
+    options.push(tokens[i].upper);
+    if (tokens[i + 1]?.value !== ',') break;
+  }
+  return options;
+}
+
+/**
+ * Record what the opening words of a statement tell about it
+ */
+function markStart(statement, tokens, index) {
+  const next = upper(tokens[index + 1]);
+
+  switch (statement.type) {
+    case 'CREATE':
+    case 'ALTER': {
+      const object = next === 'OR' ? upper(tokens[index + 3]) : next;
+      statement.body = BODY_OBJECTS.has(object);
+      statement.temporary = object === 'TABLE' && isTemporaryTarget(tokens, index + 2);
+      break;
+    }
+    case 'DROP':
+      statement.temporary = next === 'TABLE' && isTemporaryTarget(tokens, index + 2);
+      break;
+    case 'EXEC':
+      statement.dynamicSql = isDynamicExec(tokens, index);
+      break;
+    case 'INSERT':
+    case 'UPDATE':
+    case 'DELETE':
+    case 'MERGE':
+      statement.target = dmlTarget(tokens, index);
+      break;
+    case 'SET OPTION':
+      statement.options = setOptions(tokens, index);
+      break;
+    default:
+      statement.permissions = PERMISSION_STATEMENTS.has(statement.type);
+  }
+}
+
+/**
+ * Whether a statement keyword continues the current statement
+ */
+function continuesStatement(current, tokens, index) {
+  const word = tokens[index].upper;
+  const previous = upper(tokens[index - 1]);
+  const next = tokens[index + 1];
+
+  if (word === 'EXEC' || word === 'EXECUTE') return false;
+  if (word === 'WITH') return current.type !== null && !CONTROL_FLOW.has(current.type);
+  if (word === 'SELECT' && SET_OPERATORS.has(previous)) return true;
+  // Cursor definitions: DECLARE c CURSOR FOR SELECT ... FOR UPDATE
+  if (previous === 'FOR' && DML.has(word)) return true;
+  if (word === 'FETCH' && (previous === 'ROW' || previous === 'ROWS')) return true;
+  // DROP TABLE IF EXISTS t, ALTER TABLE t DROP COLUMN IF EXISTS c
+  if (word === 'IF' && upper(next) === 'EXISTS' && tokens[index + 2]?.value !== '(') {
+    return current.type === 'DROP' || current.type === 'ALTER';
+  }
+
+  switch (current.type) {
+    case 'WITH':
+      return DML.has(word);
+    case 'INSERT':
+      return word === 'SELECT' && !current.sourceSeen;
+    case 'UPDATE':
+      return word === 'SET' && !current.setSeen;
+    case 'MERGE':
+      return (['INSERT', 'UPDATE', 'DELETE'].includes(word) && previous === 'THEN')
+        || (word === 'SET' && previous === 'UPDATE');
+    case 'CREATE':
+      return (['DELETE', 'UPDATE'].includes(word) && previous === 'ON')
+        || (word === 'SET' && ['DELETE', 'UPDATE'].includes(previous))
+        || (word === 'SELECT' && previous === 'AS');
+    case 'ALTER':
+      // ALTER TABLE t DROP COLUMN c, ALTER DATABASE d SET ..., but not DROP TABLE x or SET @x after it
+      return (['DROP', 'ALTER'].includes(word) && !STATEMENT_OBJECTS.has(upper(next)))
+        || (word === 'SET' && next?.type !== 'variable')
+        || (['DELETE', 'UPDATE'].includes(word) && previous === 'ON')
+        || (word === 'SELECT' && previous === 'AS');
+    case 'BULK INSERT':
+      return word === 'INSERT' && previous === 'BULK';
+    default:
+      return false;
+  }
+}
+
+/**
+ * Whether the token before tokens[index] ends an expression or a name,
+ * leaving the statement complete up to there
+ */
+function endsExpression(tokens, index) {
+  const prev = tokens[index - 1];
+  const before = tokens[index - 2];
+
+  if (!prev) return false;
+  if (prev.type === 'word') return !CLAUSE_WORDS.has(prev.upper) && !isStatementKeyword(tokens, index - 1);
+  if (prev.value === '*') return !before || upper(before) === 'SELECT' || ['.', ','].includes(before.value);
+  if (prev.value === ')') return true;
+  return ['identifier', 'string', 'number', 'variable'].includes(prev.type);
+}
+
+/**
+ * Whether tokens[index] follows the count of a TOP, as in TOP 5 or TOP (@n)
+ */
+function followsTop(tokens, index) {
+  let i = index - 1;
+  if (tokens[i]?.value === ')') {
+    while (i > 0 && !(tokens[i].value === '(' && tokens[i].depth === tokens[index].depth)) i--;
+  }
+  return upper(tokens[i - 1]) === 'TOP';
+}
+
+/**
+ * Whether the word at tokens[index] can only be the start of a statement the
+ * classifier does not know: it follows a complete expression, so it would be
+ * an alias, but an alias is not followed by another name
+ */
+function startsUnknownStatement(current, tokens, index) {
+  const token = tokens[index];
+  const next = tokens[index + 1];
+
+  if (!EXPRESSION_STATEMENTS.has(current.type) || CLAUSE_WORDS.has(token.upper) || isStatementKeyword(tokens, index)) return false;
+  if (!endsExpression(tokens, index) || followsTop(tokens, index)) return false;
+
+  if (next?.type === 'identifier') return true;
+  return next?.type === 'word' && !CLAUSE_WORDS.has(next.upper) && !isStatementKeyword(tokens, index + 1);
+}
+
+/**
+ * Whether DML or EXEC inside parentheses is a statement of its own
+ */
+function isNestedStatement(tokens, index) {
+  const prev = tokens[index - 1];
+  const word = tokens[index].upper;
+
+  if (prev?.value === '.') return false;
+  if (['ON', 'FOR'].includes(upper(prev))) return false;
+  // UPDATE(column) in a trigger body is a function
+  if (word === 'UPDATE' && tokens[index + 1]?.value === '(') return false;
+
+  return NESTED_KEYWORDS.has(word);
+}
+
+/**
+ * Index of the token closing the parentheses that tokens[index] sits in
+ */
+function closingParen(tokens, index) {
+  const depth = tokens[index].depth;
+  for (let i = index + 1; i < tokens.length; i++) {
+    if (tokens[i].value === ')' && tokens[i].depth < depth) {
+      return i;
+    }
+  }
+  return tokens.length;
+}
+
+/**
+ * Split a batch into classified statements
+ * @returns {Array} - [{ index, type, text, start, end, dynamicSql, temporary, nested, options }]; options are those of a SET OPTION
+ */
+export function classifyStatements(sql) {
+  const tokens = tokenize(sql);
+  const found = [];
+  let current = null;
+  let caseDepth = 0;
+
+  const finish = () => {
+    if (current?.target) {
+      current.temporary = writesTemporaryOnly(tokens, current);
+    }
+    if (current) found.push(current);
+    current = null;
+  };
+
+  const begin = (index, type) => {
+    current = {
+      type,
+      first: index,
+      last: index,
+      dynamicSql: false,
+      temporary: false,
+      nested: false,
+      // A procedure, function, trigger or view definition runs to the end of the batch
+      body: false,
+      // GRANT, REVOKE and DENY list statement keywords as permission names
+      permissions: false,
+      // The table DML writes to, and the session options a SET OPTION sets
+      target: null,
+      options: [],
+      sourceSeen: false,
+      setSeen: false
+    };
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const prev = tokens[i - 1];
+
+    if (token.type === 'symbol' && token.value === ';' && token.depth === 0 && !current?.body) {
+      finish();
+      continue;
+    }
+
+    if (!current) {
+      begin(i, token.type === 'word' ? statementType(tokens, i, found.length === 0) : null);
+      if (token.type === 'word') {
+        markStart(current, tokens, i);
+      }
+      continue;
+    }
+
+    current.last = i;
+
+    if (token.type !== 'word' || prev?.value === '.') {
+      continue;
+    }
+
+    const word = token.upper;
+
+    if (word === 'CASE') caseDepth++;
+    // END and ELSE of a CASE expression are not statements
+    if (caseDepth > 0 && (word === 'END' || word === 'ELSE')) {
+      if (word === 'END') caseDepth--;
+      continue;
+    }
+
+    if (DYNAMIC_SQL_FUNCTIONS.has(word)) {
+      current.dynamicSql = true;
+      continue;
+    }
+
+    if (current.type === null) {
+      // Statements opened by a parenthesis, as in (SELECT ...) UNION (SELECT ...)
+      current.type = statementType(tokens, i, false);
+      continue;
+    }
+
+    if (current.body) {
+      continue;
+    }
+
+    if (current.permissions) {
+      if (token.depth === 0 && ['ON', 'TO', 'FROM'].includes(word)) {
+        current.permissions = false;
+      }
+      continue;
+    }
+
+    if (token.depth > 0) {
+      if (isNestedStatement(tokens, i)) {
+        const end = closingParen(tokens, i);
+        found.push({
+          type: word === 'EXECUTE' ? 'EXEC' : word,
+          first: i,
+          last: end - 1,
+          dynamicSql: (word === 'EXEC' || word === 'EXECUTE') && isDynamicExec(tokens, i),
+          temporary: false,
+          nested: true,
+          options: []
+        });
+      }
+      continue;
+    }
+
+    if (isStatementKeyword(tokens, i) && !continuesStatement(current, tokens, i)) {
+      current.last = i - 1;
+      finish();
+      begin(i, statementType(tokens, i, false));
+      markStart(current, tokens, i);
+      continue;
+    }
+
+    if (startsUnknownStatement(current, tokens, i)) {
+      current.last = i - 1;
+      finish();
+      begin(i, 'UNKNOWN');
+      continue;
+    }
+
+    // Words that shape the current statement
+    if (current.type === 'WITH' && DML.has(word)) {
+      current.type = word;
+      current.target = word === 'SELECT' ? null : dmlTarget(tokens, i);
+    } else if (current.type === 'INSERT' && (word === 'SELECT' || word === 'VALUES' || word === 'DEFAULT')) {
+      current.sourceSeen = true;
+    } else if (current.type === 'UPDATE' && word === 'SET') {
+      current.setSeen = true;
+    } else if (current.type === 'SELECT' && word === 'INTO') {
+      current.type = 'SELECT INTO';
+      current.temporary = isTemporaryTarget(tokens, i + 1);
+    }
+  }
+
+  finish();
+
+  return found
+    .sort((a, b) => a.first - b.first)
+    .map(({ type, first, last, dynamicSql, temporary, nested, options }, index) => {
+      const start = tokens[first].start;
+      const end = tokens[Math.max(first, last)].end;
+      return {
+        index,
+        type: type || 'UNKNOWN',
+        text: sql.slice(start, end),
+        start,
+        end,
+        dynamicSql,
+        temporary,
+        nested,
+        options
+      };
+    });
+}
@@ -0,0 +1,140 @@
+/**
+ * Lightweight T-SQL tokenizer
+ *
+ * Produces the tokens of a batch with comments and whitespace dropped, so
+ * keywords inside string literals, comments and delimited identifiers are
+ * never mistaken for SQL. Each token records its position in the source and
+ * its parenthesis depth, which is enough to find clause boundaries without a
+ * full parser.
+ *
+ * Token types: word, identifier ([x] or "x"), string, number, variable (@x),
+ * symbol. Words also carry `upper` for case-insensitive keyword checks.
+ */
+
+const WORD_START = /[A-Za-z_#$\u0080-\uFFFF]/;
+const WORD_PART = /[A-Za-z0-9_#$@\u0080-\uFFFF]/;
+
+/**
+ * Find the end of a delimited run ('...', [...], "...") where the closing
+ * delimiter is escaped by doubling it
+ */
+function readDelimited(sql, start, close) {
+  let i = start + 1;
+  while (i < sql.length) {
+    if (sql[i] === close) {
+      if (sql[i + 1] === close) {
+        i += 2;
+        continue;
+      }
+      return i + 1;
+    }
+    i++;
+  }
+  return sql.length;
+}
+
+/**
+ * Tokenize a batch
+ * @returns {Array} - [{ type, value, upper, start, end, depth }]
+ */
+export function tokenize(sql) {
+  const tokens = [];
+  let depth = 0;
+  let i = 0;
+
+  const push = (type, start, end) => {
+    const value = sql.slice(start, end);
+    tokens.push({
+      type,
+      value,
+      upper: type === 'word' ? value.toUpperCase() : null,
+      start,
+      end,
+      depth
+    });
+  };
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const next = sql[i + 1];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '-' && next === '-') {
+      const lineEnd = sql.indexOf('\n', i);
+      i = lineEnd === -1 ? sql.length : lineEnd + 1;
+    } else if (char === '/' && next === '*') {
+      // Block comments nest in T-SQL
+      let nesting = 1;
+      i += 2;
+      while (i < sql.length && nesting > 0) {
+        if (sql[i] === '/' && sql[i + 1] === '*') {
+          nesting++;
+          i += 2;
+        } else if (sql[i] === '*' && sql[i + 1] === '/') {
+          nesting--;
+          i += 2;
+        } else {
+          i++;
+        }
+      }
+    } else if (char === "'" || ((char === 'N' || char === 'n') && next === "'")) {
+      const quote = char === "'" ? i : i + 1;
+      const end = readDelimited(sql, quote, "'");
+      push('string', i, end);
+      i = end;
+    } else if (char === '[') {
+      const end = readDelimited(sql, i, ']');
+      push('identifier', i, end);
+      i = end;
+    } else if (char === '"') {
+      const end = readDelimited(sql, i, '"');
+      push('identifier', i, end);
+      i = end;
+    } else if (char === '@') {
+      let end = i + 1;
+      while (end < sql.length && WORD_PART.test(sql[end])) end++;
+      push('variable', i, end);
+      i = end;
+    } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(next || ''))) {
+      let end = i + 1;
+      while (end < sql.length && /[0-9.eE]/.test(sql[end])) end++;
+      push('number', i, end);
+      i = end;
+    } else if (WORD_START.test(char)) {
+      let end = i + 1;
+      while (end < sql.length && WORD_PART.test(sql[end])) end++;
+      push('word', i, end);
+      i = end;
+    } else {
+      if (char === ')') depth = Math.max(0, depth - 1);
+      push('symbol', i, i + 1);
+      if (char === '(') depth++;
+      i++;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Split tokens into statements at top-level semicolons
+ * @returns {Array} - Arrays of tokens, without the semicolons
+ */
+export function splitStatements(tokens) {
+  const statements = [];
+  let current = [];
+
+  for (const token of tokens) {
+    if (token.type === 'symbol' && token.value === ';' && token.depth === 0) {
+      if (current.length > 0) statements.push(current);
+      current = [];
+    } else {
+      current.push(token);
+    }
+  }
+
+  if (current.length > 0) statements.push(current);
+
+  return statements;
+}
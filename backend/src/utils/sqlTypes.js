@@ -0,0 +1,29 @@
+/**
+ * Declared type of a column or parameter as the catalog describes it
+ *
+ * Catalog rows carry the type name with its max_length, precision and scale;
+ * this puts them back together the way the type would be written, e.g.
+ * nvarchar(50), varchar(max) or decimal(18, 2). max_length counts bytes, so
+ * Unicode types are halved.
+ */
+export function formatSqlType({ type_name: type, max_length: maxLength, precision, scale }) {
+  switch (type) {
+    case 'char':
+    case 'varchar':
+    case 'binary':
+    case 'varbinary':
+      return `${type}(${maxLength === -1 ? 'max' : maxLength})`;
+    case 'nchar':
+    case 'nvarchar':
+      return `${type}(${maxLength === -1 ? 'max' : maxLength / 2})`;
+    case 'decimal':
+    case 'numeric':
+      return `${type}(${precision}, ${scale})`;
+    case 'datetime2':
+    case 'datetimeoffset':
+    case 'time':
+      return `${type}(${scale})`;
+    default:
+      return type;
+  }
+}
@@ -0,0 +1,135 @@
+import { isSupportedSqlType } from './sqlParameters.js';
+
+/**
+ * Table browser queries
+ *
+ * Turns the filters, sort order and page picked in the table browser into
+ * a SELECT with OFFSET/FETCH and a COUNT over the same filters. Column names
+ * are checked against the table's columns and bracket-quoted; every value is
+ * a typed parameter, declared with the column's own type so comparisons can
+ * use its indexes. Pages are ordered by the primary key after the chosen
+ * sort, so paging is stable even when the sorted values repeat.
+ */
+
+// operator -> how it compares; 'list' takes values, 'none' takes no value
+export const BROWSE_OPERATORS = {
+  eq: { sql: '=', value: 'single' },
+  ne: { sql: '<>', value: 'single' },
+  lt: { sql: '<', value: 'single' },
+  le: { sql: '<=', value: 'single' },
+  gt: { sql: '>', value: 'single' },
+  ge: { sql: '>=', value: 'single' },
+  contains: { sql: 'LIKE', value: 'single', pattern: value => `%${escapeLike(value)}%` },
+  startsWith: { sql: 'LIKE', value: 'single', pattern: value => `${escapeLike(value)}%` },
+  endsWith: { sql: 'LIKE', value: 'single', pattern: value => `%${escapeLike(value)}` },
+  in: { sql: 'IN', value: 'list' },
+  notIn: { sql: 'NOT IN', value: 'list' },
+  isNull: { sql: 'IS NULL', value: 'none' },
+  isNotNull: { sql: 'IS NOT NULL', value: 'none' }
+};
+
+// Where the row count is among the result sets of a browse query
+export const BROWSE_COUNT_RESULT_SET = { batch: 0, resultSet: 1 };
+
+const quoteName = (name) => `[${name.replace(/]/g, ']]')}]`;
+
+// LIKE wildcards in a value match themselves
+const escapeLike = (value) => String(value).replace(/[[%_]/g, '[$&]');
+
+function browseError(message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+}
+
+/**
+ * Parameter type to compare a column with; LIKE patterns are text whatever the column is
+ */
+function parameterType(column, operator) {
+  if (operator.pattern) {
+    return /^(var)?char|^text/.test(column.type) ? 'varchar(8000)' : 'nvarchar(4000)';
+  }
+
+  if (!isSupportedSqlType(column.type)) {
+    throw browseError(`Column ${column.name} (${column.type}) can only be filtered with contains, starts with, ends with or null checks`);
+  }
+
+  return column.type;
+}
+
+/**
+ * Build the page and count statements
+ * @param {object} table - { schema, name, columns: [{ name, type }], primaryKey: { columns } | null }
+ * @param {Array} filters - [{ column, operator, value, values }], combined with AND
+ * @param {Array} sort - [{ column, direction }]
+ * @returns {object} - { sql, parameters: [{ name, type, value }] }
+ */
+export function buildBrowseQuery(table, { filters = [], sort = [], offset = 0, limit }) {
+  const columns = new Map(table.columns.map(column => [column.name.toLowerCase(), column]));
+  const findColumn = (name) => {
+    const column = columns.get(name.toLowerCase());
+    if (!column) {
+      throw browseError(`Unknown column: ${name}`);
+    }
+    return column;
+  };
+
+  const parameters = [];
+  const addParameter = (type, value) => {
+    const name = `p${parameters.length}`;
+    parameters.push({ name, type, value });
+    return `@${name}`;
+  };
+
+  const conditions = filters.map(filter => {
+    const column = findColumn(filter.column);
+    const operator = BROWSE_OPERATORS[filter.operator];
+    const target = quoteName(column.name);
+
+    if (operator.value === 'none') {
+      return `${target} ${operator.sql}`;
+    }
+
+    const type = parameterType(column, operator);
+
+    if (operator.value === 'list') {
+      if (!filter.values?.length) {
+        throw browseError(`Filter on ${column.name} needs at least one value`);
+      }
+      return `${target} ${operator.sql} (${filter.values.map(value => addParameter(type, value)).join(', ')})`;
+    }
+
+    if (filter.value === null || filter.value === undefined) {
+      throw browseError(`Filter on ${column.name} needs a value; use is null to find missing values`);
+    }
+
+    const value = operator.pattern ? operator.pattern(filter.value) : filter.value;
+    return `${target} ${operator.sql} ${addParameter(type, value)}`;
+  });
+
+  const order = sort.map(entry => ({ column: findColumn(entry.column).name, direction: entry.direction }));
+  for (const name of table.primaryKey?.columns || []) {
+    if (!order.some(entry => entry.column === name)) {
+      order.push({ column: name, direction: 'ASC' });
+    }
+  }
+
+  const from = `FROM ${quoteName(table.schema)}.${quoteName(table.name)}`;
+  const where = conditions.length > 0 ? `\nWHERE ${conditions.join('\n  AND ')}` : '';
+  // OFFSET needs an ORDER BY; without a key or a sort the order is whatever the server picks
+  const orderBy = order.length > 0
+    ? order.map(entry => `${quoteName(entry.column)} ${entry.direction}`).join(', ')
+    : '(SELECT NULL)';
+
+  const sql = [
+    `SELECT ${table.columns.map(column => quoteName(column.name)).join(', ')}`,
+    `${from}${where}`,
+    `ORDER BY ${orderBy}`,
+    `OFFSET ${addParameter('int', offset)} ROWS FETCH NEXT ${addParameter('int', limit)} ROWS ONLY;`,
+    '',
+    `SELECT COUNT_BIG(*) AS total`,
+    `${from}${where};`
+  ].join('\n');
+
+  return { sql, parameters };
+}
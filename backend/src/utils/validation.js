@@ -1,5 +1,10 @@
 import { z } from 'zod';
-import { ROLES } from '../config/roles.js';
+import { ROLE_NAME_PATTERN } from '../config/roles.js';
+import { isSupportedSqlType } from './sqlParameters.js';
+import { BROWSE_OPERATORS } from './tableBrowse.js';
+
+// Role names are checked against the roles table by the routes that take them
+const roleName = z.string().regex(ROLE_NAME_PATTERN, 'Role names are 2-32 upper case letters, digits and underscores');
 
 // User validation schemas
 export const loginSchema = z.object({
@@ -11,16 +16,45 @@ export const createUserSchema = z.object({
   username: z.string().min(3).max(50),
   password: z.string().min(8).max(100),
   email: z.string().email().optional(),
-  role: z.enum([ROLES.VIEWER, ROLES.ANALYST, ROLES.DEVELOPER, ROLES.ADMIN]),
+  role: roleName,
   isActive: z.boolean().default(true)
 });
 
+// Quota limits per period; a metric left out is unlimited for a role and the role's for a user
+const quotaLimit = z.number().int().min(0).nullable().optional();
+const quotaLimitsSchema = z.object({
+  executions: quotaLimit,
+  rows: quotaLimit,
+  executionTimeMs: quotaLimit
+});
+const quotasSchema = z.object({
+  daily: quotaLimitsSchema.default({}),
+  monthly: quotaLimitsSchema.default({})
+});
+
 export const updateUserSchema = z.object({
   username: z.string().min(3).max(50).optional(),
   password: z.string().min(8).max(100).optional(),
   email: z.string().email().optional(),
-  role: z.enum([ROLES.VIEWER, ROLES.ANALYST, ROLES.DEVELOPER, ROLES.ADMIN]).optional(),
-  isActive: z.boolean().optional()
+  role: roleName.optional(),
+  isActive: z.boolean().optional(),
+  // Overrides of the role's quotas; null goes back to the role's
+  quotas: quotasSchema.nullable().optional()
+});
+
+// Temporary quota increase, added to the user's limits until it expires
+const quotaIncrease = z.number().int().positive().optional();
+export const quotaGrantSchema = z.object({
+  period: z.enum(['daily', 'monthly']),
+  executions: quotaIncrease,
+  rows: quotaIncrease,
+  executionTimeMs: quotaIncrease,
+  reason: z.string().max(500).optional(),
+  expiresAt: z.string().datetime().refine(value => new Date(value) > new Date(), {
+    message: 'Expiry must be in the future'
+  })
+}).refine(data => data.executions || data.rows || data.executionTimeMs, {
+  message: 'Grant at least one of executions, rows or executionTimeMs'
 });
 
 // SQL Server connection validation
@@ -34,14 +68,184 @@ export const connectionSchema = z.object({
   encrypt: z.boolean().default(true),
   trustServerCertificate: z.boolean().default(false),
   connectionTimeout: z.number().int().min(1000).max(60000).default(30000),
-  requestTimeout: z.number().int().min(1000).max(600000).default(30000)
+  requestTimeout: z.number().int().min(1000).max(600000).default(30000),
+  // Write and DDL statements on the connection only run once a request for them is approved
+  requiresApproval: z.boolean().default(false),
+  // Queries running on the connection at once, across users; more wait in the queue
+  maxConcurrentQueries: z.number().int().min(1).max(1000).nullable().default(null)
+});
+
+// Connection grant to a user (by id) or a role, optionally under another role there
+export const connectionGrantSchema = z.object({
+  granteeType: z.enum(['USER', 'ROLE']),
+  grantee: z.string().min(1),
+  roleOverride: roleName.nullable().optional()
+}).refine(grant => grant.granteeType === 'USER' || ROLE_NAME_PATTERN.test(grant.grantee), {
+  message: 'Role grants must name a role',
+  path: ['grantee']
+});
+
+export const updateConnectionGrantSchema = z.object({
+  roleOverride: roleName.nullable()
+});
+
+// Object access policy; schema policies name no object
+export const objectPolicySchema = z.object({
+  connectionId: z.string().min(1),
+  role: roleName,
+  objectType: z.enum(['SCHEMA', 'TABLE', 'VIEW', 'PROCEDURE']),
+  schemaName: z.string().min(1).max(128),
+  objectName: z.string().min(1).max(128).nullable().optional(),
+  effect: z.enum(['ALLOW', 'DENY'])
+}).refine(policy => policy.objectType === 'SCHEMA' || policy.objectName, {
+  message: 'An object name is required unless the policy covers a whole schema',
+  path: ['objectName']
+});
+
+// Masking rule: a column name pattern, or schema.table.column
+export const maskingRuleSchema = z.object({
+  connectionId: z.string().min(1),
+  matchType: z.enum(['PATTERN', 'COLUMN']),
+  pattern: z.string().min(1).max(400),
+  strategy: z.enum(['FULL', 'PARTIAL', 'HASH', 'NULL']),
+  exemptRoles: z.array(roleName).default([])
+}).refine(rule => rule.matchType === 'PATTERN'
+  ? /^[^.]+$/.test(rule.pattern)
+  : /^[^.]+\.[^.]+\.[^.]+$/.test(rule.pattern), {
+  message: 'Patterns match column names (wildcards * and ?); column rules are written schema.table.column',
+  path: ['pattern']
+});
+
+// Role permissions; settings left out take the VIEWER defaults
+const rolePermissionsSchema = z.object({
+  allowedStatements: z.array(z.string().regex(/^(\*|[A-Z]+( [A-Z]+)*)$/, 'Statement types are upper case words, or * for all')).default([]),
+  allowedProcedures: z.array(z.string().min(1).max(300)).default([]),
+  maxRows: z.number().int().min(1).max(1000000),
+  maxCachedRows: z.number().int().min(0).max(10000000).optional(),
+  resultCacheTtlMs: z.number().int().min(0).max(24 * 60 * 60 * 1000).optional(),
+  queryTimeoutMs: z.number().int().min(1000).max(3600000),
+  maxConcurrentQueries: z.number().int().min(1).max(1000).nullable().optional(),
+  maxConcurrentRoleQueries: z.number().int().min(1).max(10000).nullable().optional(),
+  maxEstimatedCost: z.number().positive().nullable().optional(),
+  maxEstimatedRows: z.number().int().positive().nullable().optional(),
+  canConfirmExpensiveQueries: z.boolean().default(false),
+  canCancelQueries: z.boolean().default(true),
+  canViewHistory: z.boolean().default(true),
+  canApproveQueries: z.boolean().default(false),
+  canManageUsers: z.boolean().default(false),
+  canManageConnections: z.boolean().default(false),
+  quotas: quotasSchema.default({})
+});
+
+export const roleSchema = z.object({
+  name: roleName,
+  description: z.string().max(500).nullable().optional(),
+  permissions: rolePermissionsSchema
+});
+
+export const updateRoleSchema = z.object({
+  description: z.string().max(500).nullable().optional(),
+  permissions: rolePermissionsSchema.optional()
+});
+
+// Typed query parameter, bound with request.input()
+export const queryParameterSchema = z.object({
+  name: z.string().regex(/^@?[A-Za-z_][A-Za-z0-9_]*$/, 'Invalid parameter name').max(128),
+  type: z.string().min(1).max(50).refine(isSupportedSqlType, {
+    message: 'Unsupported or invalid SQL type declaration'
+  }),
+  value: z.union([z.string(), z.number(), z.boolean(), z.null()])
 });
 
 // Query execution validation
 export const executeQuerySchema = z.object({
   connectionId: z.string().uuid(),
   sql: z.string().min(1).max(1000000), // 1MB max query size
-  parameters: z.array(z.any()).optional()
+  parameters: z.array(queryParameterSchema).max(100).optional(),
+  sessionId: z.string().uuid().optional(),
+  plan: z.enum(['estimated', 'actual']).optional(),
+  // Run a query the cost guard flagged as expensive, for roles allowed to confirm
+  confirmExpensive: z.boolean().optional()
+});
+
+// Approval request: a script to run once someone else approves it
+export const approvalRequestSchema = z.object({
+  connectionId: z.string().uuid(),
+  sql: z.string().min(1).max(1000000),
+  parameters: z.array(queryParameterSchema).max(100).optional(),
+  justification: z.string().trim().min(10).max(2000)
+});
+
+// Approval decision; rejections must say why
+export const approvalReviewSchema = z.object({
+  comment: z.string().trim().max(2000).optional()
+});
+
+export const approvalRejectSchema = z.object({
+  comment: z.string().trim().min(1).max(2000)
+});
+
+// Approval request list filter validation
+export const approvalListSchema = z.object({
+  status: z.enum(['pending', 'approved', 'rejected', 'cancelled', 'executed', 'failed']).optional(),
+  mine: z.enum(['true', 'false']).optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(50),
+  offset: z.coerce.number().int().min(0).default(0)
+});
+
+// Query session validation
+export const openSessionSchema = z.object({
+  connectionId: z.string().uuid()
+});
+
+// Table browser request: filters, sort and page picked in the UI
+const browseValue = z.union([z.string().max(4000), z.number(), z.boolean()]);
+
+export const browseTableSchema = z.object({
+  connectionId: z.string().uuid(),
+  schema: z.string().min(1).max(128),
+  table: z.string().min(1).max(128),
+  filters: z.array(z.object({
+    column: z.string().min(1).max(128),
+    operator: z.enum(Object.keys(BROWSE_OPERATORS)),
+    value: browseValue.nullable().optional(),
+    values: z.array(browseValue).max(100).optional()
+  })).max(20).default([]),
+  sort: z.array(z.object({
+    column: z.string().min(1).max(128),
+    direction: z.enum(['ASC', 'DESC']).default('ASC')
+  })).max(5).default([]),
+  offset: z.number().int().min(0).default(0),
+  limit: z.number().int().min(1).max(1000).default(100),
+  confirmExpensive: z.boolean().optional()
+});
+
+// Row edits from a result grid; values are checked against the column types when the statements are built
+const rowValues = z.record(z.union([z.string().max(100000), z.number(), z.boolean(), z.null(), z.object({}).passthrough()]));
+
+export const editTargetSchema = z.object({
+  connectionId: z.string().uuid(),
+  sql: z.string().min(1).max(1000000),
+  batch: z.number().int().min(0).default(0),
+  columns: z.array(z.string().min(1).max(128)).min(1).max(1024)
+});
+
+export const rowEditsSchema = z.object({
+  connectionId: z.string().uuid(),
+  schema: z.string().min(1).max(128),
+  table: z.string().min(1).max(128),
+  changes: z.array(z.discriminatedUnion('type', [
+    z.object({ type: z.literal('update'), original: rowValues, values: rowValues }),
+    z.object({ type: z.literal('insert'), values: rowValues }),
+    z.object({ type: z.literal('delete'), original: rowValues })
+  ])).min(1).max(500)
+});
+
+// Result page request validation
+export const resultRowsSchema = z.object({
+  resultSet: z.coerce.number().int().min(0).default(0),
+  offset: z.coerce.number().int().min(0).default(0),
+  limit: z.coerce.number().int().min(1).max(50000).optional()
 });
 
 // Query history filter validation
@@ -0,0 +1,23 @@
+module.exports = {
+  root: true,
+  extends: 'eslint:recommended',
+  env: {
+    browser: true,
+    es2022: true
+  },
+  rules: {
+    // Stream readers loop until the reader reports it is done
+    'no-constant-condition': ['error', { checkLoops: false }]
+  },
+  parserOptions: {
+    ecmaVersion: 2022,
+    sourceType: 'module'
+  },
+  ignorePatterns: ['.svelte-kit/', 'build/'],
+  overrides: [
+    {
+      files: ['*.config.js'],
+      env: { node: true }
+    }
+  ]
+};
@@ -0,0 +1,58 @@
+import { writable } from 'svelte/store';
+import { connectionApi } from '$utils/api';
+
+// How long a connection's catalog is reused before the server is asked whether it changed
+const METADATA_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Catalog metadata per connection: schemas with their objects, columns and
+ * parameters, shared by the object tree and editor completion. Each
+ * connection's catalog is fetched once; after it expires or is refreshed it
+ * is requested again with its ETag, so an unchanged catalog is not sent
+ * twice. A refresh also makes the server check for changes right away. The
+ * store's value counts refreshes so subscribers know to load it again.
+ */
+function createSchemaMetadataStore() {
+  const { subscribe, update } = writable(0);
+  // connectionId -> { promise, loadedAt, data, refresh }
+  const cache = new Map();
+
+  return {
+    subscribe,
+    load: (connectionId) => {
+      const entry = cache.get(connectionId);
+      if (entry?.promise && Date.now() - entry.loadedAt < METADATA_TTL_MS) {
+        return entry.promise;
+      }
+
+      const previous = entry?.data || null;
+      const promise = connectionApi
+        .getSchema(connectionId, { columns: true, refresh: entry?.refresh, etag: previous?.etag })
+        .then(data => data || previous);
+      cache.set(connectionId, { promise, loadedAt: Date.now(), data: previous });
+
+      promise.then(
+        (data) => {
+          if (cache.get(connectionId)?.promise === promise) {
+            cache.get(connectionId).data = data;
+          }
+        },
+        // A failed load is not kept, so the next one tries again
+        () => {
+          if (cache.get(connectionId)?.promise === promise) {
+            cache.set(connectionId, { data: previous });
+          }
+        }
+      );
+
+      return promise;
+    },
+    refresh: (connectionId) => {
+      const entry = cache.get(connectionId);
+      cache.set(connectionId, { data: entry?.data || null, refresh: true });
+      update(version => version + 1);
+    }
+  };
+}
+
+export const schemaMetadata = createSchemaMetadataStore();
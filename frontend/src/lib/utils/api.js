@@ -33,6 +33,11 @@ export async function apiRequest(endpoint, options = {}) {
       throw new Error('Session expired. Please login again.');
     }
 
+    // Not modified: the caller keeps what it has
+    if (response.status === 304) {
+      return null;
+    }
+
     // Handle non-JSON responses
     const contentType = response.headers.get('content-type');
     if (!contentType || !contentType.includes('application/json')) {
@@ -45,7 +50,10 @@ export async function apiRequest(endpoint, options = {}) {
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.error || data.message || 'Request failed');
+      const error = new Error(data.error || data.message || 'Request failed');
+      error.status = response.status;
+      error.details = data.details;
+      throw error;
     }
 
     return data;
@@ -55,6 +63,135 @@ export async function apiRequest(endpoint, options = {}) {
   }
 }
 
+/**
+ * Make an authenticated request whose response is newline-delimited JSON,
+ * calling onEvent for every line as it arrives
+ */
+export async function apiStream(endpoint, options = {}, onEvent) {
+  const authState = get(auth);
+  const url = `${API_URL}${endpoint}`;
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'Accept': 'application/x-ndjson',
+    ...options.headers
+  };
+
+  if (authState.token) {
+    headers['Authorization'] = `Bearer ${authState.token}`;
+  }
+
+  const response = await fetch(url, {
+    ...options,
+    headers
+  });
+
+  if (response.status === 401) {
+    auth.logout();
+    goto('/login');
+    throw new Error('Session expired. Please login again.');
+  }
+
+  // Errors raised before streaming starts come back as a regular JSON body
+  const contentType = response.headers.get('content-type') || '';
+  if (!contentType.includes('application/x-ndjson')) {
+    const data = contentType.includes('application/json') ? await response.json() : null;
+    if (!response.ok) {
+      const error = new Error(data?.error || data?.message || `HTTP ${response.status}: ${response.statusText}`);
+      error.status = response.status;
+      error.details = data?.details;
+      throw error;
+    }
+    return data;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, newlineIndex).trim();
+      buffer = buffer.slice(newlineIndex + 1);
+      if (line) {
+        onEvent(JSON.parse(line));
+      }
+    }
+  }
+
+  if (buffer.trim()) {
+    onEvent(JSON.parse(buffer));
+  }
+
+  return null;
+}
+
+// Live query channel: one WebSocket shared by all queries of the page
+let querySocket = null;
+let querySocketReady = null;
+// requestId -> onEvent
+const querySocketListeners = new Map();
+let nextRequestId = 1;
+
+/**
+ * Open (or reuse) the authenticated query WebSocket
+ */
+function connectQuerySocket() {
+  if (querySocketReady) {
+    return querySocketReady;
+  }
+
+  const url = `${API_URL.replace(/^http/, 'ws')}/api/query/ws`;
+
+  querySocketReady = new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+
+    ws.onopen = () => {
+      ws.send(JSON.stringify({ type: 'auth', token: get(auth).token }));
+    };
+
+    ws.onmessage = (message) => {
+      const event = JSON.parse(message.data);
+
+      if (event.type === 'ready') {
+        querySocket = ws;
+        resolve(ws);
+        return;
+      }
+
+      const listener = querySocketListeners.get(event.requestId);
+      if (listener) {
+        listener(event);
+      }
+    };
+
+    ws.onclose = (event) => {
+      querySocket = null;
+      querySocketReady = null;
+
+      if (event.code === 4401) {
+        auth.logout();
+        goto('/login');
+      }
+
+      reject(new Error('Query connection closed'));
+
+      for (const listener of querySocketListeners.values()) {
+        listener({ type: 'error', error: 'Query Error', message: 'Connection to the server was lost' });
+      }
+      querySocketListeners.clear();
+    };
+  });
+
+  return querySocketReady;
+}
+
 /**
  * Auth API
  */
@@ -94,6 +231,22 @@ export const connectionApi = {
 
   get: async (id) => {
     return apiRequest(`/api/connections/${id}`);
+  },
+
+  // Resolves to null when etag is still current
+  getSchema: async (id, { columns = false, refresh = false, etag = null } = {}) => {
+    const params = new URLSearchParams();
+    if (columns) params.append('columns', 'true');
+    if (refresh) params.append('refresh', 'true');
+
+    const query = params.toString();
+    return apiRequest(`/api/connections/${id}/schema${query ? `?${query}` : ''}`, {
+      headers: etag ? { 'If-None-Match': etag } : {}
+    });
+  },
+
+  describeObject: async (id, schema, name) => {
+    return apiRequest(`/api/connections/${id}/schema/${encodeURIComponent(schema)}/${encodeURIComponent(name)}`);
   }
 };
 
@@ -101,13 +254,125 @@ export const connectionApi = {
  * Query API
  */
 export const queryApi = {
-  execute: async (connectionId, sql) => {
+  // options: { sessionId, plan: 'estimated' | 'actual', confirmExpensive }
+  execute: async (connectionId, sql, parameters = [], options = {}) => {
     return apiRequest('/api/query/execute', {
       method: 'POST',
-      body: JSON.stringify({ connectionId, sql })
+      body: JSON.stringify({ connectionId, sql, parameters, ...options })
+    });
+  },
+
+  executeStream: async (connectionId, sql, parameters = [], onEvent, options = {}) => {
+    return apiStream('/api/query/execute', {
+      method: 'POST',
+      body: JSON.stringify({ connectionId, sql, parameters, ...options })
+    }, onEvent);
+  },
+
+  /**
+   * Execute over the live query channel. Events are the same as for
+   * executeStream plus 'progress'; falls back to executeStream when the
+   * WebSocket cannot be opened.
+   */
+  executeLive: async (connectionId, sql, parameters = [], onEvent, options = {}) => {
+    let ws;
+    try {
+      ws = await connectQuerySocket();
+    } catch (error) {
+      return queryApi.executeStream(connectionId, sql, parameters, onEvent, options);
+    }
+
+    const requestId = String(nextRequestId++);
+
+    return new Promise((resolve) => {
+      querySocketListeners.set(requestId, (event) => {
+        onEvent(event);
+        if (event.type === 'done' || event.type === 'error') {
+          querySocketListeners.delete(requestId);
+          resolve(null);
+        }
+      });
+
+      ws.send(JSON.stringify({ type: 'execute', requestId, connectionId, sql, parameters, ...options }));
     });
   },
 
+  /**
+   * Cancel a running query over the live channel when it is open
+   */
+  cancelLive: async (queryId) => {
+    if (!querySocket) {
+      return queryApi.cancel(queryId);
+    }
+    querySocket.send(JSON.stringify({ type: 'cancel', queryId }));
+    return null;
+  },
+
+  dryRun: async (connectionId, sql, parameters = [], options = {}) => {
+    return apiRequest('/api/query/dry-run', {
+      method: 'POST',
+      body: JSON.stringify({ connectionId, sql, parameters, ...options })
+    });
+  },
+
+  // options: { filters, sort, offset, limit, confirmExpensive }
+  browse: async (connectionId, schema, table, options = {}) => {
+    return apiRequest('/api/query/browse', {
+      method: 'POST',
+      body: JSON.stringify({ connectionId, schema, table, ...options })
+    });
+  },
+
+  // Whether the result set returned by a batch of sql can be edited in the grid
+  editTarget: async (connectionId, sql, batch, columns) => {
+    return apiRequest('/api/query/edit/target', {
+      method: 'POST',
+      body: JSON.stringify({ connectionId, sql, batch, columns })
+    });
+  },
+
+  // changes: [{ type: 'update', original, values } | { type: 'insert', values } | { type: 'delete', original }]
+  previewEdits: async (connectionId, schema, table, changes) => {
+    return apiRequest('/api/query/edit/preview', {
+      method: 'POST',
+      body: JSON.stringify({ connectionId, schema, table, changes })
+    });
+  },
+
+  applyEdits: async (connectionId, schema, table, changes) => {
+    return apiRequest('/api/query/edit/apply', {
+      method: 'POST',
+      body: JSON.stringify({ connectionId, schema, table, changes })
+    });
+  },
+
+  submitJob: async (connectionId, sql, parameters = [], options = {}) => {
+    return apiRequest('/api/query/jobs', {
+      method: 'POST',
+      body: JSON.stringify({ connectionId, sql, parameters, ...options })
+    });
+  },
+
+  listJobs: async () => {
+    return apiRequest('/api/query/jobs');
+  },
+
+  getJob: async (id) => {
+    return apiRequest(`/api/query/jobs/${id}`);
+  },
+
+  cancelJob: async (id) => {
+    return apiRequest(`/api/query/jobs/${id}`, {
+      method: 'DELETE'
+    });
+  },
+
+  getRows: async (queryId, { resultSet = 0, offset = 0, limit } = {}) => {
+    const queryParams = new URLSearchParams({ resultSet, offset });
+    if (limit) queryParams.set('limit', limit);
+    return apiRequest(`/api/query/${queryId}/rows?${queryParams}`);
+  },
+
   cancel: async (queryId) => {
     return apiRequest(`/api/query/cancel/${queryId}`, {
       method: 'POST'
@@ -129,6 +394,91 @@ export const queryApi = {
 
   getStats: async (days = 30) => {
     return apiRequest(`/api/query/stats?days=${days}`);
+  },
+
+  getQuota: async () => {
+    return apiRequest('/api/query/quota');
+  }
+};
+
+/**
+ * Query session API
+ */
+export const sessionApi = {
+  open: async (connectionId) => {
+    return apiRequest('/api/query/sessions', {
+      method: 'POST',
+      body: JSON.stringify({ connectionId })
+    });
+  },
+
+  get: async (id) => {
+    return apiRequest(`/api/query/sessions/${id}`);
+  },
+
+  begin: async (id) => {
+    return apiRequest(`/api/query/sessions/${id}/begin`, {
+      method: 'POST'
+    });
+  },
+
+  commit: async (id) => {
+    return apiRequest(`/api/query/sessions/${id}/commit`, {
+      method: 'POST'
+    });
+  },
+
+  rollback: async (id) => {
+    return apiRequest(`/api/query/sessions/${id}/rollback`, {
+      method: 'POST'
+    });
+  },
+
+  close: async (id) => {
+    return apiRequest(`/api/query/sessions/${id}`, {
+      method: 'DELETE'
+    });
+  }
+};
+
+/**
+ * Approval request API
+ */
+export const approvalApi = {
+  list: async (params = {}) => {
+    const queryParams = new URLSearchParams(params);
+    return apiRequest(`/api/approvals?${queryParams}`);
+  },
+
+  get: async (id) => {
+    return apiRequest(`/api/approvals/${id}`);
+  },
+
+  submit: async (connectionId, sql, parameters, justification) => {
+    return apiRequest('/api/approvals', {
+      method: 'POST',
+      body: JSON.stringify({ connectionId, sql, parameters, justification })
+    });
+  },
+
+  approve: async (id, comment) => {
+    return apiRequest(`/api/approvals/${id}/approve`, {
+      method: 'POST',
+      body: JSON.stringify({ comment: comment || undefined })
+    });
+  },
+
+  reject: async (id, comment) => {
+    return apiRequest(`/api/approvals/${id}/reject`, {
+      method: 'POST',
+      body: JSON.stringify({ comment })
+    });
+  },
+
+  cancel: async (id) => {
+    return apiRequest(`/api/approvals/${id}/cancel`, {
+      method: 'POST'
+    });
   }
 };
 
@@ -166,6 +516,48 @@ export const adminApi = {
     });
   },
 
+  getUserQuota: async (id) => {
+    return apiRequest(`/api/admin/users/${id}/quota`);
+  },
+
+  grantQuota: async (id, grant) => {
+    return apiRequest(`/api/admin/users/${id}/quota-grants`, {
+      method: 'POST',
+      body: JSON.stringify(grant)
+    });
+  },
+
+  revokeQuotaGrant: async (id, grantId) => {
+    return apiRequest(`/api/admin/users/${id}/quota-grants/${grantId}`, {
+      method: 'DELETE'
+    });
+  },
+
+  // Roles
+  listRoles: async () => {
+    return apiRequest('/api/admin/roles');
+  },
+
+  createRole: async (roleData) => {
+    return apiRequest('/api/admin/roles', {
+      method: 'POST',
+      body: JSON.stringify(roleData)
+    });
+  },
+
+  updateRole: async (name, updates) => {
+    return apiRequest(`/api/admin/roles/${name}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates)
+    });
+  },
+
+  deleteRole: async (name) => {
+    return apiRequest(`/api/admin/roles/${name}`, {
+      method: 'DELETE'
+    });
+  },
+
   // Connections
   listConnections: async (includeInactive = false) => {
     return apiRequest(`/api/admin/connections?includeInactive=${includeInactive}`);
@@ -201,6 +593,106 @@ export const adminApi = {
     });
   },
 
+  refreshSchema: async (id) => {
+    return apiRequest(`/api/admin/connections/${id}/schema/refresh`, {
+      method: 'POST'
+    });
+  },
+
+  // Connection grants
+  listGrants: async (connectionId) => {
+    return apiRequest(`/api/admin/connections/${connectionId}/grants`);
+  },
+
+  createGrant: async (connectionId, grantData) => {
+    return apiRequest(`/api/admin/connections/${connectionId}/grants`, {
+      method: 'POST',
+      body: JSON.stringify(grantData)
+    });
+  },
+
+  updateGrant: async (connectionId, grantId, updates) => {
+    return apiRequest(`/api/admin/connections/${connectionId}/grants/${grantId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates)
+    });
+  },
+
+  deleteGrant: async (connectionId, grantId) => {
+    return apiRequest(`/api/admin/connections/${connectionId}/grants/${grantId}`, {
+      method: 'DELETE'
+    });
+  },
+
+  // Object access policies
+  listPolicies: async (connectionId = null) => {
+    const queryParams = new URLSearchParams(connectionId ? { connectionId } : {});
+    return apiRequest(`/api/admin/policies?${queryParams}`);
+  },
+
+  createPolicy: async (policyData) => {
+    return apiRequest('/api/admin/policies', {
+      method: 'POST',
+      body: JSON.stringify(policyData)
+    });
+  },
+
+  updatePolicy: async (id, policyData) => {
+    return apiRequest(`/api/admin/policies/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(policyData)
+    });
+  },
+
+  deletePolicy: async (id) => {
+    return apiRequest(`/api/admin/policies/${id}`, {
+      method: 'DELETE'
+    });
+  },
+
+  // Data masking rules
+  listMaskingRules: async (connectionId = null) => {
+    const queryParams = new URLSearchParams(connectionId ? { connectionId } : {});
+    return apiRequest(`/api/admin/masking-rules?${queryParams}`);
+  },
+
+  createMaskingRule: async (ruleData) => {
+    return apiRequest('/api/admin/masking-rules', {
+      method: 'POST',
+      body: JSON.stringify(ruleData)
+    });
+  },
+
+  updateMaskingRule: async (id, ruleData) => {
+    return apiRequest(`/api/admin/masking-rules/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(ruleData)
+    });
+  },
+
+  deleteMaskingRule: async (id) => {
+    return apiRequest(`/api/admin/masking-rules/${id}`, {
+      method: 'DELETE'
+    });
+  },
+
+  // Running queries
+  listRunningQueries: async () => {
+    return apiRequest('/api/admin/running');
+  },
+
+  cancelRunningQuery: async (queryId) => {
+    return apiRequest(`/api/admin/running/${queryId}/cancel`, {
+      method: 'POST'
+    });
+  },
+
+  killRunningQuery: async (queryId) => {
+    return apiRequest(`/api/admin/running/${queryId}/kill`, {
+      method: 'POST'
+    });
+  },
+
   // Stats
   getStats: async () => {
     return apiRequest('/api/admin/stats');
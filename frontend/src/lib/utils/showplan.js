@@ -0,0 +1,193 @@
+/**
+ * Showplan XML parsing
+ *
+ * Turns the XML returned by SET SHOWPLAN_XML / SET STATISTICS XML into plain
+ * objects for the plan viewer: one entry per statement with its operator
+ * tree, costs, row estimates (and actual counts when present), warnings and
+ * missing index suggestions.
+ */
+
+const NS = 'http://schemas.microsoft.com/sqlserver/2004/07/showplan';
+
+function number(element, attribute) {
+  const value = element?.getAttribute(attribute);
+  return value === null || value === undefined ? null : Number(value);
+}
+
+function childElements(element, name) {
+  return [...element.children].filter(child => child.localName === name);
+}
+
+function closestRelOp(element) {
+  let current = element.parentElement;
+  while (current && current.localName !== 'RelOp') {
+    current = current.parentElement;
+  }
+  return current;
+}
+
+/**
+ * Operators directly below a RelOp; they sit inside the operator-specific element
+ */
+function childRelOps(relOp) {
+  const result = [];
+  const visit = (element) => {
+    for (const child of element.children) {
+      if (child.localName === 'RelOp') {
+        result.push(child);
+      } else {
+        visit(child);
+      }
+    }
+  };
+  visit(relOp);
+  return result;
+}
+
+function parseWarnings(element) {
+  const warnings = [];
+
+  for (const node of childElements(element, 'Warnings')) {
+    for (const attribute of node.attributes) {
+      if (attribute.value === 'true' || attribute.value === '1') {
+        warnings.push(attribute.name.replace(/([a-z])([A-Z])/g, '$1 $2'));
+      }
+    }
+
+    for (const warning of node.children) {
+      switch (warning.localName) {
+        case 'PlanAffectingConvert':
+          warnings.push(`Implicit conversion ${warning.getAttribute('Expression')} may affect ${warning.getAttribute('ConvertIssue')}`);
+          break;
+        case 'SpillToTempDb':
+          warnings.push(`Spill to tempdb (level ${warning.getAttribute('SpillLevel')})`);
+          break;
+        case 'ColumnsWithNoStatistics': {
+          const columns = [...warning.getElementsByTagNameNS(NS, 'ColumnReference')]
+            .map(column => column.getAttribute('Column'));
+          warnings.push(`Columns with no statistics: ${columns.join(', ')}`);
+          break;
+        }
+        case 'MemoryGrantWarning':
+          warnings.push(`Memory grant: ${warning.getAttribute('GrantWarningKind')}`);
+          break;
+        case 'Wait':
+          warnings.push(`Wait ${warning.getAttribute('WaitType')} (${warning.getAttribute('WaitTime')} ms)`);
+          break;
+        default:
+          warnings.push(warning.localName.replace(/([a-z])([A-Z])/g, '$1 $2'));
+      }
+    }
+  }
+
+  return warnings;
+}
+
+function formatObject(object) {
+  if (!object) return null;
+  const strip = (name) => (name || '').replace(/^\[|\]$/g, '');
+  const table = [object.getAttribute('Schema'), object.getAttribute('Table')].filter(Boolean).map(strip).join('.');
+  const index = object.getAttribute('Index');
+  return index ? `${table} (${strip(index)})` : table || null;
+}
+
+function parseRelOp(relOp, statementCost) {
+  const subtreeCost = number(relOp, 'EstimatedTotalSubtreeCost') || 0;
+  const children = childRelOps(relOp).map(child => parseRelOp(child, statementCost));
+  const ownCost = Math.max(0, subtreeCost - children.reduce((sum, child) => sum + child.subtreeCost, 0));
+
+  const object = [...relOp.getElementsByTagNameNS(NS, 'Object')]
+    .find(element => closestRelOp(element) === relOp);
+
+  // Actual counters are reported per thread
+  let actualRows = null;
+  let actualExecutions = null;
+  const [runtime] = childElements(relOp, 'RunTimeInformation');
+  if (runtime) {
+    actualRows = 0;
+    actualExecutions = 0;
+    for (const counters of childElements(runtime, 'RunTimeCountersPerThread')) {
+      actualRows += number(counters, 'ActualRows') || 0;
+      actualExecutions += number(counters, 'ActualExecutions') || 0;
+    }
+  }
+
+  const estimatedExecutions = 1 + (number(relOp, 'EstimateRebinds') || 0) + (number(relOp, 'EstimateRewinds') || 0);
+  const estimatedRows = number(relOp, 'EstimateRows') || 0;
+
+  return {
+    id: number(relOp, 'NodeId'),
+    physicalOp: relOp.getAttribute('PhysicalOp'),
+    logicalOp: relOp.getAttribute('LogicalOp'),
+    object: formatObject(object),
+    estimatedRows,
+    // EstimateRows is per execution; actual rows add up over all executions
+    estimatedRowsTotal: estimatedRows * estimatedExecutions,
+    actualRows,
+    actualExecutions,
+    subtreeCost,
+    costPercent: statementCost > 0 ? (ownCost / statementCost) * 100 : 0,
+    warnings: parseWarnings(relOp),
+    children
+  };
+}
+
+function parseMissingIndexes(queryPlan) {
+  const suggestions = [];
+
+  for (const group of queryPlan.getElementsByTagNameNS(NS, 'MissingIndexGroup')) {
+    for (const index of group.getElementsByTagNameNS(NS, 'MissingIndex')) {
+      const columns = { EQUALITY: [], INEQUALITY: [], INCLUDE: [] };
+      for (const columnGroup of index.getElementsByTagNameNS(NS, 'ColumnGroup')) {
+        const names = [...columnGroup.getElementsByTagNameNS(NS, 'Column')].map(column => column.getAttribute('Name'));
+        columns[columnGroup.getAttribute('Usage')]?.push(...names);
+      }
+
+      const table = [index.getAttribute('Database'), index.getAttribute('Schema'), index.getAttribute('Table')].join('.');
+      const keys = [...columns.EQUALITY, ...columns.INEQUALITY].join(', ');
+      const include = columns.INCLUDE.length > 0 ? ` INCLUDE (${columns.INCLUDE.join(', ')})` : '';
+
+      suggestions.push({
+        impact: number(group, 'Impact'),
+        table,
+        createStatement: `CREATE NONCLUSTERED INDEX [IX_missing] ON ${table} (${keys})${include};`
+      });
+    }
+  }
+
+  return suggestions;
+}
+
+/**
+ * Parse one showplan document
+ * @returns {Array} - [{ text, type, cost, estimatedRows, root, warnings, missingIndexes }]
+ */
+export function parseShowplan(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The plan XML could not be read');
+  }
+
+  const statements = [];
+
+  for (const statement of doc.getElementsByTagNameNS(NS, 'StmtSimple')) {
+    const [queryPlan] = childElements(statement, 'QueryPlan');
+    if (!queryPlan) continue;
+
+    const cost = number(statement, 'StatementSubTreeCost') || 0;
+    const [root] = childElements(queryPlan, 'RelOp');
+
+    statements.push({
+      text: (statement.getAttribute('StatementText') || '').trim(),
+      type: statement.getAttribute('StatementType'),
+      cost,
+      estimatedRows: number(statement, 'StatementEstRows'),
+      root: root ? parseRelOp(root, cost) : null,
+      warnings: parseWarnings(queryPlan),
+      missingIndexes: parseMissingIndexes(queryPlan)
+    });
+  }
+
+  return statements;
+}
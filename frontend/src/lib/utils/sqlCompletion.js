@@ -0,0 +1,207 @@
+/**
+ * T-SQL editor completion
+ *
+ * Works out what the text before the cursor is asking for (a table after
+ * FROM or JOIN, a procedure after EXEC, a column after an alias and a dot)
+ * and which tables the statement has brought into scope under which
+ * aliases, so the editor can suggest names from a connection's catalog.
+ * Everything here works on plain text; it does not parse T-SQL.
+ */
+
+export const SQL_KEYWORDS = [
+  'SELECT', 'FROM', 'WHERE', 'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'CREATE', 'ALTER', 'DROP',
+  'TABLE', 'VIEW', 'INDEX', 'PROCEDURE', 'FUNCTION', 'TRIGGER', 'DATABASE', 'SCHEMA',
+  'JOIN', 'LEFT', 'RIGHT', 'INNER', 'OUTER', 'FULL', 'CROSS', 'APPLY', 'ON', 'AS', 'AND', 'OR',
+  'NOT', 'IN', 'EXISTS', 'BETWEEN', 'LIKE', 'IS', 'NULL', 'ORDER', 'BY', 'GROUP', 'HAVING',
+  'UNION', 'ALL', 'EXCEPT', 'INTERSECT', 'DISTINCT', 'TOP', 'INTO', 'VALUES', 'SET', 'OUTPUT',
+  'WITH', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'ASC', 'DESC', 'OFFSET', 'FETCH', 'NEXT',
+  'ROWS', 'ONLY', 'OVER', 'PARTITION', 'DECLARE', 'BEGIN', 'IF', 'WHILE', 'RETURN', 'EXEC',
+  'EXECUTE', 'TRANSACTION', 'COMMIT', 'ROLLBACK', 'TRY', 'CATCH', 'PRINT', 'GO'
+];
+
+/**
+ * Built-in functions, with the signature and description shown in
+ * completion and hover
+ */
+export const TSQL_FUNCTIONS = [
+  { name: 'COUNT', signature: 'COUNT({ * | [ALL | DISTINCT] expression })', description: 'Number of rows, or of non-NULL values of an expression, in a group. Returns int.' },
+  { name: 'COUNT_BIG', signature: 'COUNT_BIG({ * | [ALL | DISTINCT] expression })', description: 'Like COUNT, but returns bigint.' },
+  { name: 'SUM', signature: 'SUM([ALL | DISTINCT] expression)', description: 'Sum of the non-NULL values in a group.' },
+  { name: 'AVG', signature: 'AVG([ALL | DISTINCT] expression)', description: 'Average of the non-NULL values in a group.' },
+  { name: 'MIN', signature: 'MIN(expression)', description: 'Smallest value in a group.' },
+  { name: 'MAX', signature: 'MAX(expression)', description: 'Largest value in a group.' },
+  { name: 'STRING_AGG', signature: 'STRING_AGG(expression, separator) [WITHIN GROUP (ORDER BY ...)]', description: 'Concatenates the values of a group, separated by separator.' },
+  { name: 'ROW_NUMBER', signature: 'ROW_NUMBER() OVER ([PARTITION BY ...] ORDER BY ...)', description: 'Sequential number of a row within its partition, starting at 1.' },
+  { name: 'RANK', signature: 'RANK() OVER ([PARTITION BY ...] ORDER BY ...)', description: 'Rank of a row within its partition; ties share a rank and leave gaps.' },
+  { name: 'DENSE_RANK', signature: 'DENSE_RANK() OVER ([PARTITION BY ...] ORDER BY ...)', description: 'Rank of a row within its partition, without gaps after ties.' },
+  { name: 'NTILE', signature: 'NTILE(groups) OVER ([PARTITION BY ...] ORDER BY ...)', description: 'Distributes the rows of a partition into the given number of groups.' },
+  { name: 'LAG', signature: 'LAG(expression [, offset [, default]]) OVER (...)', description: 'Value of expression from a previous row of the partition.' },
+  { name: 'LEAD', signature: 'LEAD(expression [, offset [, default]]) OVER (...)', description: 'Value of expression from a following row of the partition.' },
+  { name: 'ISNULL', signature: 'ISNULL(check_expression, replacement_value)', description: 'Replaces NULL with the replacement value, typed as the first argument.' },
+  { name: 'COALESCE', signature: 'COALESCE(expression [, ...n])', description: 'First of its arguments that is not NULL.' },
+  { name: 'NULLIF', signature: 'NULLIF(expression, expression)', description: 'NULL if both expressions are equal, otherwise the first one.' },
+  { name: 'IIF', signature: 'IIF(boolean_expression, true_value, false_value)', description: 'One of two values, depending on a condition.' },
+  { name: 'CAST', signature: 'CAST(expression AS data_type [(length)])', description: 'Converts a value to another data type.' },
+  { name: 'CONVERT', signature: 'CONVERT(data_type [(length)], expression [, style])', description: 'Converts a value to another data type; style picks date and number formats.' },
+  { name: 'TRY_CAST', signature: 'TRY_CAST(expression AS data_type [(length)])', description: 'Like CAST, but returns NULL when the conversion fails.' },
+  { name: 'TRY_CONVERT', signature: 'TRY_CONVERT(data_type [(length)], expression [, style])', description: 'Like CONVERT, but returns NULL when the conversion fails.' },
+  { name: 'FORMAT', signature: 'FORMAT(value, format [, culture])', description: 'Formats a date or number with a .NET format string.' },
+  { name: 'LEN', signature: 'LEN(string_expression)', description: 'Number of characters in a string, not counting trailing spaces.' },
+  { name: 'DATALENGTH', signature: 'DATALENGTH(expression)', description: 'Number of bytes used to store a value.' },
+  { name: 'LEFT', signature: 'LEFT(character_expression, integer_expression)', description: 'The given number of characters from the start of a string.' },
+  { name: 'RIGHT', signature: 'RIGHT(character_expression, integer_expression)', description: 'The given number of characters from the end of a string.' },
+  { name: 'SUBSTRING', signature: 'SUBSTRING(expression, start, length)', description: 'Part of a string, starting at the 1-based start position.' },
+  { name: 'CHARINDEX', signature: 'CHARINDEX(expression_to_find, expression_to_search [, start_location])', description: '1-based position of a string within another, or 0 if it is not there.' },
+  { name: 'PATINDEX', signature: "PATINDEX('%pattern%', expression)", description: '1-based position of the first match of a LIKE pattern, or 0.' },
+  { name: 'REPLACE', signature: 'REPLACE(string_expression, string_pattern, string_replacement)', description: 'Replaces every occurrence of a string.' },
+  { name: 'UPPER', signature: 'UPPER(character_expression)', description: 'Converts a string to upper case.' },
+  { name: 'LOWER', signature: 'LOWER(character_expression)', description: 'Converts a string to lower case.' },
+  { name: 'LTRIM', signature: 'LTRIM(character_expression)', description: 'Removes leading spaces.' },
+  { name: 'RTRIM', signature: 'RTRIM(character_expression)', description: 'Removes trailing spaces.' },
+  { name: 'TRIM', signature: "TRIM([characters FROM] string)", description: 'Removes spaces, or the given characters, from both ends of a string.' },
+  { name: 'CONCAT', signature: 'CONCAT(string_value1, string_value2 [, ...n])', description: 'Joins strings; NULL arguments count as empty strings.' },
+  { name: 'CONCAT_WS', signature: 'CONCAT_WS(separator, argument1, argument2 [, ...n])', description: 'Joins strings with a separator, skipping NULL arguments.' },
+  { name: 'STRING_SPLIT', signature: 'STRING_SPLIT(string, separator [, enable_ordinal])', description: 'Table of the substrings of a string, in a column named value.' },
+  { name: 'REPLICATE', signature: 'REPLICATE(string_expression, integer_expression)', description: 'Repeats a string the given number of times.' },
+  { name: 'STUFF', signature: 'STUFF(character_expression, start, length, replace_with_expression)', description: 'Deletes part of a string and inserts another string in its place.' },
+  { name: 'QUOTENAME', signature: "QUOTENAME(character_string [, quote_character])", description: 'Wraps a name in brackets (or the given quote), escaping the closing one, so it is a valid identifier.' },
+  { name: 'GETDATE', signature: 'GETDATE()', description: 'Current date and time of the server, as datetime.' },
+  { name: 'GETUTCDATE', signature: 'GETUTCDATE()', description: 'Current UTC date and time, as datetime.' },
+  { name: 'SYSDATETIME', signature: 'SYSDATETIME()', description: 'Current date and time of the server, as datetime2(7).' },
+  { name: 'SYSUTCDATETIME', signature: 'SYSUTCDATETIME()', description: 'Current UTC date and time, as datetime2(7).' },
+  { name: 'SYSDATETIMEOFFSET', signature: 'SYSDATETIMEOFFSET()', description: 'Current date and time with the server\'s time zone offset.' },
+  { name: 'DATEADD', signature: 'DATEADD(datepart, number, date)', description: 'Adds a number of dateparts (day, month, ...) to a date.' },
+  { name: 'DATEDIFF', signature: 'DATEDIFF(datepart, startdate, enddate)', description: 'Number of datepart boundaries crossed between two dates, as int.' },
+  { name: 'DATEDIFF_BIG', signature: 'DATEDIFF_BIG(datepart, startdate, enddate)', description: 'Like DATEDIFF, but returns bigint.' },
+  { name: 'DATEPART', signature: 'DATEPART(datepart, date)', description: 'A part of a date as an integer.' },
+  { name: 'DATENAME', signature: 'DATENAME(datepart, date)', description: 'A part of a date as a string, such as the month name.' },
+  { name: 'DATEFROMPARTS', signature: 'DATEFROMPARTS(year, month, day)', description: 'A date built from its parts.' },
+  { name: 'EOMONTH', signature: 'EOMONTH(start_date [, month_to_add])', description: 'Last day of the month of a date.' },
+  { name: 'YEAR', signature: 'YEAR(date)', description: 'Year of a date.' },
+  { name: 'MONTH', signature: 'MONTH(date)', description: 'Month of a date, 1 to 12.' },
+  { name: 'DAY', signature: 'DAY(date)', description: 'Day of the month of a date.' },
+  { name: 'ABS', signature: 'ABS(numeric_expression)', description: 'Absolute value.' },
+  { name: 'ROUND', signature: 'ROUND(numeric_expression, length [, function])', description: 'Rounds to the given number of decimals; a non-zero function truncates instead.' },
+  { name: 'CEILING', signature: 'CEILING(numeric_expression)', description: 'Smallest integer greater than or equal to a number.' },
+  { name: 'FLOOR', signature: 'FLOOR(numeric_expression)', description: 'Largest integer less than or equal to a number.' },
+  { name: 'POWER', signature: 'POWER(float_expression, y)', description: 'A number raised to a power.' },
+  { name: 'SQRT', signature: 'SQRT(float_expression)', description: 'Square root.' },
+  { name: 'NEWID', signature: 'NEWID()', description: 'A new uniqueidentifier.' },
+  { name: 'SCOPE_IDENTITY', signature: 'SCOPE_IDENTITY()', description: 'Last identity value inserted in the current scope.' },
+  { name: 'OBJECT_ID', signature: "OBJECT_ID('[schema.]object_name' [, 'object_type'])", description: 'Object id of a schema-scoped object, or NULL if it does not exist.' },
+  { name: 'OBJECT_NAME', signature: 'OBJECT_NAME(object_id [, database_id])', description: 'Name of the object with the given id.' },
+  { name: 'JSON_VALUE', signature: 'JSON_VALUE(expression, path)', description: 'A scalar value from a JSON string.' },
+  { name: 'JSON_QUERY', signature: 'JSON_QUERY(expression [, path])', description: 'An object or array from a JSON string.' },
+  { name: 'OPENJSON', signature: 'OPENJSON(jsonExpression [, path]) [WITH (...)]', description: 'Table of the properties or elements of a JSON string.' },
+  { name: 'ISJSON', signature: 'ISJSON(expression)', description: '1 if a string is valid JSON, otherwise 0.' },
+  { name: 'ERROR_MESSAGE', signature: 'ERROR_MESSAGE()', description: 'Message of the error that invoked the CATCH block.' },
+  { name: 'ERROR_NUMBER', signature: 'ERROR_NUMBER()', description: 'Number of the error that invoked the CATCH block.' }
+];
+
+const FUNCTIONS_BY_NAME = new Map(TSQL_FUNCTIONS.map(fn => [fn.name, fn]));
+
+// A name part, bracketed or plain
+const NAME_PART = String.raw`(?:\[[^\]]+\]|[\w@#$]+)`;
+
+// A one- to three-part name after a word that introduces a table source, with an optional alias
+const TABLE_SOURCE = new RegExp(
+  String.raw`\b(?:FROM|JOIN|APPLY|UPDATE|INTO)\s+(${NAME_PART}(?:\s*\.\s*${NAME_PART}){0,2})(?:\s+(?:AS\s+)?(${NAME_PART}))?`,
+  'gi'
+);
+
+// Words that can follow a table source, so are never its alias
+const NOT_ALIASES = new Set([
+  'WHERE', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS', 'OUTER', 'ON', 'GROUP', 'ORDER',
+  'HAVING', 'UNION', 'EXCEPT', 'INTERSECT', 'OPTION', 'FOR', 'WITH', 'SET', 'OUTPUT', 'VALUES',
+  'SELECT', 'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'USING', 'WHEN', 'PIVOT', 'UNPIVOT', 'APPLY',
+  'GO', 'END', 'DECLARE', 'IF', 'ELSE', 'BEGIN', 'EXEC', 'EXECUTE', 'DEFAULT'
+]);
+
+export function unquoteName(part) {
+  return part.startsWith('[') ? part.slice(1, -1).replace(/]]/g, ']') : part;
+}
+
+/**
+ * A name as it should be typed: bracketed unless it is a plain identifier
+ */
+export function quoteNameIfNeeded(name) {
+  return /^[A-Za-z_][\w@#$]*$/.test(name) ? name : `[${name.replace(/]/g, ']]')}]`;
+}
+
+/**
+ * The tables a script names in FROM, JOIN, APPLY, UPDATE and INTO, with their aliases
+ * @returns {Array} - [{ schema, name, alias }]; schema and alias are null when not given
+ */
+export function findTableReferences(text) {
+  const references = [];
+
+  for (const match of text.matchAll(TABLE_SOURCE)) {
+    const parts = match[1].split(/\s*\.\s*/).map(unquoteName);
+    const name = parts[parts.length - 1];
+    const schema = parts.length > 1 ? parts[parts.length - 2] : null;
+    const alias = match[2] && !NOT_ALIASES.has(match[2].toUpperCase()) ? unquoteName(match[2]) : null;
+
+    references.push({ schema, name, alias });
+  }
+
+  return references;
+}
+
+/**
+ * What the text before the cursor is asking to be completed with
+ * @returns {object} - { kind: 'member', qualifier, within } after `name.`, { kind: 'table' } after FROM or JOIN,
+ *   { kind: 'procedure' } after EXEC, otherwise { kind: 'any' }
+ */
+export function completionContext(textBefore) {
+  const member = textBefore.match(new RegExp(String.raw`(${NAME_PART})\s*\.\s*(?:\[[^\]]*|[\w@#$]*)$`));
+  if (member) {
+    // A schema name right after FROM or EXEC narrows its objects to tables or procedures
+    const before = textBefore.slice(0, member.index);
+    const within = /\b(?:EXEC|EXECUTE)\s+$/i.test(before) ? 'procedure'
+      : /\b(?:FROM|JOIN|APPLY|UPDATE|INTO|TABLE)\s+$/i.test(before) ? 'table' : null;
+    return { kind: 'member', qualifier: unquoteName(member[1]), within };
+  }
+
+  if (/\b(?:FROM|JOIN|APPLY|UPDATE|INTO|TABLE)\s+\[?[\w@#$]*$/i.test(textBefore)) {
+    return { kind: 'table' };
+  }
+
+  if (/\b(?:EXEC|EXECUTE)\s+\[?[\w@#$]*$/i.test(textBefore)) {
+    return { kind: 'procedure' };
+  }
+
+  return { kind: 'any' };
+}
+
+/**
+ * Find an object in a catalog by name, preferring the given schema, then dbo
+ * @returns {object|null} - { schema, object }
+ */
+export function findObject(schemas, name, schemaName = null) {
+  const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+  const matches = [];
+
+  for (const schema of schemas) {
+    if (schemaName && !same(schema.name, schemaName)) continue;
+    for (const object of schema.objects) {
+      if (same(object.name, name)) {
+        matches.push({ schema: schema.name, object });
+      }
+    }
+  }
+
+  return matches.find(match => same(match.schema, 'dbo')) || matches[0] || null;
+}
+
+export function findFunction(name) {
+  return FUNCTIONS_BY_NAME.get(name.toUpperCase()) || null;
+}
+
+/**
+ * Parameter list of a procedure or function, as it reads in a signature
+ */
+export function formatParameters(parameters = []) {
+  return parameters
+    .map(parameter => `${parameter.name} ${parameter.type}${parameter.output ? ' OUTPUT' : ''}`)
+    .join(', ');
+}
@@ -0,0 +1,81 @@
+/**
+ * Helpers for detecting bind parameters (@name tokens) in editor SQL, and
+ * for showing generated statements with their parameters declared
+ */
+
+export const COMMON_PARAMETER_TYPES = [
+  'int', 'bigint', 'smallint', 'tinyint', 'bit',
+  'decimal(18, 2)', 'float', 'money',
+  'nvarchar(100)', 'nvarchar(max)', 'varchar(100)', 'char(10)',
+  'date', 'datetime', 'datetime2', 'datetimeoffset', 'time',
+  'uniqueidentifier'
+];
+
+const DECLARED_TYPES = [
+  'bit', 'tinyint', 'smallint', 'int', 'bigint', 'decimal', 'numeric', 'money', 'smallmoney',
+  'float', 'real', 'date', 'time', 'datetime', 'smalldatetime', 'datetime2', 'datetimeoffset',
+  'char', 'varchar', 'nchar', 'nvarchar', 'text', 'ntext', 'binary', 'varbinary', 'image',
+  'uniqueidentifier', 'xml', 'sysname', 'sql_variant', 'table', 'cursor', 'geography', 'geometry',
+  'hierarchyid', 'rowversion', 'timestamp'
+].join('|');
+
+// Comments, string literals and bracketed identifiers never contain parameters
+const NON_CODE_PATTERN = /--[^\n]*|\/\*[\s\S]*?\*\/|N?'(?:[^']|'')*'|\[(?:[^\]]|\]\])*\]/g;
+
+// @name introduced by DECLARE, a procedure header or a following list entry
+const DECLARATION_PATTERN = new RegExp(
+  `(?:\\bDECLARE\\s+|\\bPROC(?:EDURE)?\\s+[\\w.]+\\s*\\(?\\s*|\\bFUNCTION\\s+[\\w.]+\\s*\\(\\s*|,\\s*)(@[A-Za-z_]\\w*)\\s+(?:AS\\s+)?(?:${DECLARED_TYPES})\\b`,
+  'gi'
+);
+
+// Named arguments in EXEC calls (EXEC proc @arg = value) are not parameters
+const EXEC_PATTERN = /\bEXEC(?:UTE)?\s+[^;\n]*/gi;
+const NAMED_ARGUMENT_PATTERN = /@[A-Za-z_]\w*\s*=(?!=)/g;
+
+const PARAMETER_PATTERN = /(^|[^@\w])@([A-Za-z_]\w*)/g;
+
+/**
+ * Find the names of undeclared @parameters in a SQL script, in order of first use
+ * @param {string} sql - SQL text from the editor
+ * @returns {string[]} - Parameter names without the leading @
+ */
+export function detectParameters(sql) {
+  let code = (sql || '').replace(NON_CODE_PATTERN, ' ');
+
+  const declared = new Set();
+  for (const match of code.matchAll(DECLARATION_PATTERN)) {
+    declared.add(match[1].slice(1).toLowerCase());
+  }
+
+  code = code.replace(EXEC_PATTERN, statement => statement.replace(NAMED_ARGUMENT_PATTERN, ' ='));
+
+  const names = [];
+  const seen = new Set();
+  for (const match of code.matchAll(PARAMETER_PATTERN)) {
+    const name = match[2];
+    const key = name.toLowerCase();
+    if (!declared.has(key) && !seen.has(key)) {
+      seen.add(key);
+      names.push(name);
+    }
+  }
+
+  return names;
+}
+
+function literal(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'number') return String(value);
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  return `N'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * A generated statement with its parameters declared, ready to run in the editor
+ * @param {string} sql - Statement using @name parameters
+ * @param {Array} parameters - [{ name, type, value }]
+ */
+export function scriptWithDeclarations(sql, parameters) {
+  const declarations = parameters.map(({ name, type, value }) => `DECLARE @${name} ${type} = ${literal(value)};`);
+  return [...declarations, ...(declarations.length > 0 ? [''] : []), sql].join('\n');
+}